@@ -0,0 +1,291 @@
+const { templateError } = require('./naming');
+const { baseUrlError } = require('./urls');
+const { loadSiteHarvesters } = require('./site-definitions');
+const { selectorFileError } = require('./grok-selectors');
+const net = require('net');
+
+// --- Command-line parsing shared by harvest.js and the harvesters ---
+//
+// Usage: electron . <harvester> [action] [path] [--flag value ...]
+// Every setting a harvester used to keep in a constant is declared here as a
+// named flag, together with its default, so nobody has to edit source files
+// to change a setting.
+
+// Dot-separated labels of letters, digits and "-", e.g. localhost or my-pc.lan.
+const HOSTNAME = /^(?!-)[A-Za-z0-9-]{1,63}(?<!-)(\.(?!-)[A-Za-z0-9-]{1,63}(?<!-))*$/;
+
+// Options every harvester accepts.
+const COMMON_OPTIONS = [
+    { flag: 'profile', type: 'string', pattern: /^[A-Za-z0-9_.-]+$/, default: null, help: 'Named login profile whose cookies persist between runs' },
+    { flag: 'json', type: 'boolean', default: false, help: 'Write newline-delimited JSON events to stdout (log goes to stderr), see events.js' },
+    { flag: 'dashboard', type: 'int', min: 1, max: 65535, default: null, placeholder: 'port', help: 'Serve a status page with pause, retry and stop buttons on this port' },
+    { flag: 'dashboard-host', type: 'string', default: '127.0.0.1', placeholder: 'address', validate: value => (net.isIP(value) || HOSTNAME.test(value) ? null : 'expects an IP address or hostname, e.g. localhost, or 0.0.0.0 for the LAN'), help: 'IP address or hostname the dashboard listens on; anyone who can reach it can control the run' },
+];
+
+// Actions every harvester accepts in place of a normal run.
+const COMMON_ACTIONS = {
+    login: 'Open the login page in the --profile session and keep the login for later runs',
+};
+
+const HARVESTERS = {
+    google: {
+        module: './harvest-g-photos.js',
+        summary: 'Download Google Photos items whose Takeout JSON has no media file next to it.',
+        pathHelp: 'Takeout folder to scan (default: current directory)',
+        loginUrl: 'https://photos.google.com/',
+        actions: {
+            progress: 'List the items harvest-state.json records as recovered',
+            reset: 'Forget all recorded progress; recovered files stay, missing ones are retried',
+            reverify: 'Re-check recorded files against their JSON; quarantine and forget the ones that fail',
+            'retry-failed': 'Only re-attempt the items listed in harvest-failures.json, from their photo pages',
+        },
+        options: [
+            { flag: 'windows', type: 'int', min: 1, max: 16, default: 4, help: 'Most browser windows downloading in parallel' },
+            { flag: 'min-windows', type: 'int', min: 1, max: 16, default: 1, help: 'Fewest windows the pool shrinks to when Photos throttles' },
+            { flag: 'adaptive', type: 'boolean', default: true, help: 'Close windows while many items fail or stall, reopen them once downloads go through' },
+            { flag: 'window-mode', type: 'choice', choices: ['visible', 'hidden', 'offscreen'], default: 'visible', help: 'Show the windows, or keep them off the desktop (the Shift+D fallback may need visible)' },
+            { flag: 'layout', type: 'choice', choices: ['grid', 'cascade'], default: 'grid', help: 'How visible windows are placed on the primary display' },
+            { flag: 'delay', type: 'number', min: 0, default: 1.5, help: 'Seconds each window waits between files' },
+            { flag: 'download-timeout', type: 'number', min: 1, default: 30, help: 'Seconds without progress before a download is cancelled' },
+            { flag: 'direct', type: 'boolean', default: true, help: 'Fetch the original file from the URL on the page; Shift+D is only the fallback' },
+            { flag: 'page-timeout', type: 'number', min: 1, default: 15, help: 'Seconds to wait for a photo page to show its media' },
+            { flag: 'verify', type: 'boolean', default: true, help: 'Check name, type and capture date against the JSON; quarantine mismatches' },
+            { flag: 'restore-metadata', type: 'boolean', default: false, help: 'Write date, GPS, description and people from the JSON into each recovered file' },
+            { flag: 'hide-json', type: 'boolean', default: false, help: 'Also hide each completed JSON (dotfile, or the hidden attribute on Windows)' },
+            { flag: 'base-url', type: 'string', default: 'https://photos.google.com', validate: baseUrlError, placeholder: 'url', help: 'Site to talk to, e.g. a local mock-server.js' },
+        ],
+    },
+    grok: {
+        module: './harvest-grok-imagine.js',
+        summary: 'Scrape Grok Imagine favorites by scrolling the favorites page (for other sources use grok2 --source).',
+        pathHelp: 'Folder to save media into (default: ./grok-favorites, or ./grok-favorites-<profile>)',
+        loginUrl: 'https://grok.com/imagine/favorites',
+        actions: {
+            'retry-failed': 'Only download the items listed in .harvest-failures.json, with the URLs the page shows now',
+            diagnose: 'Load the favorites page and test every selector; save a DOM snapshot and screenshot if one fails',
+        },
+        options: [
+            { flag: 'concurrency', type: 'int', min: 1, default: 25, help: 'Downloads running at the same time; scrolling pauses while more than this are pending' },
+            { flag: 'resume-threshold', type: 'int', min: 0, default: 10, help: 'Resume scrolling once pending downloads drop below this' },
+            { flag: 'retries', type: 'int', min: 0, default: 3, help: 'Times to retry a failed download' },
+            { flag: 'download-timeout', type: 'number', min: 1, default: 120, help: 'Seconds without data before a download is interrupted (and later resumed)' },
+            { flag: 'poll-timeout', type: 'number', min: 1, default: 123, help: 'Seconds to wait for a card to show its image or video' },
+            { flag: 'scroll-delay', type: 'number', min: 0, default: 2, help: 'Seconds to wait after each scroll' },
+            { flag: 'scroll-attempts', type: 'int', min: 1, default: 5, help: 'Empty scrolls in a row before discovery stops' },
+            { flag: 'base-url', type: 'string', default: 'https://grok.com', validate: baseUrlError, placeholder: 'url', help: 'Site to talk to, e.g. a local mock-server.js' },
+            { flag: 'name-template', type: 'string', default: 'grok-{type}-{id}', placeholder: 'template', validate: value => templateError(value, ['id', 'type', 'source'], ['id', 'type']), help: 'File path without extension; tokens {id}, {type}, {source}, "/" makes folders' },
+            { flag: 'selectors', type: 'string', default: null, placeholder: 'file', validate: selectorFileError, help: 'JSON file replacing some of the page selectors, see grok-selectors.js' },
+        ],
+    },
+    grok2: {
+        module: './harvest-grok-imagine-v2.js',
+        summary: 'Harvest Grok Imagine favorites, your own generations or other sources through the media API.',
+        pathHelp: 'Folder to save media into (default: ./grok-favorites, or ./grok-favorites-<profile>)',
+        loginUrl: 'https://grok.com/imagine/favorites',
+        actions: {
+            'retry-failed': 'Only download the files listed in .harvest-failures.json, with URLs looked up in the API again',
+        },
+        options: [
+            { flag: 'concurrency', type: 'int', min: 1, default: 5, help: 'Downloads running at the same time' },
+            { flag: 'source', type: 'list', itemPattern: /^(favorites|mine|MEDIA_POST_SOURCE_[A-Z0-9_]+)$/, default: ['favorites'], help: 'Comma-separated sources: favorites, mine, or any MEDIA_POST_SOURCE_* value; each gets its own subfolder' },
+            { flag: 'name-template', type: 'string', default: '{source}/grok-{type}-{id}{variant}', placeholder: 'template', validate: value => templateError(value, undefined, ['id', 'type']), help: 'File path without extension; tokens {id}, {type}, {variant}, {source}, {date:YYYY/MM}, {promptSlug:40}, "/" makes folders' },
+            { flag: 'batch-size', type: 'int', min: 1, max: 1000, default: 100, help: 'Posts requested per API page' },
+            { flag: 'hd', type: 'boolean', default: true, help: 'Prefer the HD version of videos when available' },
+            { flag: 'all-variants', type: 'boolean', default: false, help: 'Download every video variant instead of only the latest' },
+            { flag: 'metadata', type: 'boolean', default: true, help: 'Embed prompt, source URL and date into saved files' },
+            { flag: 'metadata-backend', type: 'choice', choices: ['builtin', 'external'], default: 'builtin', help: 'How to embed metadata: built-in writer, or ffmpeg/exiftool from PATH' },
+            { flag: 'retries', type: 'int', min: 0, default: 3, help: 'Times to retry a failed download' },
+            { flag: 'download-timeout', type: 'number', min: 1, default: 120, help: 'Seconds without data before a download is interrupted (and later resumed)' },
+            { flag: 'api-delay', type: 'number', min: 0, default: 1.5, help: 'Seconds to wait between API pages' },
+            { flag: 'api-retries', type: 'int', min: 0, default: 5, help: 'Times to retry a failing API page before discovery gives up' },
+            { flag: 'full', type: 'boolean', default: false, help: 'Walk every page even after a completed run, instead of syncing only new posts' },
+            { flag: 'autostart', type: 'boolean', default: null, defaultHelp: 'on with --profile', help: 'Start downloading as soon as authentication is captured (no F7)' },
+            { flag: 'base-url', type: 'string', default: 'https://grok.com', validate: baseUrlError, placeholder: 'url', help: 'Site to talk to, e.g. a local mock-server.js' },
+        ],
+    },
+};
+
+// Sites described in sites/*.json run on the generic engine (see site-definitions.js).
+Object.assign(HARVESTERS, loadSiteHarvesters(Object.keys(HARVESTERS)));
+
+class UsageError extends Error {
+    constructor(message, command) {
+        super(message);
+        this.name = 'UsageError';
+        this.command = command;
+    }
+}
+
+function camelCase(flag) {
+    return flag.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+function optionSpecs(command) {
+    return [...HARVESTERS[command].options, ...COMMON_OPTIONS];
+}
+
+function actionsFor(command) {
+    return { ...COMMON_ACTIONS, ...HARVESTERS[command].actions };
+}
+
+function defaultsFor(command) {
+    const options = {};
+    for (const spec of optionSpecs(command)) {
+        options[camelCase(spec.flag)] = spec.default;
+    }
+    return options;
+}
+
+function coerce(spec, raw, command) {
+    const name = `--${spec.flag}`;
+    if (spec.type === 'boolean') {
+        if (raw === undefined || raw === 'true') return true;
+        if (raw === 'false') return false;
+        throw new UsageError(`${name} expects true or false, got "${raw}"`, command);
+    }
+    if (raw === undefined) {
+        throw new UsageError(`${name} needs a value`, command);
+    }
+    if (spec.type === 'int' || spec.type === 'number') {
+        const value = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(value) || (spec.type === 'int' && !Number.isInteger(value))) {
+            throw new UsageError(`${name} expects ${spec.type === 'int' ? 'a whole number' : 'a number'}, got "${raw}"`, command);
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            throw new UsageError(`${name} must be at least ${spec.min}, got ${value}`, command);
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            throw new UsageError(`${name} must be at most ${spec.max}, got ${value}`, command);
+        }
+        return value;
+    }
+    if (spec.type === 'list') {
+        const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+        const invalid = items.find(item => !spec.itemPattern.test(item));
+        if (items.length === 0 || invalid !== undefined) {
+            throw new UsageError(`${name} got an invalid entry "${invalid ?? raw}"`, command);
+        }
+        return items;
+    }
+    if (spec.type === 'choice' && !spec.choices.includes(raw)) {
+        throw new UsageError(`${name} must be one of ${spec.choices.join(', ')}, got "${raw}"`, command);
+    }
+    if (spec.pattern && !spec.pattern.test(raw)) {
+        throw new UsageError(`${name} may only contain letters, digits, "_", "." and "-", got "${raw}"`, command);
+    }
+    const error = spec.validate && spec.validate(raw);
+    if (error) {
+        throw new UsageError(`${name}: ${error}`, command);
+    }
+    return raw;
+}
+
+/**
+ * Parses the arguments that follow the Electron app path.
+ * @param {string[]} args e.g. ['grok2', './out', '--concurrency', '3']
+ * @returns {{command: string|null, action: string|null, path: string|undefined, options: object, help: boolean}}
+ * @throws {UsageError} On an unknown harvester, unknown flag or invalid value.
+ */
+function parseCommandLine(args) {
+    const [command, ...rest] = args;
+    if (!command || command === '--help' || command === '-h' || command === 'help') {
+        return { command: null, action: null, path: undefined, options: {}, help: true };
+    }
+    if (!HARVESTERS[command]) {
+        throw new UsageError(`Unknown harvester "${command}"`);
+    }
+
+    const specs = optionSpecs(command);
+    const options = defaultsFor(command);
+    const positionals = [];
+    const given = new Set();
+    let help = false;
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '--help' || arg === '-h') {
+            help = true;
+            continue;
+        }
+        if (arg === '--') {
+            positionals.push(...rest.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        let [flag, raw] = arg.slice(2).split(/=(.*)/s);
+        let spec = specs.find(s => s.flag === flag);
+        if (!spec && flag.startsWith('no-')) {
+            spec = specs.find(s => s.flag === flag.slice(3) && s.type === 'boolean');
+            if (spec) {
+                if (raw !== undefined) throw new UsageError(`--${flag} does not take a value`, command);
+                raw = 'false';
+            }
+        }
+        if (!spec) {
+            throw new UsageError(`Unknown option --${flag}`, command);
+        }
+        if (raw === undefined && i + 1 < rest.length) {
+            // A boolean only takes the next argument when it is true or false, so "--hd ./out" still works.
+            if (spec.type !== 'boolean' || rest[i + 1] === 'true' || rest[i + 1] === 'false') raw = rest[++i];
+        }
+        options[camelCase(spec.flag)] = coerce(spec, raw, command);
+        given.add(spec.flag);
+    }
+
+    if (options.resumeThreshold !== undefined && options.resumeThreshold > options.concurrency) {
+        // The default threshold follows a lower --concurrency; one given outright must fit under it.
+        if (!given.has('resume-threshold')) options.resumeThreshold = options.concurrency;
+        else throw new UsageError(`--resume-threshold (${options.resumeThreshold}) cannot be more than --concurrency (${options.concurrency})`, command);
+    }
+
+    // A leading positional that names an action selects it; anything else is the path.
+    const action = positionals.length > 0 && actionsFor(command)[positionals[0]] ? positionals.shift() : null;
+
+    if (positionals.length > 1) {
+        throw new UsageError(`Unexpected argument "${positionals[1]}"`, command);
+    }
+
+    return { command, action, path: positionals[0], options, help };
+}
+
+function formatHelp(command) {
+    if (!command) {
+        const lines = ['Usage: electron . <harvester> [action] [path] [options]', '', 'Harvesters:'];
+        const width = Math.max(...Object.keys(HARVESTERS).map(name => name.length));
+        for (const [name, def] of Object.entries(HARVESTERS)) {
+            lines.push(`  ${name.padEnd(width)} ${def.summary}`);
+        }
+        lines.push('', 'Run "electron . <harvester> --help" to list its options.');
+        lines.push('Through npm: npm run harvest:grok2 -- [path] [options]');
+        return lines.join('\n');
+    }
+
+    const def = HARVESTERS[command];
+    const lines = [`Usage: electron . ${command} [action] [path] [options]`, '', def.summary, '', `  ${'path'.padEnd(26)}  ${def.pathHelp}`, '', 'Actions:'];
+    for (const [name, help] of Object.entries(actionsFor(command))) {
+        lines.push(`  ${name.padEnd(26)}  ${help}`);
+    }
+    lines.push('', 'Options:');
+    for (const spec of optionSpecs(command)) {
+        const placeholders = { int: spec.placeholder || 'n', string: spec.placeholder || 'name', list: 'a,b', choice: spec.choices && spec.choices.join('|') };
+        const label = spec.type === 'boolean' ? `--[no-]${spec.flag}` : `--${spec.flag} <${placeholders[spec.type] || 'value'}>`;
+        const defaultText = spec.defaultHelp || (spec.default === null ? 'none' : String(spec.default));
+        lines.push(`  ${label.padEnd(26)}  ${spec.help} (default: ${defaultText})`);
+    }
+    lines.push(`  ${'--help'.padEnd(26)}  Show this help`);
+    return lines.join('\n');
+}
+
+/**
+ * Returns the options harvest.js parsed for a harvester, or its defaults when
+ * the harvester was loaded some other way.
+ */
+function getOptions(command) {
+    return process.customData?.options || defaultsFor(command);
+}
+
+module.exports = { HARVESTERS, UsageError, parseCommandLine, formatHelp, getOptions, defaultsFor };
@@ -0,0 +1,113 @@
+const readline = require('readline');
+
+// --- Run Controls ---
+//
+// What can be done to a running harvest from outside: pause and resume
+// discovery or downloads, skip an item, retry what failed, stop gracefully.
+// The harvester core (harvest-core.js) builds an object with the controls a
+// harvester supports (see CONTROLS) plus a state() method; the dashboard,
+// keys and stdin commands only ever call those.
+//
+// Every control returns a short message saying what it did, for whoever
+// pressed the button.
+
+const CONTROLS = {
+    pauseDiscovery: 'Pause discovery',
+    resumeDiscovery: 'Resume discovery',
+    pauseDownloads: 'Pause downloads',
+    resumeDownloads: 'Resume downloads',
+    skip: 'Skip current item',
+    retryFailed: 'Retry failed',
+    stop: 'Stop gracefully',
+};
+
+// What to type on stdin for each control.
+const COMMANDS = {
+    'pause discovery': 'pauseDiscovery',
+    'resume discovery': 'resumeDiscovery',
+    'pause downloads': 'pauseDownloads',
+    'resume downloads': 'resumeDownloads',
+    'skip': 'skip',
+    'retry': 'retryFailed',
+    'stop': 'stop',
+};
+
+/**
+ * A switch that work waits at while it is paused.
+ * @param {string} name What is paused, for the log, e.g. "Discovery".
+ * @param {function(string): void} [log]
+ */
+function createPauseGate(name, log = console.log) {
+    let paused = null; // Promise resolved on resume, while paused
+    let release = null;
+    const listeners = [];
+
+    return {
+        get paused() {
+            return paused !== null;
+        },
+
+        /** @returns {boolean} false when it was paused already. */
+        pause() {
+            if (paused) return false;
+            paused = new Promise(resolve => { release = resolve; });
+            log(`⏸️  ${name} paused.`);
+            listeners.forEach(listener => listener(true));
+            return true;
+        },
+
+        /** @returns {boolean} false when it was not paused. */
+        resume() {
+            if (!paused) return false;
+            paused = null;
+            release();
+            log(`▶️  ${name} resumed.`);
+            listeners.forEach(listener => listener(false));
+            return true;
+        },
+
+        /** Resolves at once, or on the resume that ends the current pause. */
+        async wait() {
+            while (paused) await paused;
+        },
+
+        /** Calls listener(paused) on every pause and resume, for work that cannot wait(). */
+        onChange(listener) {
+            listeners.push(listener);
+        },
+    };
+}
+
+/**
+ * Runs controls typed on stdin, one command per line, so a harvest can be
+ * steered from its terminal without a focused window.
+ * @param {object} controls
+ * @param {Object<string, function(): string|void>} [extra] Further commands, e.g. { start: ... }.
+ * @returns {readline.Interface}
+ */
+function listenForCommands(controls, extra = {}) {
+    const commands = { ...extra };
+    for (const [command, name] of Object.entries(COMMANDS)) {
+        if (typeof controls[name] === 'function') commands[command] = () => controls[name]();
+    }
+    const help = `Commands: ${[...Object.keys(commands), 'help'].join(', ')}`;
+
+    const input = readline.createInterface({ input: process.stdin, terminal: false });
+    input.on('line', async line => {
+        const command = line.trim().toLowerCase().replace(/\s+/g, ' ');
+        if (!command) return;
+        if (!commands[command]) {
+            console.log(command === 'help' ? help : `Unknown command "${command}". ${help}`);
+            return;
+        }
+        try {
+            const message = await commands[command]();
+            if (message) console.log(`   ${message}`);
+        } catch (err) {
+            console.error(`❌ "${command}" failed: ${err.message}`);
+        }
+    });
+    return input;
+}
+
+module.exports = { CONTROLS, createPauseGate, listenForCommands };
@@ -0,0 +1,258 @@
+const http = require('http');
+const net = require('net');
+const { CONTROLS } = require('./controls');
+
+// --- Web Dashboard ---
+//
+// With --dashboard <port> a harvester serves a status page while it runs:
+// queue depth, active downloads with their progress, recent failures and
+// totals, plus buttons for the run controls the harvester supports (see
+// controls.js). Everything shown is folded from the harvester's event stream
+// (events.js), so it works the same for every harvester.
+//
+//   GET  /                     the page, which polls /api/status
+//   GET  /api/status           the snapshot below, as JSON
+//   POST /api/control/<name>   runs a control, e.g. /api/control/pauseDownloads
+//
+// The server listens on 127.0.0.1 unless --dashboard-host says otherwise.
+// There is no login: anyone who can reach the port can pause or stop the run,
+// so only open it to a network you trust. Controls must be posted as JSON,
+// which a page on another site cannot do without the browser asking first.
+// Requests must name the dashboard's own address in their Host header (or an
+// IP address, or localhost), so a site whose DNS name is rebound to this
+// machine cannot read the status or post controls either.
+
+const RECENT_FAILURES = 20;
+
+/**
+ * Folds events into what the dashboard shows.
+ * @param {string} harvester
+ */
+function createRunView(harvester) {
+    const startedAt = new Date().toISOString();
+    const items = new Map(); // item -> { status: 'queued'|'active', ... }; gone once finished
+    const totals = { discovered: 0, queued: 0, completed: 0, skipped: 0, failed: 0, retried: 0, bytes: 0 };
+    const recentFailures = [];
+    let authRequired = null;
+    let finished = null;
+
+    return {
+        record(event) {
+            const { item } = event;
+            switch (event.event) {
+                case 'discovered':
+                    totals.discovered++;
+                    break;
+                case 'queued':
+                    totals.queued++;
+                    items.set(item, { status: 'queued' });
+                    break;
+                case 'started':
+                    authRequired = null;
+                    items.set(item, { status: 'active', url: event.url, path: event.path, attempt: event.attempt, bytes: 0, totalBytes: null, since: event.time });
+                    break;
+                case 'progress': {
+                    const active = items.get(item);
+                    if (active?.status === 'active') Object.assign(active, { bytes: event.bytes, totalBytes: event.totalBytes });
+                    break;
+                }
+                case 'completed':
+                    totals.completed++;
+                    totals.bytes += event.bytes || 0;
+                    items.delete(item);
+                    break;
+                case 'skipped':
+                    totals.skipped++;
+                    items.delete(item);
+                    break;
+                case 'failed':
+                    recentFailures.unshift({ item, error: event.error, attempt: event.attempt ?? null, final: event.final, time: event.time });
+                    recentFailures.length = Math.min(recentFailures.length, RECENT_FAILURES);
+                    if (event.final) {
+                        totals.failed++;
+                        items.delete(item);
+                    } else {
+                        totals.retried++;
+                        items.set(item, { status: 'queued' }); // Waits for its next attempt
+                    }
+                    break;
+                case 'auth-required':
+                    authRequired = event.reason;
+                    break;
+                case 'finished':
+                    finished = event.time;
+                    break;
+            }
+        },
+
+        snapshot() {
+            const active = [];
+            let queueDepth = 0;
+            for (const [item, entry] of items) {
+                if (entry.status === 'active') active.push({ item, ...entry });
+                else queueDepth++;
+            }
+            return { harvester, startedAt, totals, queueDepth, active, recentFailures, authRequired, finished };
+        },
+    };
+}
+
+/** Whether a Host header names the dashboard's port and --dashboard-host, localhost or an IP address. */
+function hostAllowed(header, options) {
+    let url;
+    try {
+        url = new URL(`http://${header}`);
+    } catch {
+        return false;
+    }
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    const port = Number(url.port || 80);
+    if (port !== options.dashboard) return false;
+    return hostname === options.dashboardHost.toLowerCase() || hostname === 'localhost' || net.isIP(hostname) !== 0;
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Starts the dashboard, unless options.dashboard (the port) is unset.
+ * @param {object} options Parsed command-line options (dashboard, dashboardHost).
+ * @param {object} params
+ * @param {string} params.harvester
+ * @param {object} params.events The harvester's event stream.
+ * @param {object} params.controls See controls.js.
+ * @returns {http.Server|null}
+ */
+function startDashboard(options, { harvester, events, controls }) {
+    if (!options.dashboard) return null;
+    const view = createRunView(harvester);
+    events.subscribe(view.record);
+    const available = Object.keys(CONTROLS).filter(name => typeof controls[name] === 'function');
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://dashboard');
+        if (!hostAllowed(req.headers.host || '', options)) {
+            sendJson(res, 421, { error: 'unexpected Host header; open the dashboard by the address it printed' });
+            return;
+        }
+        try {
+            if (pathname === '/' && req.method === 'GET') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(dashboardPage(harvester));
+                return;
+            }
+            if (pathname === '/api/status' && req.method === 'GET') {
+                sendJson(res, 200, { ...view.snapshot(), state: controls.state(), controls: available });
+                return;
+            }
+            const match = /^\/api\/control\/([A-Za-z]+)$/.exec(pathname);
+            if (match && req.method === 'POST') {
+                if (!(req.headers['content-type'] || '').startsWith('application/json')) {
+                    sendJson(res, 415, { error: 'controls must be posted as application/json' });
+                    return;
+                }
+                if (!available.includes(match[1])) {
+                    sendJson(res, 404, { error: `${harvester} has no control "${match[1]}"` });
+                    return;
+                }
+                console.log(`🖥️  Dashboard: ${CONTROLS[match[1]]}`);
+                sendJson(res, 200, { message: await controls[match[1]]() });
+                return;
+            }
+            sendJson(res, 404, { error: 'not found' });
+        } catch (err) {
+            console.error('❌ Dashboard error:', err);
+            if (!res.headersSent) sendJson(res, 500, { error: err.message });
+        }
+    });
+
+    server.on('error', err => console.error(`❌ Dashboard could not listen on ${options.dashboardHost}:${options.dashboard}: ${err.message}`));
+    server.listen(options.dashboard, options.dashboardHost, () => {
+        console.log(`🖥️  Dashboard: http://${options.dashboardHost.includes(':') ? `[${options.dashboardHost}]` : options.dashboardHost}:${options.dashboard}/`);
+    });
+    return server;
+}
+
+// --- Page ---
+
+function dashboardPage(harvester) {
+    return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${harvester} harvest</title>
+<style>
+  body { font-family: sans-serif; margin: 20px; color: #222; }
+  h1 { font-size: 20px; }
+  #banner { padding: 8px 12px; background: #fde2e1; border-radius: 4px; }
+  #totals span { display: inline-block; margin-right: 18px; }
+  #buttons button { margin: 0 6px 6px 0; padding: 6px 12px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+  td, th { text-align: left; padding: 3px 8px; border-bottom: 1px solid #eee; font-size: 13px; }
+  progress { width: 160px; }
+  .muted { color: #888; }
+</style></head>
+<body>
+<h1>${harvester} harvest <span id="state" class="muted"></span></h1>
+<p id="banner" hidden></p>
+<div id="buttons"></div>
+<p id="message" class="muted"></p>
+<p id="totals"></p>
+<h2>Active downloads</h2>
+<table><thead><tr><th>Item</th><th>Attempt</th><th>Progress</th></tr></thead><tbody id="active"></tbody></table>
+<h2>Recent failures</h2>
+<table><thead><tr><th>Time</th><th>Item</th><th>Error</th><th></th></tr></thead><tbody id="failures"></tbody></table>
+<script>
+  const LABELS = ${JSON.stringify(CONTROLS)};
+  const $ = id => document.getElementById(id);
+  const text = value => String(value ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const size = bytes => bytes >= 1048576 ? (bytes / 1048576).toFixed(1) + ' MB' : Math.round(bytes / 1024) + ' KB';
+
+  async function control(name) {
+    const res = await fetch('/api/control/' + name, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    const body = await res.json().catch(() => ({}));
+    $('message').textContent = body.message || body.error || res.statusText;
+    refresh();
+  }
+
+  function render(status) {
+    const flags = [];
+    if (status.state.discoveryPaused) flags.push('discovery paused');
+    if (status.state.downloadsPaused) flags.push('downloads paused');
+    if (status.state.stopping) flags.push('stopping');
+    if (status.finished) flags.push('finished');
+    $('state').textContent = flags.length ? '(' + flags.join(', ') + ')' : '';
+    $('banner').hidden = !status.authRequired;
+    $('banner').textContent = 'Waiting for a login: ' + (status.authRequired || '');
+    $('buttons').innerHTML = status.controls.map(name => '<button data-control="' + name + '">' + LABELS[name] + '</button>').join('');
+    const t = status.totals;
+    $('totals').innerHTML = [
+      ['Queued now', status.queueDepth], ['Active', status.active.length], ['Discovered', t.discovered],
+      ['Completed', t.completed + ' (' + size(t.bytes) + ')'], ['Skipped', t.skipped], ['Failed', t.failed], ['Retried', t.retried],
+    ].map(([label, value]) => '<span>' + label + ': <b>' + text(value) + '</b></span>').join('');
+    $('active').innerHTML = status.active.map(a => '<tr><td>' + text(a.item) + '</td><td>' + text(a.attempt) + '</td><td>' +
+      (a.totalBytes ? '<progress max="' + a.totalBytes + '" value="' + a.bytes + '"></progress> ' : '') +
+      size(a.bytes) + (a.totalBytes ? ' / ' + size(a.totalBytes) : '') + '</td></tr>').join('') ||
+      '<tr><td colspan="3" class="muted">none</td></tr>';
+    $('failures').innerHTML = status.recentFailures.map(f => '<tr><td>' + text(f.time.slice(11, 19)) + '</td><td>' + text(f.item) +
+      '</td><td>' + text(f.error) + '</td><td>' + (f.final ? 'gave up' : 'retrying') + '</td></tr>').join('') ||
+      '<tr><td colspan="4" class="muted">none</td></tr>';
+  }
+
+  async function refresh() {
+    try {
+      render(await (await fetch('/api/status')).json());
+    } catch {
+      $('state').textContent = '(not responding; the harvest may have ended)';
+    }
+  }
+
+  $('buttons').addEventListener('click', event => {
+    const name = event.target.dataset.control;
+    if (name) control(name);
+  });
+  refresh();
+  setInterval(refresh, 2000);
+</script></body></html>`;
+}
+
+module.exports = { startDashboard };
@@ -0,0 +1,276 @@
+const { net } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { promises: fsPromises } = require('fs');
+const { parseRetryAfter } = require('./rate-controller');
+
+// --- Direct Downloads ---
+//
+// Fetches a URL through an Electron session, so the request carries the
+// session's login cookies, and streams it into a file. Unlike a browser
+// download it needs no focused window, reports HTTP errors as they are, and
+// cancels itself when the transfer stalls (or when the caller aborts it).
+//
+// A body is only accepted when its length matches Content-Length and its
+// Content-Type is one the caller expects, so a cut-off transfer or an HTML
+// error page served with status 200 is an error rather than a finished file.
+
+class DownloadError extends Error {
+    /**
+     * @param {string} message
+     * @param {number|null} statusCode HTTP status, when the server sent one.
+     * @param {boolean} keepPartial true when the bytes received so far are good and a Range request may continue them.
+     */
+    constructor(message, statusCode = null, keepPartial = false) {
+        super(message);
+        this.name = 'DownloadError';
+        this.statusCode = statusCode;
+        this.keepPartial = keepPartial;
+        this.retryAfterMs = null; // How long the server asked us to wait, from Retry-After
+    }
+}
+
+function headerValue(headers, name) {
+    const value = headers[name.toLowerCase()];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Reads the file name out of a Content-Disposition header, preferring the
+ * RFC 5987 filename* form. Returns null when there is none.
+ */
+function filenameFromDisposition(disposition) {
+    if (!disposition) return null;
+    const extended = /filename\*\s*=\s*[^']*'[^']*'([^;]+)/i.exec(disposition);
+    if (extended) {
+        try { return decodeURIComponent(extended[1].trim()); } catch { /* Fall back to the plain form */ }
+    }
+    const plain = /filename\s*=\s*"([^"]*)"|filename\s*=\s*([^;]+)/i.exec(disposition);
+    return plain ? (plain[1] ?? plain[2]).trim() : null;
+}
+
+// Keeps a server-supplied name inside destDir and valid on every platform.
+function safeFilename(name) {
+    const cleaned = path.basename(name.replace(/\\/g, '/')).replace(/[<>:"|?*\u0000-\u001f]/g, '_').replace(/^[\s.]+|[\s.]+$/g, '');
+    return cleaned || 'download';
+}
+
+function statusError(response, detail = '') {
+    const err = new DownloadError(`HTTP ${response.statusCode}${detail}`, response.statusCode);
+    err.retryAfterMs = parseRetryAfter(headerValue(response.headers, 'retry-after'));
+    return err;
+}
+
+/** Throws unless the response's Content-Type starts with one of acceptTypes (any type when none are given). */
+function checkContentType(response, acceptTypes) {
+    const type = (headerValue(response.headers, 'content-type') || '').split(';')[0].trim().toLowerCase();
+    if (acceptTypes && type && !acceptTypes.some(accepted => type.startsWith(accepted))) {
+        throw new DownloadError(`unexpected content type ${type}`, response.statusCode);
+    }
+}
+
+/** The body length the server announced, or null when it did not (or sent it compressed). */
+function announcedLength(response) {
+    const encoding = headerValue(response.headers, 'content-encoding');
+    const length = headerValue(response.headers, 'content-length');
+    if ((encoding && encoding !== 'identity') || length === undefined || !/^\d+$/.test(length)) return null;
+    return Number(length);
+}
+
+/**
+ * Sends one request and hands the response to onResponse, which settles the
+ * returned promise through its controller: ok(value) or fail(err). The
+ * transfer fails on its own on a network error, when no data arrives for
+ * stallTimeoutMs (touch() restarts that clock) or when signal is aborted.
+ */
+function transfer({ url, session, headers = {}, stallTimeoutMs, signal }, onResponse) {
+    return new Promise((resolve, reject) => {
+        // An explicit Cookie header replaces the session's cookies rather than mixing with them.
+        const useSessionCookies = !Object.keys(headers).some(name => name.toLowerCase() === 'cookie');
+        const request = net.request({ url, session, useSessionCookies, redirect: 'follow' });
+        for (const [name, value] of Object.entries(headers)) request.setHeader(name, value);
+        const cleanups = [];
+        let settled = false;
+        let stallTimer = null;
+        const onAbort = () => controller.fail(new DownloadError('cancelled', null, true));
+
+        const controller = {
+            ok(value) {
+                if (settled) return;
+                settled = true;
+                clearTimeout(stallTimer);
+                signal?.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            fail(err) {
+                if (settled) return;
+                settled = true;
+                clearTimeout(stallTimer);
+                signal?.removeEventListener('abort', onAbort);
+                request.abort();
+                cleanups.forEach(cleanup => cleanup());
+                reject(err instanceof DownloadError ? err : new DownloadError(err.message));
+            },
+            touch() {
+                clearTimeout(stallTimer);
+                stallTimer = setTimeout(() => controller.fail(new DownloadError(`no data for ${stallTimeoutMs / 1000} seconds`, null, true)), stallTimeoutMs);
+            },
+            /** Runs cleanup if the transfer fails. */
+            onFail(cleanup) {
+                cleanups.push(cleanup);
+            },
+        };
+
+        request.on('response', response => {
+            try {
+                onResponse(response, controller);
+            } catch (err) {
+                controller.fail(err);
+            }
+        });
+        request.on('error', controller.fail);
+        if (signal?.aborted) {
+            onAbort();
+            return;
+        }
+        signal?.addEventListener('abort', onAbort);
+
+        controller.touch();
+        request.end();
+    });
+}
+
+/**
+ * Streams a response body into filePath (appending when append is set) and
+ * feeds it to hash and onProgress(bytes, expectedBytes). Resolves with the number of bytes written once the file
+ * is flushed; fails the transfer when the body ends short of, or runs past,
+ * expectedBytes.
+ */
+function receiveBody(response, controller, { filePath, append, hash, expectedBytes, onProgress }) {
+    return new Promise(resolve => {
+        const file = fs.createWriteStream(filePath, { flags: append ? 'a' : 'w' });
+        let bytes = 0;
+        controller.onFail(() => file.destroy());
+
+        response.on('data', chunk => {
+            bytes += chunk.length;
+            if (hash) hash.update(chunk);
+            if (onProgress) onProgress(bytes, expectedBytes);
+            controller.touch();
+        });
+        response.on('error', controller.fail);
+        response.on('aborted', () => controller.fail(new DownloadError('connection closed before the download finished', null, true)));
+        file.on('error', controller.fail);
+        file.on('finish', () => {
+            if (expectedBytes !== null && bytes < expectedBytes) {
+                controller.fail(new DownloadError(`body ended after ${bytes} of ${expectedBytes} bytes`, null, true));
+            } else if (expectedBytes !== null && bytes > expectedBytes) {
+                controller.fail(new DownloadError(`body has ${bytes} bytes, ${expectedBytes} were announced`));
+            } else {
+                resolve(bytes);
+            }
+        });
+        response.pipe(file);
+    });
+}
+
+async function hashFileInto(hash, filePath) {
+    for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+    return hash;
+}
+
+/** SHA-256 of a file, as hex. */
+async function sha256File(filePath) {
+    return (await hashFileInto(crypto.createHash('sha256'), filePath)).digest('hex');
+}
+
+/**
+ * Downloads url into destDir, under the name the server suggests. Data goes
+ * to "<name>.part" first and is renamed once complete, so a half-written file
+ * never looks finished.
+ * @param {object} params
+ * @param {string} params.url
+ * @param {Electron.Session} params.session Session whose cookies authorize the request.
+ * @param {string} params.destDir
+ * @param {string} params.fallbackName File name to use when the server does not suggest one.
+ * @param {number} params.stallTimeoutMs Cancel when no data arrives for this long.
+ * @param {string[]} [params.acceptTypes] Content-Type prefixes to accept, e.g. ['image/'].
+ * @param {function(number, number|null): void} [params.onProgress] Called with bytes received and the total, when known.
+ * @returns {Promise<{path: string, bytes: number, mimeType: string|null}>}
+ * @throws {DownloadError} On an HTTP error status, an unexpected type or length, a stall or a network error.
+ */
+function downloadToFile({ url, session, destDir, fallbackName, stallTimeoutMs, acceptTypes, onProgress }) {
+    return transfer({ url, session, stallTimeoutMs }, (response, controller) => {
+        if (response.statusCode !== 200) {
+            throw statusError(response);
+        }
+        checkContentType(response, acceptTypes);
+
+        const suggested = filenameFromDisposition(headerValue(response.headers, 'content-disposition'));
+        const finalPath = path.join(destDir, safeFilename(suggested || fallbackName));
+        const partPath = `${finalPath}.part`;
+        controller.onFail(() => fs.unlink(partPath, () => {}));
+
+        receiveBody(response, controller, { filePath: partPath, append: false, hash: null, expectedBytes: announcedLength(response), onProgress })
+            .then(async bytes => {
+                await fsPromises.rename(partPath, finalPath);
+                controller.ok({ path: finalPath, bytes, mimeType: headerValue(response.headers, 'content-type') || null });
+            })
+            .catch(controller.fail);
+    });
+}
+
+/**
+ * Downloads url into filePath, continuing a partial file left there by an
+ * earlier, interrupted attempt with a Range request. A partial file is kept
+ * after a stall or a dropped connection and removed after any other failure.
+ * @param {object} params
+ * @param {string} params.url
+ * @param {Electron.Session} params.session
+ * @param {string} params.filePath Where the data goes; the caller moves it once satisfied.
+ * @param {object} [params.headers] Extra request headers; a Cookie header replaces the session's cookies.
+ * @param {number} params.stallTimeoutMs Cancel when no data arrives for this long.
+ * @param {string[]} [params.acceptTypes] Content-Type prefixes to accept, e.g. ['video/'].
+ * @param {function(number, number|null): void} [params.onProgress] Called with bytes in the file so far and the full size, when known.
+ * @param {AbortSignal} [params.signal] Cancels the transfer; the partial file is kept.
+ * @returns {Promise<{path: string, bytes: number, sha256: string, resumedFrom: number, mimeType: string|null}>}
+ *   resumedFrom is the byte offset the transfer continued at, 0 for a fresh one.
+ * @throws {DownloadError}
+ */
+async function downloadToPath({ url, session, filePath, headers = {}, stallTimeoutMs, acceptTypes, onProgress, signal }) {
+    const existing = await fsPromises.stat(filePath).then(stat => stat.size, () => 0);
+    const requestHeaders = existing > 0 ? { ...headers, Range: `bytes=${existing}-` } : headers;
+    // Hash what is already there before any new data arrives.
+    const partialHash = existing > 0 ? await hashFileInto(crypto.createHash('sha256'), filePath) : null;
+
+    try {
+        return await transfer({ url, session, headers: requestHeaders, stallTimeoutMs, signal }, (response, controller) => {
+            // The server may ignore the Range header and send everything (200), which starts over.
+            const range = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(headerValue(response.headers, 'content-range') || '');
+            const resumed = existing > 0 && response.statusCode === 206 && range && Number(range[1]) === existing;
+            if (response.statusCode !== 200 && !resumed) {
+                throw statusError(response, response.statusCode === 206 ? ' for a range we did not ask for' : '');
+            }
+            checkContentType(response, acceptTypes);
+
+            const start = resumed ? existing : 0;
+            const hash = resumed ? partialHash : crypto.createHash('sha256');
+            const length = announcedLength(response);
+            const progress = onProgress && ((bytes, expected) => onProgress(start + bytes, length === null ? null : start + expected));
+            receiveBody(response, controller, { filePath, append: resumed, hash, expectedBytes: length, onProgress: progress })
+                .then(bytes => controller.ok({
+                    path: filePath,
+                    bytes: start + bytes,
+                    sha256: hash.digest('hex'),
+                    resumedFrom: start,
+                    mimeType: headerValue(response.headers, 'content-type') || null,
+                }));
+        });
+    } catch (err) {
+        if (!err.keepPartial) await fsPromises.rm(filePath, { force: true });
+        throw err;
+    }
+}
+
+module.exports = { downloadToFile, downloadToPath, sha256File, DownloadError };
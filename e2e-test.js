@@ -0,0 +1,225 @@
+const { spawn, spawnSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const { detectFileFormat } = require('./metadata');
+
+// --- End-to-End Tests ---
+//
+// Starts mock-server.js, runs every harvester against it with --json and
+// checks what each one saved:
+//   npm run e2e [-- --keep]   (--keep leaves the output folders for a look)
+// Electron needs a display; on a Linux box without one the harvesters run
+// under xvfb-run when it is installed.
+// The modules that need no Electron have unit tests in test/ instead, run by
+// "npm test".
+//
+// Each check gets the liked posts the mock serves (as the API returns them)
+// and the harvester's run: its exit code, its events and the files below its
+// output folder. It returns a list of problems, empty when all is well.
+
+const POST_COUNT = 30;
+const RUN_TIMEOUT_MS = 4 * 60 * 1000;
+const MEDIA_EXTENSIONS = new Set(['.png', '.jpg', '.mp4', '.gif', '.webp']);
+
+const CASES = [
+    {
+        harvester: 'grok2',
+        args: ['--autostart'],
+        check: (liked, run) => [
+            ...missingImages(liked, run),
+            ...countAtLeast('media files', run.media.length, liked.length + liked.filter(post => post.childPosts.length > 0).length),
+            ...noErrors(run),
+        ],
+    },
+    {
+        harvester: 'grok',
+        // Cards without a video would wait for one for the default 123 seconds.
+        args: ['--poll-timeout', '3', '--scroll-delay', '0.5'],
+        check: (liked, run) => [
+            ...missingImages(liked, run),
+            ...countAtLeast('videos', run.media.filter(file => file.endsWith('.mp4')).length, liked.filter(post => post.childPosts.length > 0).length),
+            // grok asks for an HD video of every video; the mock only has some.
+            ...noErrors(run, event => event.item.endsWith(':video-hd') && /HTTP 404/.test(event.error)),
+        ],
+    },
+    {
+        harvester: 'grok-api',
+        args: [],
+        check: (liked, run) => [...missingImages(liked, run), ...noErrors(run)],
+    },
+    {
+        harvester: 'google',
+        takeout: true, // Runs on the mock's Takeout fixture instead of an empty folder
+        args: [],
+        check: (liked, run) => [
+            ...countAtLeast('recovered items', run.finished?.stats.downloaded ?? 0, run.sidecars),
+            ...noErrors(run),
+        ],
+    },
+];
+
+// --- Checks ---
+
+function missingImages(liked, run) {
+    const missing = liked.filter(post => !run.media.some(file => path.basename(file).includes(post.id) && file.endsWith('.png')));
+    return missing.length ? [`no image saved for ${missing.length} of ${liked.length} posts, e.g. ${missing[0].id}`] : [];
+}
+
+function countAtLeast(what, actual, expected) {
+    return actual >= expected ? [] : [`${actual} ${what}, expected at least ${expected}`];
+}
+
+/** Problems from the run's exit, its final failures (except expected ones) and its saved files. */
+function noErrors(run, expected = () => false) {
+    const problems = [];
+    if (run.exitCode !== 0) problems.push(`exited with ${run.timedOut ? 'a timeout' : `code ${run.exitCode}`}`);
+    if (!run.finished) problems.push('sent no "finished" event');
+    const failures = run.events.filter(event => event.event === 'failed' && event.final && !expected(event));
+    if (failures.length) problems.push(`${failures.length} items failed, e.g. ${failures[0].item}: ${failures[0].error}`);
+    if (run.badFiles.length) problems.push(`${run.badFiles.length} saved files are not media, e.g. ${run.badFiles[0]}`);
+    return problems;
+}
+
+// --- Running ---
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+function startMockServer(port, takeoutDir) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(__dirname, 'mock-server.js'), '--port', String(port), '--posts', String(POST_COUNT), '--takeout', takeoutDir], { stdio: ['ignore', 'pipe', 'inherit'] });
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('Mock server on')) resolve(child);
+        });
+        child.on('exit', code => reject(new Error(`mock-server.js exited with code ${code}`)));
+    });
+}
+
+/** Asks the mock for its liked posts, the way the favorites page does. */
+async function likedPosts(baseUrl) {
+    const page = await fetch(`${baseUrl}/imagine/favorites`);
+    const cookie = page.headers.get('set-cookie').split(';')[0];
+    const response = await fetch(`${baseUrl}/rest/media/post/list`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Cookie: cookie },
+        body: JSON.stringify({ limit: 1000, filter: { source: 'MEDIA_POST_SOURCE_LIKED' } }),
+    });
+    return (await response.json()).posts;
+}
+
+function electronCommand() {
+    let electronPath;
+    try {
+        electronPath = require('electron'); // The binary's path, outside Electron
+    } catch (err) {
+        throw new Error(`Electron is not installed (${err.message}); run "npm install" first.`);
+    }
+    const headless = process.platform === 'linux' && !process.env.DISPLAY;
+    if (headless && spawnSync('xvfb-run', ['--help'], { stdio: 'ignore' }).error === undefined) {
+        return ['xvfb-run', ['-a', electronPath]];
+    }
+    return [electronPath, []];
+}
+
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.name.startsWith('.')) return []; // Ledger, manifest and partial downloads
+        return entry.isDirectory() ? listFiles(full) : [full];
+    });
+}
+
+/** Runs one harvester and collects its exit code, events and saved media. */
+async function runHarvester(testCase, outputDir, baseUrl, [command, prefix]) {
+    const args = [...prefix, __dirname, testCase.harvester, outputDir, '--base-url', baseUrl, '--json', ...testCase.args];
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const events = [];
+    let buffered = '';
+    let log = '';
+    child.stdout.on('data', chunk => {
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+            try { events.push(JSON.parse(line)); } catch { log += `${line}\n`; }
+        }
+    });
+    child.stderr.on('data', chunk => { log += chunk; });
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill();
+    }, RUN_TIMEOUT_MS);
+    const exitCode = await new Promise(resolve => child.on('exit', code => resolve(code)));
+    clearTimeout(timer);
+
+    const media = listFiles(outputDir).filter(file => MEDIA_EXTENSIONS.has(path.extname(file).toLowerCase()));
+    const badFiles = [];
+    for (const file of media) {
+        if (!(await detectFileFormat(file))) badFiles.push(file);
+    }
+    return {
+        exitCode: timedOut ? null : exitCode,
+        timedOut,
+        events,
+        log,
+        finished: events.find(event => event.event === 'finished'),
+        media: media.map(file => path.relative(outputDir, file)),
+        badFiles,
+        sidecars: listFiles(outputDir).filter(file => /\.(png|jpg)\.json$/i.test(file)).length,
+    };
+}
+
+async function main() {
+    const keep = process.argv.includes('--keep');
+    const electron = electronCommand();
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'harvest-e2e-'));
+    const takeoutDir = path.join(workDir, 'takeout');
+    const port = await freePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const mock = await startMockServer(port, takeoutDir);
+    let failed = 0;
+
+    try {
+        const liked = await likedPosts(baseUrl);
+        console.log(`🧪 Mock server on ${baseUrl}: ${liked.length} liked posts. Output in ${workDir}\n`);
+        for (const testCase of CASES) {
+            const outputDir = testCase.takeout ? takeoutDir : path.join(workDir, testCase.harvester);
+            const started = Date.now();
+            console.log(`▶️  ${testCase.harvester}...`);
+            const run = await runHarvester(testCase, outputDir, baseUrl, electron);
+            const problems = testCase.check(liked, run);
+            const seconds = ((Date.now() - started) / 1000).toFixed(1);
+            if (problems.length === 0) {
+                console.log(`✅ ${testCase.harvester}: ${run.media.length} files in ${seconds}s`);
+            } else {
+                failed++;
+                console.log(`❌ ${testCase.harvester} (${seconds}s):`);
+                problems.forEach(problem => console.log(`   - ${problem}`));
+                console.log(`   Last lines of its log:\n${run.log.trim().split('\n').slice(-15).map(line => `     ${line}`).join('\n')}`);
+            }
+        }
+    } finally {
+        mock.kill();
+        if (!keep) fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    console.log(failed ? `\n❌ ${failed} of ${CASES.length} harvesters failed.` : `\n✨ All ${CASES.length} harvesters passed.`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+});
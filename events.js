@@ -0,0 +1,88 @@
+// --- Machine-Readable Event Stream ---
+//
+// With --json every harvester writes one JSON object per line to stdout and
+// moves its human-readable log to stderr, so a run can be piped into other
+// tools: electron . grok2 --json 2>harvest.log | my-tool
+//
+// Schema (version 2). Every event has:
+//   v          2; bumped only when an existing field changes meaning
+//   event      one of the types below
+//   time       ISO 8601 timestamp
+//   harvester  "google", "grok" or "grok2"
+// and, depending on the event:
+//   discovered     item, source?, title?     a post (grok, grok2) or Takeout JSON (google) was found
+//   queued         item, url?, path?         the item will be downloaded
+//   started        item, url?, path?, attempt
+//   progress       item, bytes, totalBytes   at most once a second per item; totalBytes may be null
+//   completed      item, path, bytes, sha256?, method?
+//   skipped        item, path?, reason       e.g. "exists", "linked", "recovered", "ambiguous", "stopped", "user"
+//   failed         item, error, attempt?, final   final: false when a retry follows
+//   auth-required  reason                    the harvester waits for a login
+//   finished       stats                     counts for the whole run, e.g. { downloaded, skipped, errors }
+// item identifies the thing being harvested: "<post id>:<type>" (plus postId and
+// type) for grok, the JSON path below the scanned folder for google and, for
+// grok2, the post id in discovered and the file path below the output folder
+// (plus postId) in everything after.
+// Fields may be added to any event; consumers should ignore unknown ones.
+//
+// Version 2 changed grok's item from the post id to "<post id>:<type>", so a
+// post's image and video are told apart.
+//
+// Listeners added with subscribe() (e.g. the dashboard) get the same events,
+// with or without --json.
+
+const SCHEMA_VERSION = 2;
+const EVENT_TYPES = ['discovered', 'queued', 'started', 'progress', 'completed', 'skipped', 'failed', 'auth-required', 'finished'];
+const PROGRESS_INTERVAL_MS = 1000;
+
+/**
+ * Creates the event stream of one harvester. When disabled, emit() only
+ * reaches subscribers and the console is left alone.
+ * @param {string} harvester
+ * @param {boolean} enabled Write events to stdout.
+ */
+function createEventStream(harvester, enabled) {
+    const lastProgress = new Map(); // item -> time of its last progress event
+    const listeners = [];
+
+    if (enabled) {
+        // stdout carries events only; everything else is log output.
+        console.log = console.error;
+        console.info = console.error;
+        console.warn = console.error;
+    }
+
+    const events = {
+        enabled,
+
+        /**
+         * @param {string} type One of EVENT_TYPES.
+         * @param {object} fields
+         */
+        emit(type, fields = {}) {
+            if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+            if (!enabled && listeners.length === 0) return;
+            if (type !== 'progress' && fields.item !== undefined) lastProgress.delete(fields.item);
+            const event = { v: SCHEMA_VERSION, event: type, time: new Date().toISOString(), harvester, ...fields };
+            if (enabled) process.stdout.write(`${JSON.stringify(event)}\n`);
+            listeners.forEach(listener => listener(event));
+        },
+
+        /** Calls listener with every event from now on. */
+        subscribe(listener) {
+            listeners.push(listener);
+        },
+
+        /** A progress event, unless the item had one less than PROGRESS_INTERVAL_MS ago. */
+        progress(item, bytes, totalBytes = null) {
+            if (!enabled && listeners.length === 0) return;
+            const now = Date.now();
+            if (now - (lastProgress.get(item) || 0) < PROGRESS_INTERVAL_MS) return;
+            lastProgress.set(item, now);
+            events.emit('progress', { item, bytes, totalBytes });
+        },
+    };
+    return events;
+}
+
+module.exports = { createEventStream, EVENT_TYPES };
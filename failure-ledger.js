@@ -0,0 +1,94 @@
+const fs = require('fs');
+
+// --- Failure Ledger ---
+//
+// Remembers every item a harvester gave up on, so a later "retry-failed" run
+// can re-attempt exactly those. Each harvester keeps its entries apart, since
+// grok and grok2 may share an output folder.
+//
+// Layout:
+//   items[harvester][key]  { url, path, ref, error, attempts, firstFailedAt, lastFailedAt }
+//
+// key is what the harvester calls the item: the file path below the output
+// folder for grok2, "<post id>:<type>" for grok, the JSON path below the
+// scanned folder for google. ref points back at where it came from (post id or
+// JSON path), path is where the file should have been saved, attempts counts
+// every try across runs; grok2 also stores the source the file came from. An
+// item that later succeeds is removed.
+
+const LEDGER_VERSION = 1;
+
+function emptyLedger() {
+    return { version: LEDGER_VERSION, items: {} };
+}
+
+/**
+ * Opens (or starts) the ledger at filePath for one harvester. Failures are
+ * rare, so every change is written at once, synchronously and atomically;
+ * nothing is lost when the harvester quits right after its last failure.
+ * @param {string} filePath
+ * @param {string} harvester e.g. "grok2"
+ */
+function openFailureLedger(filePath, harvester) {
+    let data = emptyLedger();
+
+    if (fs.existsSync(filePath)) {
+        try {
+            data = { ...emptyLedger(), ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        } catch (err) {
+            const backupPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, backupPath);
+            console.warn(`⚠️  Failure ledger was unreadable (${err.message}). Moved it to ${backupPath} and starting fresh.`);
+        }
+    }
+    const items = () => (data.items[harvester] = data.items[harvester] || {});
+
+    const ledger = {
+        path: filePath,
+
+        get(key) {
+            return items()[key] || null;
+        },
+
+        /** This harvester's entries as [key, entry], oldest failure first. */
+        entries() {
+            return Object.entries(items()).sort(([, a], [, b]) => a.firstFailedAt.localeCompare(b.firstFailedAt));
+        },
+
+        /**
+         * Records a permanent failure.
+         * @param {string} key
+         * @param {{url: string|null, path: string|null, ref: string|null, error: string, attempts: number}} entry
+         *   attempts are those of this run; they are added to earlier ones.
+         */
+        record(key, entry) {
+            const previous = items()[key];
+            const now = new Date().toISOString();
+            items()[key] = {
+                ...entry,
+                attempts: (previous?.attempts || 0) + entry.attempts,
+                firstFailedAt: previous?.firstFailedAt || now,
+                lastFailedAt: now,
+            };
+            ledger.save();
+        },
+
+        /** Removes an item that has now succeeded. */
+        resolve(key) {
+            if (!items()[key]) return false;
+            delete items()[key];
+            ledger.save();
+            return true;
+        },
+
+        save() {
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 1));
+            fs.renameSync(tempPath, filePath);
+        },
+    };
+
+    return ledger;
+}
+
+module.exports = { openFailureLedger };
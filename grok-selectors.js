@@ -0,0 +1,75 @@
+const fs = require('fs');
+
+// --- Grok Page Selectors ---
+//
+// How the grok harvester finds its way around the favorites page. When
+// grok.com changes its markup, "electron . grok diagnose" shows which of these
+// broke, and a JSON file given with --selectors patches them without touching
+// the code. It holds any of the keys below; the others keep their defaults:
+//
+//   {
+//     "ITEM_CONTAINER": "div[role=\"listitem\"]",
+//     "POST_ID_PATTERN": "/([a-f0-9-]{36})/"
+//   }
+//
+// POST_ID_PATTERN is a regex applied to the path of a card's image URL; its
+// first capture group is the post id.
+
+const DEFAULT_SELECTORS = {
+    ITEM_CONTAINER: 'div[role="listitem"]',       // One card in the favorites grid
+    ITEM_IMAGE: 'img',                            // The card's image, inside the card
+    ITEM_VIDEO: 'video',                          // The card's video, once it has loaded
+    ITEM_PLAY_BUTTON: 'button:has(svg.lucide-play)', // Shown instead of the video until then
+    POST_ID_PATTERN: '.*([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})',
+};
+
+function readOverrides(filePath) {
+    let overrides;
+    try {
+        overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new Error(`cannot read ${filePath} (${err.message})`);
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error(`${filePath} must hold a JSON object`);
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+        if (!(key in DEFAULT_SELECTORS)) throw new Error(`unknown key "${key}" (use ${Object.keys(DEFAULT_SELECTORS).join(', ')})`);
+        if (typeof value !== 'string' || !value) throw new Error(`${key} must be a non-empty string`);
+    }
+    if (overrides.POST_ID_PATTERN !== undefined) {
+        let groups;
+        try {
+            groups = new RegExp(`${overrides.POST_ID_PATTERN}|`).exec('').length;
+        } catch (err) {
+            throw new Error(`POST_ID_PATTERN is not a valid regex (${err.message})`);
+        }
+        if (groups < 2) throw new Error('POST_ID_PATTERN needs a capture group');
+    }
+    return overrides;
+}
+
+/**
+ * Checks a --selectors file. Returns an error message, or null when it is usable.
+ * CSS syntax is only checked by the page, see the diagnose action.
+ */
+function selectorFileError(filePath) {
+    try {
+        readOverrides(filePath);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+/**
+ * The selectors to use: the defaults, with the entries of filePath (if any) in their place.
+ * @param {string|null} filePath
+ * @returns {{selectors: object, overridden: string[]}} overridden names the keys the file replaced.
+ */
+function loadSelectors(filePath) {
+    const overrides = filePath ? readOverrides(filePath) : {};
+    return { selectors: { ...DEFAULT_SELECTORS, ...overrides }, overridden: Object.keys(overrides) };
+}
+
+module.exports = { DEFAULT_SELECTORS, loadSelectors, selectorFileError };
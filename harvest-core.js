@@ -0,0 +1,541 @@
+const { app, BrowserWindow, globalShortcut } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const { promises: fsPromises } = require('fs');
+const { getOptions } = require('./cli');
+const { getHarvestSession } = require('./profiles');
+const { openManifest, FILE_STATUS } = require('./manifest');
+const { openFailureLedger } = require('./failure-ledger');
+const { downloadToPath } = require('./downloader');
+const { createRateController } = require('./rate-controller');
+const { createEventStream } = require('./events');
+const { createPauseGate, listenForCommands } = require('./controls');
+const { startDashboard } = require('./dashboard');
+
+// --- Harvester Core ---
+//
+// Everything a harvester needs besides finding things to download: the event
+// stream and stats, run controls (dashboard, stdin commands, F8-F11 in its
+// windows, Ctrl+C), the failure ledger, an optional manifest, a download queue
+// (net.request with resume, retries, backoff and rate control), stall
+// detection for browser downloads, and starting up and quitting. A fix made
+// here applies to every harvester.
+//
+// A harvester is a source plugin: its module exports an object that only
+// discovers. harvest.js looks the module up in the registry (HARVESTERS in
+// cli.js) and hands the plugin to runHarvest().
+//
+// Plugin:
+//   name                   Key in HARVESTERS, e.g. "grok2"
+//   outputDir(options)     Folder the run works in; the path argument wins
+//   failuresFile           Failure ledger file in that folder, see failure-ledger.js
+//   manifestFile           Optional; opened as core.manifest, see manifest.js
+//   rateLanes(options)     Optional; lanes besides "downloads", see rate-controller.js
+//   downloads              Optional; the download queue's settings and hooks, below
+//   actions                Optional; { name: async core => {} }, run instead of a
+//                          harvest, with core.session set but no ledger, manifest or queue open
+//   async start(core)      Opens windows and discovers, handing files to
+//                          core.downloads.add(). The harvest ends once it has
+//                          resolved and the queue is empty.
+//   controls(core)         Optional; controls to add or replace (null removes one)
+//   commands(core)         Optional; further stdin commands, see controls.js
+//   summary(core)          Optional; prints extra lines at the end of the run
+//
+// downloads:
+//   concurrency, retries, stallTimeoutMs
+//   tempDir                Folder in outputDir for partial downloads, kept across runs
+//   acceptTypes(task)      Content-Type prefixes to accept
+//   headers(task)          Optional; extra request headers
+//   verify(task, result)   Optional; throws when the temp file is not what was
+//                          asked for, which counts as a failed attempt
+//   complete(task, result) Moves the temp file into place; resolves with
+//                          { path, bytes, sha256, warning? }
+//   eventFields(task)      Optional; fields added to the task's events, e.g. { postId }
+//   ledgerFields(task)     Optional; { path, ref, ... } for its failure ledger entry
+//   onAuthError(task, err) Optional; a promise to wait for before trying the same attempt again
+//                          (once per attempt), or null
+//   blocked()              Optional; true while no download may start
+//   released(task, outcome) Optional; called once a task is done with ('completed', 'failed' or 'skipped')
+//   requeue(task)          Optional; how "Retry failed" queues a task again (default: add)
+//
+// A task is { key, url, path?, ... }: key names it in events, the ledger and
+// the manifest, path is where it will be saved once that is known.
+
+// Keys for the run controls; a pause key resumes what is already paused.
+// They only act while a harvester window has focus, so other applications
+// keep their F keys (F11 is fullscreen in most of them).
+const SHORTCUTS = [
+    { key: 'F8', label: 'pause/resume discovery', control: state => (state.discoveryPaused ? 'resumeDiscovery' : 'pauseDiscovery') },
+    { key: 'F9', label: 'pause/resume downloads', control: state => (state.downloadsPaused ? 'resumeDownloads' : 'pauseDownloads') },
+    { key: 'F10', label: 'skip current', control: () => 'skip' },
+    { key: 'F11', label: 'stop', control: () => 'stop' },
+];
+
+/**
+ * Runs a harvest with the given source plugin.
+ * @param {object} plugin See the plugin interface above.
+ */
+function runHarvest(plugin) {
+    const options = getOptions(plugin.name);
+    const events = createEventStream(plugin.name, options.json);
+    const stopListeners = [];
+    let discoveryDone = false;
+    let finished = false;
+    let commandInput = null;
+
+    const core = {
+        name: plugin.name,
+        options,
+        action: process.customData?.action || null,
+        events,
+        outputDir: path.resolve(process.customData?.path || plugin.outputDir(options)),
+        stats: { found: 0, downloaded: 0, skipped: 0, errors: 0 },
+        discovery: createPauseGate('Discovery'),
+        downloading: createPauseGate('Downloads'), // While paused, queued downloads wait; running ones finish
+        stopping: false, // Graceful stop: no new discovery or downloads, then quit
+        session: null,
+        failures: null,
+        manifest: null,
+        rates: null,
+        downloads: null,
+
+        /** Calls listener once, when a graceful stop begins. */
+        onStop(listener) {
+            stopListeners.push(listener);
+        },
+
+        stop() {
+            if (core.stopping) return 'Already stopping.';
+            core.stopping = true;
+            console.log('\n⏹️  Stopping: no new discovery or downloads; waiting for running downloads to finish...');
+            // Let paused work run into the stop instead of waiting forever.
+            core.discovery.resume();
+            core.downloading.resume();
+            stopListeners.forEach(listener => listener());
+            if (core.downloads) core.downloads.pump();
+            else core.checkDone();
+            return 'Stopping once running downloads finish.';
+        },
+
+        /** Ends the run once discovery is over and no download is left to run. */
+        checkDone() {
+            if (finished || !discoveryDone || (core.downloads && !core.downloads.idle)) return;
+            finished = true;
+            finish();
+        },
+
+        watchDownloadItem,
+    };
+
+    function finish() {
+        const left = core.downloads?.drain() || [];
+        if (left.length > 0) {
+            console.log(`\n⏹️  Stopped with ${left.length} files still queued; the next run picks them up.`);
+            for (const task of left) events.emit('skipped', { item: task.key, ...core.downloads.eventFields(task), reason: 'stopped' });
+        }
+        console.log('\n✨ All operations completed!');
+        console.log(`📥 Total Downloaded: ${core.stats.downloaded}`);
+        console.log(`⏭️  Total Skipped: ${core.stats.skipped}`);
+        console.log(`❌ Errors: ${core.stats.errors}`);
+        if (plugin.summary) plugin.summary(core);
+        const failedItems = core.failures ? core.failures.entries().length : 0;
+        if (failedItems > 0) {
+            console.log(`📒 ${failedItems} failed items are listed in ${core.failures.path}; run "retry-failed" to try them again.`);
+        }
+        events.emit('finished', { stats: core.stats });
+        app.quit();
+    }
+
+    // --- Run Controls (see controls.js) ---
+
+    const controls = {
+        state: () => ({ discoveryPaused: core.discovery.paused, downloadsPaused: core.downloading.paused, stopping: core.stopping }),
+        pauseDiscovery: () => (core.discovery.pause() ? 'Discovery pauses at its next step.' : 'Discovery is already paused.'),
+        resumeDiscovery: () => (core.discovery.resume() ? 'Discovery resumed.' : 'Discovery was not paused.'),
+        pauseDownloads: () => (core.downloading.pause() ? 'No new downloads start; running ones finish.' : 'Downloads are already paused.'),
+        resumeDownloads() {
+            if (!core.downloading.resume()) return 'Downloads were not paused.';
+            if (core.downloads) core.downloads.pump();
+            return 'Downloads resumed.';
+        },
+        skip: plugin.downloads ? () => core.downloads.skip() : null,
+        retryFailed: plugin.downloads ? () => core.downloads.retryFailed() : null,
+        stop: () => core.stop(),
+    };
+
+    function listenForControls() {
+        Object.assign(controls, plugin.controls ? plugin.controls(core) : {});
+        startDashboard(options, { harvester: plugin.name, events, controls });
+
+        const shortcuts = SHORTCUTS.filter(({ control }) => typeof controls[control(controls.state())] === 'function');
+        const onKey = (event, input) => {
+            if (input.type !== 'keyDown' || input.isAutoRepeat || input.control || input.alt || input.meta) return;
+            const shortcut = shortcuts.find(({ key }) => key === input.key);
+            if (!shortcut) return;
+            event.preventDefault();
+            console.log(`⌨️  ${shortcut.key}: ${controls[shortcut.control(controls.state())]()}`);
+        };
+        const watchKeys = window => window.webContents.on('before-input-event', onKey);
+        BrowserWindow.getAllWindows().forEach(watchKeys);
+        app.on('browser-window-created', (event, window) => watchKeys(window));
+        commandInput = listenForCommands(controls, {
+            status: () => `Queue: ${core.downloads?.size || 0} | Active: ${core.downloads?.active || 0} | Found: ${core.stats.found} | Downloaded: ${core.stats.downloaded} | Skipped: ${core.stats.skipped} | Errors: ${core.stats.errors}`,
+            ...(plugin.commands ? plugin.commands(core) : {}),
+        });
+        const keys = shortcuts.map(({ key, label }) => `${key} ${label}`).join(' · ');
+        console.log(`⌨️  ${keys} in the harvester window (or type "help" here)`);
+
+        // Ctrl+C stops gracefully; a second one quits at once (the manifest is still saved).
+        process.on('SIGINT', () => {
+            if (core.stopping) {
+                app.quit();
+                return;
+            }
+            console.log(`\n${core.stop()} Press Ctrl+C again to quit now.`);
+        });
+    }
+
+    // --- Lifecycle ---
+
+    app.whenReady().then(async () => {
+        core.session = getHarvestSession(options.profile);
+        const action = plugin.actions?.[core.action];
+        if (action) {
+            await action(core);
+            app.quit();
+            return;
+        }
+
+        await fsPromises.mkdir(core.outputDir, { recursive: true });
+        if (plugin.manifestFile) core.manifest = openManifest(path.join(core.outputDir, plugin.manifestFile));
+        core.failures = openFailureLedger(path.join(core.outputDir, plugin.failuresFile), plugin.name);
+        if (core.action === 'retry-failed') {
+            if (core.failures.entries().length === 0) {
+                console.log(`✨ Nothing to retry: ${core.failures.path} lists no failed ${plugin.name} items.`);
+                app.quit();
+                return;
+            }
+            console.log(`♻️  Retrying ${core.failures.entries().length} failed items from ${core.failures.path}`);
+        }
+
+        core.rates = createRateController({
+            ...(plugin.rateLanes ? plugin.rateLanes(options) : {}),
+            downloads: { concurrency: plugin.downloads?.concurrency || 1, delayMs: 0 },
+        });
+        if (plugin.downloads) {
+            core.downloads = createDownloadQueue(core, plugin.downloads);
+            await core.downloads.prepare();
+        }
+
+        if (options.profile) {
+            console.log(`👤 Profile: ${options.profile}`);
+        }
+        listenForControls();
+
+        try {
+            await plugin.start(core);
+        } catch (err) {
+            console.error(`❌ ${plugin.name} discovery failed:`, err.message);
+            core.stats.errors++;
+        }
+        discoveryDone = true;
+        core.checkDone();
+    }).catch(err => {
+        console.error(`❌ ${plugin.name} could not run:`, err);
+        app.quit();
+    });
+
+    app.on('will-quit', () => {
+        globalShortcut.unregisterAll();
+        if (commandInput) commandInput.close();
+        // Flush the manifest; debounced saves may still be pending.
+        if (core.manifest) {
+            try {
+                core.manifest.saveSync();
+            } catch (err) {
+                console.error('❌ Error saving manifest:', err);
+            }
+        }
+        if (core.downloads) core.downloads.cleanUp();
+    });
+
+    return core;
+}
+
+// --- Download Queue ---
+
+/**
+ * Downloads tasks through net.request, a few at a time as the "downloads"
+ * rate lane allows. A failed attempt is retried after a backoff; a transfer
+ * that stalled or dropped keeps its partial file and continues it.
+ * @param {object} core
+ * @param {object} settings The plugin's downloads settings and hooks.
+ */
+function createDownloadQueue(core, settings) {
+    const queue = [];
+    const parked = new Map(); // task -> attempt it was at when it was put back to wait for a login
+    const transfers = new Map(); // Task -> AbortController, while its bytes are arriving
+    const failedTasks = []; // Given up on in this run, for "Retry failed"
+    const tempDir = path.join(core.outputDir, settings.tempDir);
+    let active = 0;
+
+    const eventFields = task => (settings.eventFields ? settings.eventFields(task) : {});
+    // Downloads land in one flat temp folder, so keys with folders (or ":") must not clash there.
+    const tempPathFor = key => path.join(tempDir, key.split(/[\\/:]/).join('__'));
+
+    const downloads = {
+        tempDir,
+        tempPathFor,
+        eventFields,
+
+        get active() {
+            return active;
+        },
+
+        get size() {
+            return queue.length;
+        },
+
+        /** Nothing runs and nothing more will start. */
+        get idle() {
+            return active === 0 && (queue.length === 0 || core.stopping);
+        },
+
+        /** Creates the temp folder, keeping partial downloads that a pending manifest file can continue. */
+        async prepare() {
+            await fsPromises.mkdir(tempDir, { recursive: true });
+            if (!core.manifest) return;
+            const pending = core.manifest.filesWithStatus(FILE_STATUS.QUEUED, FILE_STATUS.FAILED);
+            const resumable = new Set(pending.map(file => path.basename(tempPathFor(file.relPath))));
+            let kept = 0;
+            for (const name of await fsPromises.readdir(tempDir)) {
+                if (resumable.has(name)) kept++;
+                else await fsPromises.rm(path.join(tempDir, name), { recursive: true, force: true });
+            }
+            if (kept > 0) console.log(`⏯️  ${kept} partial download(s) from an earlier run will be resumed.`);
+        },
+
+        add(task) {
+            queue.push(task);
+            core.events.emit('queued', { item: task.key, ...eventFields(task), url: task.url, path: task.path });
+            downloads.pump();
+        },
+
+        /** Starts what may start, and ends the run when nothing is left. */
+        pump() {
+            if (!core.stopping && !core.downloading.paused && !(settings.blocked && settings.blocked())) {
+                while (active < core.rates.concurrency('downloads') && queue.length > 0) {
+                    const task = queue.shift();
+                    run(task, parked.get(task) ?? 0);
+                }
+            }
+            core.checkDone();
+        },
+
+        /** Empties the queue and returns what was in it. */
+        drain() {
+            return queue.splice(0);
+        },
+
+        skip() {
+            // The longest-running transfer is the likeliest to be stuck.
+            const [task, transfer] = transfers.entries().next().value || [];
+            if (!task) return 'Nothing is downloading right now.';
+            transfer.abort();
+            return `Skipping ${task.key}.`;
+        },
+
+        retryFailed() {
+            if (core.stopping) return 'Stopping; nothing is retried.';
+            const retries = failedTasks.splice(0);
+            for (const task of retries) {
+                if (settings.requeue) settings.requeue(task);
+                else downloads.add(task);
+            }
+            console.log(`♻️  Re-queued ${retries.length} failed downloads.`);
+            downloads.pump();
+            return `Re-queued ${retries.length} failed downloads.`;
+        },
+
+        /** Partial downloads stay for the next run to resume; only an empty temp folder goes. */
+        cleanUp() {
+            try {
+                if (fs.existsSync(tempDir)) {
+                    fs.rmdirSync(tempDir);
+                    console.log('🗑️  Cleaned up temp directory.');
+                }
+            } catch (err) {
+                if (err.code === 'ENOTEMPTY' || err.code === 'EEXIST') {
+                    console.log(`⏯️  Kept ${fs.readdirSync(tempDir).length} partial download(s) in ${tempDir} for the next run.`);
+                } else {
+                    console.error('❌ Error cleaning up temp directory:', err);
+                }
+            }
+        },
+    };
+
+    async function run(task, attempt) {
+        active++;
+        const tempPath = tempPathFor(task.key);
+
+        await core.rates.ready('downloads');
+        console.log(`⬇️  Downloading: ${task.key}`);
+        core.events.emit('started', { item: task.key, ...eventFields(task), url: task.url, path: task.path, attempt: attempt + 1 });
+
+        let result;
+        const transfer = new AbortController(); // Aborted by the "skip" control
+        transfers.set(task, transfer);
+        try {
+            // A partial temp file from an interrupted attempt is continued, not restarted.
+            result = await downloadToPath({
+                url: task.url,
+                session: core.session,
+                filePath: tempPath,
+                headers: settings.headers ? settings.headers(task) : {},
+                stallTimeoutMs: settings.stallTimeoutMs,
+                acceptTypes: settings.acceptTypes(task),
+                onProgress: (bytes, totalBytes) => core.events.progress(task.key, bytes, totalBytes),
+                signal: transfer.signal,
+            });
+            if (settings.verify) await settings.verify(task, result);
+        } catch (err) {
+            if (transfer.signal.aborted) {
+                skip(task);
+                return;
+            }
+            // Waiting for a login uses up no retry, but happens at most once per
+            // attempt: a task that fails again after the login counts it as failed.
+            const reauth = settings.onAuthError && parked.get(task) !== attempt ? settings.onAuthError(task, err) : null;
+            if (reauth) {
+                active--;
+                parked.set(task, attempt);
+                queue.unshift(task);
+                reauth.then(downloads.pump);
+                return;
+            }
+            core.rates.report('downloads', err);
+            retryOrFail(task, err, attempt);
+            return;
+        } finally {
+            transfers.delete(task);
+        }
+        core.rates.report('downloads');
+        if (result.resumedFrom > 0) console.log(`   ⏯️  Resumed ${task.key} at ${result.resumedFrom} bytes`);
+
+        try {
+            const saved = await settings.complete(task, result);
+            core.stats.downloaded++;
+            core.failures.resolve(task.key);
+            if (core.manifest) {
+                core.manifest.updateFile(task.key, { status: FILE_STATUS.DOWNLOADED, bytes: saved.bytes, sha256: saved.sha256, error: saved.warning || null });
+            }
+            console.log(`✅ Saved: ${task.key}`);
+            core.events.emit('completed', {
+                item: task.key, ...eventFields(task), path: saved.path, bytes: saved.bytes, sha256: saved.sha256,
+                ...(saved.warning ? { warning: saved.warning } : {}),
+            });
+            settle(task, 'completed');
+        } catch (err) {
+            // The bytes arrived but could not be saved; another download would not help.
+            fail(task, err, attempt + 1);
+        }
+    }
+
+    function retryOrFail(task, err, attempt) {
+        console.error(`❌ Fail: ${task.key} (${err.message})`);
+        if (attempt >= settings.retries) {
+            fail(task, err, attempt + 1);
+            return;
+        }
+        const delayMs = core.rates.backoffMs(attempt, err.retryAfterMs);
+        console.log(`   Retrying ${task.key} in ${(delayMs / 1000).toFixed(1)}s... (${attempt + 1}/${settings.retries})`);
+        core.events.emit('failed', { item: task.key, ...eventFields(task), error: err.message, attempt: attempt + 1, final: false });
+        // The task keeps its slot while it waits, so the wait also slows the queue
+        // and the harvest cannot look finished in the meantime.
+        setTimeout(() => {
+            if (core.stopping) {
+                // A stop came while it waited; the next run tries it again.
+                core.events.emit('skipped', { item: task.key, ...eventFields(task), reason: 'stopped' });
+                settle(task, 'skipped');
+                return;
+            }
+            active--;
+            run(task, attempt + 1);
+        }, delayMs);
+    }
+
+    function fail(task, err, attempts) {
+        // Delete the temporary file, unless the next run can continue it.
+        if (!err.keepPartial) fs.unlink(tempPathFor(task.key), () => {});
+        core.stats.errors++;
+        if (core.manifest) core.manifest.updateFile(task.key, { status: FILE_STATUS.FAILED, error: err.message });
+        core.failures.record(task.key, {
+            url: task.url, path: null, ref: null,
+            ...(settings.ledgerFields ? settings.ledgerFields(task) : {}),
+            error: err.message, attempts,
+        });
+        core.events.emit('failed', { item: task.key, ...eventFields(task), error: err.message, attempt: attempts, final: true });
+        failedTasks.push(task);
+        settle(task, 'failed');
+    }
+
+    /** Drops a task the user skipped from this run; the next run tries it again. */
+    function skip(task) {
+        console.log(`⏭️  Skipped: ${task.key} (left for the next run)`);
+        core.stats.skipped++;
+        core.events.emit('skipped', { item: task.key, ...eventFields(task), reason: 'user' });
+        settle(task, 'skipped');
+    }
+
+    function settle(task, outcome) {
+        parked.delete(task);
+        if (settings.released) settings.released(task, outcome);
+        active--;
+        downloads.pump();
+    }
+
+    return downloads;
+}
+
+// --- Browser Downloads ---
+
+/**
+ * Follows a download Chromium started (from will-download) and cancels it
+ * when no data arrives for stallTimeoutMs. A paused item is not stalled.
+ * @param {Electron.DownloadItem} item
+ * @param {object} params
+ * @param {number} params.stallTimeoutMs
+ * @param {function(number, number|null): void} [params.onProgress]
+ * @returns {Promise<void>} Resolves once completed; rejects when it stalls, fails or is cancelled.
+ */
+function watchDownloadItem(item, { stallTimeoutMs, onProgress }) {
+    return new Promise((resolve, reject) => {
+        let timeoutId = null;
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                if (item.isPaused()) {
+                    resetTimeout();
+                    return;
+                }
+                item.cancel();
+                reject(new Error(`Download stalled for ${stallTimeoutMs / 1000} seconds`));
+            }, stallTimeoutMs);
+        };
+        resetTimeout();
+
+        item.on('updated', (e, state) => {
+            if (state !== 'progressing') return;
+            resetTimeout();
+            if (onProgress) onProgress(item.getReceivedBytes(), item.getTotalBytes() || null);
+        });
+
+        item.on('done', (e, state) => {
+            clearTimeout(timeoutId);
+            if (state === 'completed') resolve();
+            else reject(new Error(`Download failed with state: ${state}`)); // No-op after a stall
+        });
+    });
+}
+
+module.exports = { runHarvest, watchDownloadItem };
@@ -1,64 +1,255 @@
-const { app, BrowserWindow, session, screen } = require('electron');
+const { BrowserWindow, screen } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const { readdirSync, existsSync } = require('fs');
-const DELAY_BETWEEN_FILES = 1.5;
-const DOWNLOAD_TIMEOUT_SECONDS = 30; // Timeout if no progress for this many seconds
-const NUM_WINDOWS = 4;
+const { execFile } = require('child_process');
+const extractZip = require('extract-zip');
+const { getOptions } = require('./cli');
+const { rebaseUrl } = require('./urls');
+const { downloadToFile } = require('./downloader');
+const { readCaptureDate, detectFileFormat, writeMetadata } = require('./metadata');
+const { matchFolder, expectedName } = require('./takeout');
+const { openRecoveryState } = require('./recovery-state');
 
-let windows = [];
+const options = getOptions('google');
+const DELAY_BETWEEN_FILES = options.delay;
+const DOWNLOAD_TIMEOUT_SECONDS = options.downloadTimeout; // Timeout if no progress for this many seconds
+const MAX_WINDOWS = options.windows;
+const MIN_WINDOWS = Math.min(options.minWindows, MAX_WINDOWS);
+const ADAPTIVE_WINDOWS = options.adaptive; // Shrink the pool under throttling, grow it back when healthy
+const WINDOW_MODE = options.windowMode; // visible, hidden or offscreen
+const WINDOW_LAYOUT = options.layout; // grid or cascade
+const BASE_URL = options.baseUrl; // photos.google.com, or a local mock-server.js
+const DIRECT_DOWNLOADS = options.direct; // Fetch the original file directly; Shift+D only as a fallback
+const PAGE_TIMEOUT_SECONDS = options.pageTimeout; // How long a photo page may take to show its media
+const VERIFY_DOWNLOADS = options.verify; // Check each file against its JSON before accepting it
+const RESTORE_METADATA = options.restoreMetadata; // Write the JSON's date, place, description and people into the file
+const HIDE_JSON = options.hideJson; // Also hide each completed JSON (the old way of marking progress)
 
-async function getTargets(rootDir) {
+// Downloads land in STAGING_DIR (next to the JSON) until verified. Rejected
+// files move to QUARANTINE_DIR (under the scanned folder) with a report line each.
+const STAGING_DIR = '.harvest-incoming';
+const QUARANTINE_DIR = 'harvest-quarantine';
+const QUARANTINE_REPORT = 'quarantine-report.jsonl';
+const DATE_TOLERANCE_MINUTES = 5;
+
+// Progress lives in STATE_FILE in the scanned folder (see recovery-state.js).
+const STATE_FILE = 'harvest-state.json';
+// Items nothing could be downloaded for, in the scanned folder; see failure-ledger.js.
+const FAILURES_FILE = 'harvest-failures.json';
+const RETRY_FAILED = process.customData?.action === 'retry-failed'; // Only re-attempt what the ledger lists
+
+// Shift+D on a motion photo may start a second download just after the first;
+// a download counts as finished once nothing new started for this long. One
+// that starts later is cancelled and listed as "dropped" in the item's entry.
+const BUNDLE_SETTLE_MS = 2000;
+
+// Takeout titles with these extensions are videos, which download with "=dv" instead of "=d".
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.3gp', '.avi', '.mkv', '.webm', '.mts', '.wmv'];
+
+// The pool judges the last ADAPT_SAMPLE items: this share of items that failed
+// because Photos throttled or stalled removes a window, this share or less adds one back.
+const ADAPT_SAMPLE = 8;
+const SHRINK_FAILURE_RATE = 0.5;
+const GROW_FAILURE_RATE = 0.1;
+// Notes that mean Photos is throttling or stalling rather than the item being bad
+// (no media URL, an ambiguous match or a page error say nothing about load).
+const THROTTLE_NOTE = /HTTP (429|5\d\d)|stalled|no data for/;
+
+let windows = []; // By slot; null once a slot's window was retired
+let core = null; // The running harvest, see harvest-core.js
+let harvestSession;
+let events;
+const quarantined = []; // { title, problems } of every download quarantined in this run
+let retryFailedItems = null; // Puts failed items back in the queue, once the workers run
+let noteLateDownload = null; // Records a download that started after its item was settled
+
+function targetFromSidecar(jsonPath, data, mediaName) {
+  // Use photoTakenTime for logging if it exists, but don't require it.
+  const mediaDate = data.photoTakenTime?.formatted;
+  const takenAt = data.photoTakenTime?.timestamp ? new Date(Number(data.photoTakenTime.timestamp) * 1000) : null;
+  return {
+    jsonPath, url: data.url, title: data.title, mediaDate, takenAt,
+    expectedName: mediaName,
+    description: data.description || null,
+    people: (data.people || []).map(person => person.name).filter(Boolean),
+    gps: takeoutGps(data.geoData) || takeoutGps(data.geoDataExif),
+  };
+}
+
+async function getTargets(rootDir, state) {
   const targets = [];
-  const jsonPaths = [];
+  const folders = new Map(); // dir -> { files, jsonNames }
 
   const walk = async dir => {
     const entries = await fs.readdir(dir, { withFileTypes: true });
+    const folder = { files: [], jsonNames: [] };
+    folders.set(dir, folder);
     for (const entry of entries) {
       const full = path.join(dir, entry.name);
-      if (entry.isDirectory()) await walk(full);
-      else if (entry.name.endsWith('.json')) jsonPaths.push(full);
+      if (entry.isDirectory()) {
+        if (entry.name !== QUARANTINE_DIR && entry.name !== STAGING_DIR) await walk(full);
+      }
+      else if (dir === rootDir && (entry.name.startsWith(STATE_FILE) || entry.name.startsWith(FAILURES_FILE))) continue;
+      else if (entry.name.endsWith('.json')) folder.jsonNames.push(entry.name);
+      else folder.files.push(entry.name);
     }
   };
   await walk(rootDir);
 
-  for (const jsonPath of jsonPaths) {
-    try {
-      const data = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
-      // A valid target must have a title and a URL.
-      if (data.url && data.title) {
-        const mediaFilePath = path.join(path.dirname(jsonPath), data.title);
-        // If the corresponding media file does NOT exist, it's an orphan.
-        if (!existsSync(mediaFilePath)) {
-          // Use photoTakenTime for logging if it exists, but don't require it.
-          const mediaDate = data.photoTakenTime?.formatted;
-          targets.push({ jsonPath, url: data.url, title: data.title, mediaDate });
-        }
+  let ambiguous = 0;
+  let recovered = 0;
+  for (const [dir, folder] of folders) {
+    const sidecars = [];
+    for (const jsonName of folder.jsonNames) {
+      try {
+        const data = JSON.parse(await fs.readFile(path.join(dir, jsonName), 'utf8'));
+        // A valid target must have a title and a URL.
+        if (data.url && data.title) sidecars.push({ jsonName, title: data.title, data });
+      } catch { /* Ignore JSON files that are malformed or unreadable */ }
+    }
+
+    // Only sidecars whose media is really missing are orphans (see takeout.js).
+    for (const match of matchFolder(folder.files, sidecars)) {
+      const { jsonName, data } = match.sidecar;
+      const jsonPath = path.join(dir, jsonName);
+      const jsonRelPath = path.relative(rootDir, jsonPath);
+      if (match.status === 'ambiguous') {
+        ambiguous++;
+        console.warn(`Ambiguous: ${jsonPath} could be ${match.candidates.join(', ')}; skipped, please check by hand`);
+        events.emit('skipped', { item: jsonRelPath, title: data.title, reason: 'ambiguous' });
+        continue;
+      }
+      if (match.status !== 'orphan') continue;
+
+      // Without --verify a file may be saved under another name than Takeout's,
+      // so the state file, not the folder, says whether it was recovered.
+      const entry = state.get(jsonRelPath);
+      if (entry && existsSync(path.join(rootDir, entry.savedAs))) {
+        recovered++;
+        events.emit('skipped', { item: jsonRelPath, path: entry.savedAs, reason: 'recovered' });
+        continue;
+      }
+      if (entry) {
+        console.log(`Recovered earlier, but ${entry.savedAs} is gone; trying again: ${jsonPath}`);
+        await state.forget(jsonRelPath);
+      }
+      if (match.edited.length > 0 || match.companions.length > 0) {
+        console.log(`Orphan with partial media: ${jsonPath} (present: ${[...match.edited, ...match.companions].join(', ')})`);
       }
-    } catch { /* Ignore JSON files that are malformed or unreadable */ }
+      targets.push(targetFromSidecar(jsonPath, data, match.expectedName));
+      events.emit('discovered', { item: jsonRelPath, title: data.title });
+    }
   }
+  if (recovered > 0) console.log(`${recovered} item(s) already recovered according to ${STATE_FILE}`);
+  if (ambiguous > 0) console.warn(`${ambiguous} JSON file(s) matched more than one media file and were skipped`);
   return targets;
 }
 
-function createWindows() {
-  const primaryDisplay = screen.getPrimaryDisplay();
-  const { width, height } = primaryDisplay.workAreaSize;
-  const winWidth = Math.floor(width / 2);
-  const winHeight = Math.floor(height / 2);
+// Takeout writes 0/0 when an item has no location.
+function takeoutGps(geo) {
+  if (!geo || (!geo.latitude && !geo.longitude)) return null;
+  return { latitude: geo.latitude, longitude: geo.longitude, altitude: geo.altitude ?? null };
+}
+
+// --- Window Pool ---
 
-  for (let i = 0; i < NUM_WINDOWS; i++) {
-    const x = (i % 2) * winWidth;
-    const y = Math.floor(i / 2) * winHeight;
-    const win = new BrowserWindow({ x, y, width: winWidth, height: winHeight, webPreferences: { contextIsolation: true, audio: false } });
-    win.loadURL('https://photos.google.com/');
-    windows.push(win);
+// Where slot's window goes: tiled so MAX_WINDOWS fill the primary display, or cascaded.
+function windowBounds(slot) {
+  const { width, height } = screen.getPrimaryDisplay().workAreaSize;
+  if (WINDOW_LAYOUT === 'cascade') {
+    const step = 40;
+    return { x: (slot * step) % Math.floor(width / 3), y: (slot * step) % Math.floor(height / 3), width: Math.floor(width * 0.6), height: Math.floor(height * 0.6) };
   }
+  const columns = Math.ceil(Math.sqrt(MAX_WINDOWS));
+  const rows = Math.ceil(MAX_WINDOWS / columns);
+  const winWidth = Math.floor(width / columns);
+  const winHeight = Math.floor(height / rows);
+  return { x: (slot % columns) * winWidth, y: Math.floor(slot / columns) * winHeight, width: winWidth, height: winHeight };
+}
+
+function openWindow(slot) {
+  const win = new BrowserWindow({
+    ...windowBounds(slot),
+    show: WINDOW_MODE === 'visible',
+    webPreferences: {
+      contextIsolation: true, audio: false, session: harvestSession,
+      offscreen: WINDOW_MODE === 'offscreen',
+      backgroundThrottling: false, // Hidden windows must keep loading pages at full speed
+    },
+  });
+  win.loadURL(rebaseUrl('/', BASE_URL));
+  windows[slot] = win;
+  return win;
+}
+
+/**
+ * Decides how many windows should be working. Starts at MAX_WINDOWS and, when
+ * ADAPTIVE_WINDOWS is on, removes one whenever many recent items failed because
+ * Photos throttled or stalled, and adds one back once they go through again.
+ */
+function createPoolSizer() {
+  const recent = []; // true for a throttled item
+  const sizer = {
+    size: MAX_WINDOWS,
+
+    /** @returns {number} -1, 0 or 1: how the size changed. */
+    record(throttled) {
+      if (!ADAPTIVE_WINDOWS) return 0;
+      recent.push(throttled);
+      if (recent.length > ADAPT_SAMPLE) recent.shift();
+      if (recent.length < ADAPT_SAMPLE) return 0;
+
+      const failureRate = recent.filter(Boolean).length / recent.length;
+      let change = 0;
+      if (failureRate >= SHRINK_FAILURE_RATE && sizer.size > MIN_WINDOWS) change = -1;
+      else if (failureRate <= GROW_FAILURE_RATE && sizer.size < MAX_WINDOWS) change = 1;
+      if (change !== 0) {
+        sizer.size += change;
+        recent.length = 0; // Judge the new size on its own results
+        console.log(`${change < 0 ? '📉' : '📈'} ${Math.round(failureRate * 100)}% of the last ${ADAPT_SAMPLE} items were throttled or stalled; now using ${sizer.size} window(s)`);
+      }
+      return change;
+    },
+  };
+  return sizer;
 }
 
 async function openUrl(win, url) {
-  await win.loadURL(url);
-  await new Promise(r => setTimeout(r, 1000));
-  win.focus();
+  // Takeout JSON always links to photos.google.com; follow --base-url instead.
+  await win.loadURL(rebaseUrl(url, BASE_URL));
+}
+
+/**
+ * Runs in the photo page. Returns the base URL of the media being viewed (the
+ * largest visible image with a Google-style "=w..-h.." size suffix, which for
+ * a video is its poster frame), with the size suffix removed. Null until the
+ * page shows one.
+ */
+function pageMediaProbe() {
+  const sized = /=[a-z][a-z0-9-]*$/i;
+  const candidates = [...document.images]
+    .map(img => ({ img, base: img.src.split('?')[0], rect: img.getBoundingClientRect() }))
+    .filter(c => c.img.complete && sized.test(c.base) && c.rect.width * c.rect.height > 0)
+    .sort((a, b) => b.rect.width * b.rect.height - a.rect.width * a.rect.height);
+  return candidates.length > 0 ? candidates[0].base.replace(sized, '') : null;
+}
+
+/**
+ * Polls the loaded page for its original-quality media URL.
+ * @returns {Promise<string|null>} The URL, or null if none showed up in time.
+ */
+async function findOriginalUrl(win, title) {
+  const isVideo = VIDEO_EXTENSIONS.includes(path.extname(title).toLowerCase());
+  const deadline = Date.now() + PAGE_TIMEOUT_SECONDS * 1000;
+  while (Date.now() < deadline) {
+    try {
+      const baseUrl = await win.webContents.executeJavaScript(`(${pageMediaProbe.toString()})()`);
+      if (baseUrl) return `${baseUrl}=${isVideo ? 'dv' : 'd'}`;
+    } catch { /* The page may still be navigating */ }
+    await new Promise(r => setTimeout(r, 250));
+  }
+  return null;
 }
 
 async function pressShiftD(win) {
@@ -70,95 +261,603 @@ async function pressShiftD(win) {
 }
 
 async function hideFile(filePath) {
-  if (process.platform === 'win32') require('child_process').exec(`attrib +H "${filePath}"`);
+  if (process.platform === 'win32') {
+    // Arguments go to attrib as they are; no shell gets to interpret the path.
+    await new Promise((resolve, reject) => execFile('attrib', ['+H', filePath], err => (err ? reject(err) : resolve())));
+  }
   else await fs.rename(filePath, path.join(path.dirname(filePath), '.'+path.basename(filePath)));
 }
 
-async function triggerDownload(win, destDir) {
-  // This promise will be resolved or rejected by the 'will-download' event handler
+/**
+ * Presses Shift+D and waits for every download it starts. Fails when none
+ * starts within the download timeout, so the item is retried (or recorded)
+ * instead of holding its window forever.
+ * @returns {Promise<string[]>} Paths of the downloaded files.
+ */
+async function triggerDownload(win, destDir, onProgress) {
+  const paths = [];
+  const active = new Set();
+  let settleTimer = null;
+  let startTimer = null;
+  // This promise will be resolved or rejected through the 'will-download' event handler
   const downloadPromise = new Promise((resolve, reject) => {
-    // Attach the promise handlers to the specific window's webContents
-    win.webContents.downloadContext = { resolve, reject, destDir };
+    startTimer = setTimeout(() => reject(new Error(`no download started within ${DOWNLOAD_TIMEOUT_SECONDS}s`)), DOWNLOAD_TIMEOUT_SECONDS * 1000);
+    // Attach the download bookkeeping to the specific window's webContents
+    win.webContents.downloadContext = {
+      destDir,
+      onProgress,
+      started(item) {
+        active.add(item);
+        clearTimeout(startTimer);
+        clearTimeout(settleTimer);
+      },
+      completed(item, savePath) {
+        active.delete(item);
+        paths.push(savePath);
+        if (active.size === 0) settleTimer = setTimeout(() => resolve(paths), BUNDLE_SETTLE_MS);
+      },
+      fail(err) {
+        clearTimeout(settleTimer);
+        active.forEach(item => item.cancel()); // Don't leave other parts writing into the staging folder
+        reject(err);
+      },
+    };
   });
   await pressShiftD(win);
   try { return await downloadPromise; } finally {
+    clearTimeout(startTimer);
     if (win.webContents.downloadContext) {
       win.webContents.downloadContext = null; // Clean up
     }
   }
 }
 
+/**
+ * Downloads one target, directly when possible and through Shift+D otherwise.
+ * onProgress(bytes, totalBytes) follows whichever file is arriving.
+ * @returns {Promise<{paths: string[], method: string|null, notes: string[]}>}
+ *   paths is empty when nothing arrived; notes explains every path that was
+ *   tried and failed.
+ */
+async function downloadTarget(win, target, destDir, onProgress) {
+  const notes = [];
+
+  if (DIRECT_DOWNLOADS) {
+    const mediaUrl = await findOriginalUrl(win, target.title);
+    if (!mediaUrl) {
+      notes.push(`direct: no media URL on the page after ${PAGE_TIMEOUT_SECONDS}s`);
+    } else {
+      try {
+        const result = await downloadToFile({
+          url: mediaUrl,
+          session: harvestSession,
+          destDir,
+          fallbackName: target.title,
+          stallTimeoutMs: DOWNLOAD_TIMEOUT_SECONDS * 1000,
+          onProgress,
+        });
+        return { paths: [result.path], method: 'direct download', notes };
+      } catch (e) {
+        notes.push(`direct: ${e.message} (${mediaUrl})`);
+      }
+    }
+  }
+
+  try {
+    // Shift+D only reaches a focused page that has finished its own setup.
+    await new Promise(r => setTimeout(r, 1000));
+    if (WINDOW_MODE === 'visible') win.focus(); // Focusing a hidden window would show it
+    else win.webContents.focus();
+    return { paths: await triggerDownload(win, destDir, onProgress), method: DIRECT_DOWNLOADS ? 'Shift+D fallback' : 'Shift+D', notes };
+  } catch (e) {
+    notes.push(`Shift+D: ${e.message}`);
+  }
+  return { paths: [], method: null, notes };
+}
+
+// --- Bundles ---
+//
+// A motion photo can arrive as a ZIP or as two downloads (still and video),
+// and a multi-item entry as a ZIP of several files. Whatever arrived is
+// unpacked and sorted into the file the JSON describes, the files that belong
+// with it (video half, edited copy) and extras that belong to no JSON here.
+
+async function isZip(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    return bytesRead === 4 && buffer.toString('latin1') === 'PK\x03\x04';
+  } finally {
+    await handle.close();
+  }
+}
+
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listFiles(full));
+    else files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Unpacks downloaded ZIPs and finds the target's file among everything that arrived.
+ * @returns {Promise<{files: string[], primary: string|null, companions: string[], extras: string[], unpackedDirs: string[], notes: string[]}>}
+ *   primary is null when no file is the one the JSON describes.
+ */
+async function openBundle(paths, target) {
+  const files = [];
+  const unpackedDirs = [];
+  const notes = [];
+  for (const filePath of paths) {
+    if (!(await isZip(filePath))) {
+      files.push(filePath);
+      continue;
+    }
+    const dir = path.resolve(`${filePath}.unpacked`);
+    try {
+      await extractZip(filePath, { dir });
+      await fs.unlink(filePath);
+      unpackedDirs.push(dir);
+      const unpacked = await listFiles(dir);
+      files.push(...unpacked);
+      notes.push(`unpacked ${path.basename(filePath)}: ${unpacked.map(file => path.basename(file)).join(', ')}`);
+    } catch (e) {
+      notes.push(`could not unpack ${path.basename(filePath)}: ${e.message}`);
+      files.push(filePath);
+    }
+  }
+
+  const byName = new Map();
+  files.forEach(file => byName.has(path.basename(file)) || byName.set(path.basename(file), file));
+  // Downloads carry the plain title, never Takeout's "(1)" duplicate suffix.
+  const [match] = matchFolder([...byName.keys()], [{ jsonName: `${target.title}.json`, title: target.title }]);
+  let primary = match.status === 'matched' ? byName.get(match.file) : null;
+  // A lone file is judged by verification, as before bundles were recognised.
+  if (!primary && files.length === 1) primary = files[0];
+  const companions = primary ? [...match.edited, ...match.companions].map(name => byName.get(name)) : [];
+  const extras = files.filter(file => file !== primary && !companions.includes(file));
+  return { files, primary, companions, extras, unpackedDirs, notes };
+}
+
+/** Names a companion after its saved still: "IMG_1.MP4" with "IMG_1.HEIC" saved as "IMG_1(1).HEIC" becomes "IMG_1(1).MP4". */
+function pairedName(companion, primary, savedName) {
+  const from = path.parse(path.basename(primary)).name;
+  const to = path.parse(savedName).name;
+  const name = path.basename(companion);
+  return name.toLowerCase().startsWith(from.toLowerCase()) ? `${to}${name.slice(from.length)}` : name;
+}
+
+// --- Verification ---
+
+// Extensions each detected file format may carry. HEIC and MOV share the MP4 container.
+const FORMAT_EXTENSIONS = {
+  jpeg: ['.jpg', '.jpeg', '.jpe'],
+  png: ['.png'],
+  webp: ['.webp'],
+  gif: ['.gif'],
+  mp4: ['.mp4', '.m4v', '.mov', '.3gp'],
+};
+
+function sameExtension(a, b) {
+  const canonical = ext => ({ '.jpeg': '.jpg', '.jpe': '.jpg', '.tiff': '.tif' }[ext.toLowerCase()] || ext.toLowerCase());
+  return canonical(a) === canonical(b);
+}
+
+/**
+ * Compares a downloaded file with the Takeout JSON it is meant to satisfy.
+ * @returns {Promise<string[]>} Every mismatch found; empty when the file checks out.
+ */
+async function verifyDownload(filePath, target) {
+  const problems = [];
+  const saved = path.parse(filePath);
+  const expected = path.parse(target.title);
+
+  // Browsers add " (1)" when a name is taken; that alone is no mismatch.
+  const stem = name => name.replace(/ \(\d+\)$/, '').normalize('NFC').toLowerCase();
+  if (stem(saved.name) !== stem(expected.name)) {
+    problems.push(`name "${saved.base}" does not match title "${target.title}"`);
+  }
+  if (!sameExtension(saved.ext, expected.ext)) {
+    problems.push(`extension "${saved.ext}" does not match "${expected.ext}"`);
+  }
+
+  const format = await detectFileFormat(filePath);
+  if (format && expected.ext && !FORMAT_EXTENSIONS[format].includes(expected.ext.toLowerCase())) {
+    problems.push(`content is ${format}, but the title says ${expected.ext}`);
+  }
+
+  if (target.takenAt) {
+    const embedded = await readCaptureDate(filePath).catch(() => null);
+    if (embedded) {
+      // A date without a time zone is the camera's local time, up to 14 hours from UTC.
+      const allowedMinutes = DATE_TOLERANCE_MINUTES + (embedded.hasZone ? 0 : 14 * 60);
+      const offMinutes = Math.abs(embedded.date - target.takenAt) / 60000;
+      if (offMinutes > allowedMinutes) {
+        problems.push(`embedded date ${embedded.date.toISOString()} is ${(offMinutes / 60).toFixed(1)} h from photoTakenTime ${target.takenAt.toISOString()}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Moves a rejected download out of the library and records why. The item is
+ * not recorded as recovered, so the next run tries it again.
+ * @returns {Promise<string>} Where the file went.
+ */
+async function quarantineFile(filePath, target, problems, rootDir) {
+  const quarantineRoot = path.join(rootDir, QUARANTINE_DIR);
+  const destDir = path.join(quarantineRoot, path.relative(rootDir, path.dirname(target.jsonPath)));
+  await fs.mkdir(destDir, { recursive: true });
+  const quarantinedPath = path.join(destDir, `${Date.now()}-${path.basename(filePath)}`);
+  await fs.rename(filePath, quarantinedPath);
+  const entry = { time: new Date().toISOString(), json: target.jsonPath, title: target.title, url: target.url, file: quarantinedPath, problems };
+  await fs.appendFile(path.join(quarantineRoot, QUARANTINE_REPORT), `${JSON.stringify(entry)}\n`);
+  return quarantinedPath;
+}
+
+// --- Metadata Restore ---
+
+/**
+ * Writes what the Takeout JSON knows into a recovered file and sets its mtime
+ * to the capture time. A date the file already carries is left alone: it is
+ * the camera's own (verification has checked it against the JSON).
+ * @returns {Promise<string>} A short note on what was written.
+ */
+async function restoreMetadata(filePath, target) {
+  const fields = {};
+  if (target.description) fields.description = target.description;
+  if (target.people.length > 0) fields.people = target.people;
+  if (target.gps) fields.gps = target.gps;
+  if (target.takenAt && !(await readCaptureDate(filePath).catch(() => null))) fields.date = target.takenAt;
+
+  let format = null;
+  let writeError = null;
+  if (Object.keys(fields).length > 0) {
+    try {
+      format = await writeMetadata(filePath, fields);
+    } catch (err) {
+      writeError = err; // A corrupt file still gets its mtime
+    }
+  }
+  if (target.takenAt) await fs.utimes(filePath, target.takenAt, target.takenAt);
+
+  const written = [...Object.keys(fields), ...(target.takenAt ? ['mtime'] : [])];
+  const onlyMtime = target.takenAt ? ', only mtime set' : '';
+  if (writeError) return `not written (${writeError.message})${onlyMtime}`;
+  if (Object.keys(fields).length > 0 && !format) return `format not supported${onlyMtime}`;
+  return written.length > 0 ? `restored ${written.join(', ')}` : 'nothing to restore';
+}
+
 async function main(rootDir) {
-  const targets = await getTargets(rootDir);
+  const queue = []; // [index, target]
+  const failed = []; // [index, target] of items nothing usable arrived for, or that were quarantined
+  const sizer = createPoolSizer();
+  const workers = [];
+  const busySlots = new Set();
+  const { failures, stats } = core;
+
+  // "Retry failed" puts them back into the queue; a stop empties it.
+  retryFailedItems = () => {
+    if (core.stopping) return 'Stopping; nothing is retried.';
+    const retries = failed.splice(0);
+    for (const [, target] of retries) events.emit('queued', { item: path.relative(rootDir, target.jsonPath), url: target.url });
+    queue.push(...retries);
+    const message = `Re-queued ${retries.length} failed item(s).`;
+    console.log(`♻️  ${message}`);
+    startWorkers();
+    return message;
+  };
+  core.onStop(() => {
+    const left = queue.splice(0);
+    for (const [, target] of left) events.emit('skipped', { item: path.relative(rootDir, target.jsonPath), reason: 'stopped' });
+    console.log(`⏹️  ${busySlots.size} item(s) in progress finish; ${left.length} left for the next run.`);
+  });
+
+  const state = openRecoveryState(path.join(rootDir, STATE_FILE));
+  const dropped = new Map(); // item -> names of the downloads that came too late for it
+  noteLateDownload = async (item, fileName) => {
+    dropped.set(item, [...(dropped.get(item) || []), fileName]);
+    console.log(`⚠️  ${fileName} started after ${item} was settled and was not saved (listed as dropped once the item is recorded).`);
+    const entry = state.get(item);
+    if (entry) await state.record(item, { ...entry, dropped: dropped.get(item) });
+  };
+  let targets = await getTargets(rootDir, state);
+  if (RETRY_FAILED) targets = retryTargets(targets, failures, rootDir);
   console.log(`Found ${targets.length} orphan JSON files to process`);
 
+  stats.found = targets.length;
+  stats.quarantined = 0;
+  for (const target of targets) events.emit('queued', { item: path.relative(rootDir, target.jsonPath), url: target.url });
+
   const processTarget = async (target, win, index) => {
     const { jsonPath, url, title, mediaDate } = target;
+    const item = path.relative(rootDir, jsonPath);
     const logDate = mediaDate ? ` (${mediaDate})` : '';
+    target.attempt = (target.attempt || 0) + 1; // Retried from the dashboard after a failure
+    events.emit('started', { item, url, attempt: target.attempt });
     console.log(`[${index + 1}/${targets.length}] Downloading in window ${windows.indexOf(win) + 1}: ${title}${logDate}`);
-    await openUrl(win, url);
-    let downloaded = null;
+    let outcome = { paths: [], method: null, notes: [] };
+    const destDir = path.dirname(jsonPath);
+    const stagingDir = path.join(destDir, STAGING_DIR);
     try {
-      const destDir = path.dirname(jsonPath);
-      await fs.mkdir(destDir, { recursive: true }); // Ensure destination directory exists
-      downloaded = await triggerDownload(win, destDir);
+      await openUrl(win, url);
+      await fs.mkdir(stagingDir, { recursive: true }); // Ensure destination directory exists
+      outcome = await downloadTarget(win, target, stagingDir, (bytes, totalBytes) => events.progress(item, bytes, totalBytes));
     } catch (e) {
-      console.log(`   Download failed: ${e.message}`);
+      outcome.notes.push(`page: ${e.message}`);
+    }
+    win.webContents.settledItem = item; // Downloads from now until the next Shift+D came too late for it
+    const bundle = outcome.paths.length > 0 ? await openBundle(outcome.paths, target) : null;
+    const { primary } = bundle || {};
+    if (bundle) outcome.notes.push(...bundle.notes);
+
+    const problems = [];
+    if (bundle && !primary) {
+      problems.push(`none of the downloaded files (${bundle.files.map(file => path.basename(file)).join(', ')}) is "${title}"`);
     }
-    if (downloaded) {
-      console.log(`   Saved → ${downloaded}`);
-      await hideFile(jsonPath);
-      console.log('   Hidden JSON');
+    if (primary && VERIFY_DOWNLOADS) problems.push(...await verifyDownload(primary, target));
+    // A verified file takes the name Takeout would have given it, so later scans match it.
+    const savedName = VERIFY_DOWNLOADS ? target.expectedName : primary && path.basename(primary);
+    if (primary && existsSync(path.join(destDir, savedName))) {
+      problems.push(`a different file named "${savedName}" already exists`);
+    }
+
+    if (bundle && problems.length > 0) {
+      quarantined.push({ title, problems });
+      console.log(`   QUARANTINED — ${title} (downloaded via ${outcome.method})`);
+      problems.forEach(problem => console.log(`   ${problem}`));
+      for (const file of bundle.files) {
+        console.log(`   Moved to ${await quarantineFile(file, target, problems, rootDir)}`);
+      }
+      console.log('   The item stays unrecovered for the next run.');
+      stats.quarantined++;
+      stats.errors++;
+      failed.push([index, target]);
+      const error = `quarantined: ${problems.join('; ')}`;
+      failures.record(item, { url, path: path.relative(rootDir, path.join(destDir, target.expectedName)), ref: item, error, attempts: 1 });
+      events.emit('failed', { item, error, final: true });
+    } else if (bundle) {
+      if (RESTORE_METADATA) {
+        try {
+          outcome.notes.push(`metadata: ${await restoreMetadata(primary, target)}`);
+        } catch (e) {
+          outcome.notes.push(`metadata: not restored (${e.message})`);
+        }
+      }
+      const savedPath = path.join(destDir, savedName);
+      await fs.rename(primary, savedPath);
+      console.log(`   Saved via ${outcome.method} → ${savedPath}`);
+
+      // Video halves and edited copies stay paired with the still, next to the JSON.
+      const companionPaths = [];
+      for (const companion of bundle.companions) {
+        const companionPath = path.join(destDir, pairedName(companion, primary, savedName));
+        if (existsSync(companionPath)) {
+          const movedTo = await quarantineFile(companion, target, [`a different file named "${path.basename(companionPath)}" already exists`], rootDir);
+          outcome.notes.push(`${path.basename(companion)} not saved, a file by that name exists; moved to ${movedTo}`);
+          continue;
+        }
+        await fs.rename(companion, companionPath);
+        companionPaths.push(companionPath);
+        console.log(`   Saved with it → ${companionPath}`);
+      }
+      for (const extra of bundle.extras) {
+        const movedTo = await quarantineFile(extra, target, [`arrived with "${title}" but is not part of it`], rootDir);
+        outcome.notes.push(`${path.basename(extra)} is not part of this item; moved to ${movedTo}`);
+      }
+      outcome.notes.forEach(note => console.log(`   (${note})`));
+
+      // Complete only once the file the JSON describes is really on disk.
+      if (!existsSync(savedPath)) {
+        console.log(`   FAILED — ${savedPath} is not on disk after saving; the item stays unrecovered`);
+        stats.errors++;
+        failures.record(item, { url, path: path.relative(rootDir, savedPath), ref: item, error: 'not on disk after saving', attempts: 1 });
+        events.emit('failed', { item, error: `${savedPath} is not on disk after saving`, final: true });
+      } else {
+        const bytes = (await fs.stat(savedPath)).size;
+        await state.record(item, {
+          title, url, savedAs: path.relative(rootDir, savedPath), method: outcome.method,
+          bytes, verified: VERIFY_DOWNLOADS,
+          companions: companionPaths.map(file => path.relative(rootDir, file)),
+          ...(dropped.has(item) && { dropped: dropped.get(item) }),
+        });
+        stats.downloaded++;
+        failures.resolve(item);
+        events.emit('completed', { item, path: path.relative(rootDir, savedPath), bytes, method: outcome.method });
+      }
+      if (HIDE_JSON && existsSync(savedPath)) {
+        try {
+          await hideFile(jsonPath);
+          console.log('   Hidden JSON');
+        } catch (e) {
+          console.log(`   (JSON not hidden: ${e.message})`);
+        }
+      }
     } else {
       console.log(`   FAILED/TIMEOUT — ${title}`);
+      outcome.notes.forEach(note => console.log(`   ${note}`));
+      stats.errors++;
+      failed.push([index, target]);
+      const error = outcome.notes.join('; ') || 'nothing was downloaded';
+      failures.record(item, { url, path: path.relative(rootDir, path.join(destDir, target.expectedName)), ref: item, error, attempts: 1 });
+      events.emit('failed', { item, error, final: true });
     }
+    // Every unpacked file has been saved or quarantined by now; only empty folders remain.
+    for (const dir of bundle?.unpackedDirs || []) await fs.rm(dir, { recursive: true, force: true });
+    await fs.rmdir(stagingDir).catch(() => {}); // Only succeeds once it is empty
     await new Promise(r => setTimeout(r, DELAY_BETWEEN_FILES * 1000));
+    // An item a fallback still saved does not count, even if the direct fetch was throttled.
+    return !bundle && outcome.notes.some(note => THROTTLE_NOTE.test(note));
   };
 
-  const queue = [...targets.entries()]; // [index, target]
-  const workers = windows.map(win => (async () => {
-    while (queue.length > 0) {
-      const [index, target] = queue.shift();
-      await processTarget(target, win, index);
+  if (!core.stopping) queue.push(...targets.entries());
+
+  // One worker per window slot. A slot beyond the pool's current size finishes
+  // its item and closes its window; a slot the pool grows into gets a new one.
+  const startWorker = slot => {
+    if (busySlots.has(slot)) return; // Still finishing an item, and will simply carry on
+    busySlots.add(slot);
+    workers.push((async () => {
+      const win = windows[slot] || openWindow(slot);
+      while (queue.length > 0 && slot < sizer.size) {
+        await core.downloading.wait();
+        if (queue.length === 0) break; // Stopped while paused
+        const [index, target] = queue.shift();
+        const throttled = await processTarget(target, win, index);
+        if (sizer.record(throttled) > 0) startWorker(sizer.size - 1);
+      }
+      busySlots.delete(slot);
+      if (slot >= sizer.size) {
+        windows[slot] = null;
+        win.destroy();
+      }
+    })());
+  };
+  function startWorkers() {
+    for (let slot = 0; slot < Math.min(sizer.size, queue.length); slot++) startWorker(slot);
+  }
+  startWorkers();
+
+  // Workers can start while others run, so wait until no new ones appeared.
+  let awaited;
+  do {
+    awaited = workers.length;
+    await Promise.all(workers);
+  } while (workers.length > awaited);
+}
+
+function printQuarantine() {
+  if (quarantined.length === 0) return;
+  console.log(`${quarantined.length} download(s) did not match their JSON and were quarantined:`);
+  quarantined.forEach(({ title, problems }) => console.log(`   ${title}: ${problems.join('; ')}`));
+  console.log(`Details: ${path.join(core.outputDir, QUARANTINE_DIR, QUARANTINE_REPORT)}`);
+}
+
+/**
+ * Narrows the targets of a retry-failed run to the items in the failure
+ * ledger. Each is looked up on its photo page again, so a fresh media URL is
+ * used. Entries that are no longer orphans (found or recovered since) leave
+ * the ledger.
+ */
+function retryTargets(targets, failures, rootDir) {
+  const orphans = new Map(targets.map(target => [path.relative(rootDir, target.jsonPath), target]));
+  const retries = [];
+  for (const [jsonRelPath] of failures.entries()) {
+    if (orphans.has(jsonRelPath)) {
+      retries.push(orphans.get(jsonRelPath));
+    } else {
+      console.log(`No longer missing, dropped from ${FAILURES_FILE}: ${jsonRelPath}`);
+      failures.resolve(jsonRelPath);
     }
-  })());
+  }
+  return retries;
+}
+
+// --- Progress Actions ---
 
-  await Promise.all(workers);
-  console.log('Finished!');
+async function listProgress(rootDir) {
+  const state = openRecoveryState(path.join(rootDir, STATE_FILE));
+  const entries = state.entries();
+  for (const [jsonRelPath, entry] of entries) {
+    console.log(`${entry.savedAs}  (${entry.method}, ${entry.verified ? 'verified' : 'not verified'}, ${entry.recoveredAt})  ← ${jsonRelPath}`);
+    if (entry.dropped) console.log(`   dropped, started too late: ${entry.dropped.join(', ')}`);
+  }
+  console.log(`${entries.length} item(s) recorded as recovered in ${state.path}`);
 }
 
-app.whenReady().then(async () => {
-  createWindows();
-  session.defaultSession.on('will-download', (event, item, webContents) => {
-    if (!webContents || !webContents.downloadContext) return;
+async function resetProgress(rootDir) {
+  const state = openRecoveryState(path.join(rootDir, STATE_FILE));
+  const count = state.entries().length;
+  await state.forgetAll();
+  console.log(`Forgot ${count} recovered item(s). Files on disk are untouched; JSONs without media will be retried.`);
+}
 
-    const { resolve, reject, destDir } = webContents.downloadContext;
-    let timeoutId = null;
+async function readSidecar(jsonPath) {
+  // A JSON hidden by --hide-json on Linux/macOS has a leading dot.
+  const hiddenPath = path.join(path.dirname(jsonPath), `.${path.basename(jsonPath)}`);
+  for (const candidate of [jsonPath, hiddenPath]) {
+    try { return JSON.parse(await fs.readFile(candidate, 'utf8')); } catch { /* Try the next name */ }
+  }
+  return null;
+}
 
-    const resetTimeout = () => {
-      clearTimeout(timeoutId);
-      timeoutId = setTimeout(() => {
-        item.cancel(); // Stop the download
-        reject(new Error(`Download stalled for ${DOWNLOAD_TIMEOUT_SECONDS} seconds`));
-      }, DOWNLOAD_TIMEOUT_SECONDS * 1000);
-    };
+async function reverifyProgress(rootDir) {
+  const state = openRecoveryState(path.join(rootDir, STATE_FILE));
+  let ok = 0, missing = 0, failed = 0;
+  for (const [jsonRelPath, entry] of state.entries()) {
+    const savedPath = path.join(rootDir, entry.savedAs);
+    if (!existsSync(savedPath)) {
+      console.log(`MISSING — ${entry.savedAs}; forgotten, the next run retries it`);
+      await state.forget(jsonRelPath);
+      missing++;
+      continue;
+    }
+    const jsonPath = path.join(rootDir, jsonRelPath);
+    const data = await readSidecar(jsonPath);
+    if (!data?.title) {
+      console.log(`${entry.savedAs}: JSON ${jsonRelPath} is gone; only checked that the file exists`);
+      ok++;
+      continue;
+    }
+    const target = targetFromSidecar(jsonPath, data, expectedName({ jsonName: path.basename(jsonPath), title: data.title }));
+    const problems = await verifyDownload(savedPath, target);
+    if (problems.length === 0) {
+      ok++;
+      continue;
+    }
+    const quarantinedPath = await quarantineFile(savedPath, target, problems, rootDir);
+    await state.forget(jsonRelPath);
+    console.log(`QUARANTINED — ${entry.savedAs} → ${quarantinedPath}`);
+    problems.forEach(problem => console.log(`   ${problem}`));
+    failed++;
+  }
+  console.log(`Re-verified: ${ok} OK, ${missing} missing, ${failed} quarantined`);
+}
+
+// --- Source Plugin (see harvest-core.js) ---
 
-    const savePath = path.join(destDir, item.getFilename());
+async function start(harvestCore) {
+  core = harvestCore;
+  events = core.events;
+  harvestSession = core.session;
+  harvestSession.on('will-download', (event, item, webContents) => {
+    const context = webContents?.downloadContext;
+    if (!context) {
+      // Arrived after its Shift+D gave up; nobody would pick it up.
+      item.cancel();
+      if (webContents?.settledItem) noteLateDownload(webContents.settledItem, item.getFilename()).catch(e => console.error('❌ Could not record a dropped download:', e.message));
+      return;
+    }
+
+    const savePath = path.join(context.destDir, item.getFilename());
     item.setSavePath(savePath);
-    resetTimeout(); // Start the initial timeout
-
-    item.on('updated', (e, state) => {
-      if (state === 'progressing') resetTimeout();
-    });
-
-    item.on('done', (e, state) => {
-      clearTimeout(timeoutId);
-      if (state === 'completed') resolve(savePath);
-      else if (state === 'cancelled') { /* The reject() in resetTimeout already handled this */ }
-      else reject(new Error(`Download failed with state: ${state}`));
-    });
+    context.started(item);
+    // A stalled download is cancelled; context.fail() then cancels the rest of the bundle.
+    core.watchDownloadItem(item, { stallTimeoutMs: DOWNLOAD_TIMEOUT_SECONDS * 1000, onProgress: context.onProgress })
+      .then(() => context.completed(item, savePath), err => context.fail(err));
   });
-  const rootDir = path.resolve(process.customData?.path || '.');
-  await main(rootDir);
-  app.quit();
-});
+  await main(core.outputDir);
+}
+
+module.exports = {
+  name: 'google',
+  outputDir: () => '.',
+  failuresFile: FAILURES_FILE,
+  actions: {
+    progress: core => listProgress(core.outputDir),
+    reset: core => resetProgress(core.outputDir),
+    reverify: core => reverifyProgress(core.outputDir),
+  },
+  start,
+  // Discovery is a folder scan that is over in moments, so there is nothing to pause there.
+  controls: () => ({
+    pauseDiscovery: null,
+    resumeDiscovery: null,
+    retryFailed: () => (retryFailedItems ? retryFailedItems() : 'Nothing has failed yet.'),
+  }),
+  summary: printQuarantine,
+};
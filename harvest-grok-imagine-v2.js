@@ -1,74 +1,136 @@
-const { app, BrowserWindow, session, net, screen, globalShortcut } = require('electron');
+const { BrowserWindow, net, globalShortcut } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { promises: fsPromises } = require('fs');
-const { spawn } = require('child_process');
-
-// --- Configuration ---
+const { getOptions } = require('./cli');
+const { profileOutputDir } = require('./profiles');
+const { FILE_STATUS } = require('./manifest');
+const { writeMetadata, writeMetadataExternal, detectFileFormat } = require('./metadata');
+const { sha256File } = require('./downloader');
+const { parseRetryAfter } = require('./rate-controller');
+const { renderTemplate, uniquePath } = require('./naming');
+const { urlFilter } = require('./urls');
+
+// --- Configuration (set from the command line, see cli.js) ---
+const options = getOptions('grok2');
 const CONFIG = {
     // Paths
-    OUTPUT_DIR: path.resolve(process.customData?.path || path.join('.', 'grok-favorites')),
+    OUTPUT_DIR: path.resolve(process.customData?.path || profileOutputDir(path.join('.', 'grok-favorites'), options.profile)),
+    NAME_TEMPLATE: options.nameTemplate,          // Path of each file below OUTPUT_DIR, see naming.js
+    BASE_URL: options.baseUrl,                    // https://grok.com, or a local mock-server.js
     
     // Switches
-    DOWNLOAD_ALL_VARIANTS: false,   // true = download all generated video versions; false = only the latest
-    PREFER_HD_VIDEO: true,         // true = try to download hdMediaUrl if available
-    EMBED_METADATA: true,          // true = use ffmpeg/exiftool to embed prompts/dates (Requires tools in PATH)
+    DOWNLOAD_ALL_VARIANTS: options.allVariants,   // true = download all generated video versions; false = only the latest
+    PREFER_HD_VIDEO: options.hd,                  // true = try to download hdMediaUrl if available
+    EMBED_METADATA: options.metadata,             // true = embed prompts/dates into saved files
+    METADATA_BACKEND: options.metadataBackend,    // 'builtin' = pure JavaScript; 'external' = ffmpeg/exiftool (Requires tools in PATH)
     
     // API Settings
-    BATCH_SIZE: 100,               // <--- UPDATED: Items per API request
+    BATCH_SIZE: options.batchSize,                // Items per API request
     
-    // Throttling
-    CONCURRENT_DOWNLOADS: 5,
-    DOWNLOAD_RETRIES: 3,
-    API_DELAY_MS: 1500,            // Wait between API pages
+    // Throttling (the fastest allowed; the rate controller slows down under 429s and 5xx)
+    CONCURRENT_DOWNLOADS: options.concurrency,
+    DOWNLOAD_RETRIES: options.retries,
+    DOWNLOAD_TIMEOUT_MS: options.downloadTimeout * 1000, // Interrupt a download that receives nothing for this long
+    API_DELAY_MS: options.apiDelay * 1000,        // Wait between API pages
+    API_RETRIES: options.apiRetries,              // Non-auth API failures tolerated per page before giving up
+    FULL_WALK: options.full,                      // true = page through everything; false = stop once pages hold only known posts
+};
+
+// Post sources to harvest. Aliases cover the common ones; any other
+// MEDIA_POST_SOURCE_* value the API accepts can be given as-is.
+const SOURCE_ALIASES = {
+    favorites: 'MEDIA_POST_SOURCE_LIKED',
+    mine: 'MEDIA_POST_SOURCE_OWNED',
 };
+// Resolves an alias, a MEDIA_POST_SOURCE_* value or a source's folder name.
+function sourceFor(value) {
+    const alias = Object.keys(SOURCE_ALIASES).find(name => name === value || SOURCE_ALIASES[name] === value);
+    if (alias) return { name: alias, apiSource: SOURCE_ALIASES[alias] };
+    const apiSource = value.startsWith('MEDIA_POST_SOURCE_') ? value : `MEDIA_POST_SOURCE_${value.toUpperCase()}`;
+    return { name: apiSource.replace(/^MEDIA_POST_SOURCE_/, '').toLowerCase(), apiSource };
+}
+const SOURCES = [...new Set(options.source)].map(sourceFor);
+const RETRY_FAILED = process.customData?.action === 'retry-failed'; // Only re-attempt the failure ledger
+
+// How files were named before sources and templates existed, all in one folder.
+const LEGACY_TEMPLATE = 'grok-{type}-{id}{variant}';
 
-const TEMP_DIR = path.join(CONFIG.OUTPUT_DIR, '.grok-dl-tmp');
+const FAVORITES_URL = new URL('/imagine/favorites', CONFIG.BASE_URL).toString();
+const POST_LIST_URL = new URL('/rest/media/post/list', CONFIG.BASE_URL).toString();
 
 // --- Global State ---
+let core = null; // The running harvest, see harvest-core.js
+let manifest = null; // core.manifest, see manifest.js
+let failures = null; // core.failures, see failure-ledger.js
+let events = null;
+let rates = null;
 let win;
+let harvestSession;
 let authHeaders = null;
-let downloadQueue = [];
-let activeDownloads = 0;
-let isScraping = false;
-let processedIds = new Set();
-let harvestStats = { found: 0, downloaded: 0, skipped: 0, errors: 0 };
-let canStartDownloads = false; // <-- NEW: Gate for starting downloads
-let downloadsHaveStarted = false; // <-- NEW: Prevent multiple starts
-
-// --- Main Electron Setup ---
-app.whenReady().then(async () => {
+let processedIds = new Map(); // Post id -> names of the sources it was processed for
+let canStartDownloads = false; // Set by F7, "start" or autostart
+let downloadsHaveStarted = false; // Prevents a second start
+let beginHarvest = null; // Resolves start()'s wait with true to harvest, false when stopped first
+let pendingTasks = new Map(); // Media key -> task, while queued or downloading
+let reauthPromise = null; // Set while pagination and downloads wait for a fresh login
+let resolveReauth = null;
+
+class HttpError extends Error {
+    constructor(statusCode, retryAfterMs = null) {
+        super(`HTTP ${statusCode}`);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+function isAuthStatus(statusCode) {
+    return statusCode === 401 || statusCode === 403;
+}
+
+// --- Source Plugin (see harvest-core.js) ---
+
+async function start(harvestCore) {
+    core = harvestCore;
+    ({ manifest, failures, events, rates } = core);
+    harvestSession = core.session;
+    // A stop must not wait for a login that may never come.
+    core.onStop(endReauthWait);
+
     if (process.customData?.autostart) {
         console.log('🏁 Autostart detected. Downloads will begin automatically.');
         canStartDownloads = true;
     }
 
-    // Ensure output directory exists
-    await fsPromises.mkdir(CONFIG.OUTPUT_DIR, { recursive: true });
-    
-    // Clean and create temp directory
-    try {
-        await fsPromises.rm(TEMP_DIR, { recursive: true, force: true });
-        await fsPromises.mkdir(TEMP_DIR, { recursive: true });
-    } catch (err) {
-        console.error('❌ Error initializing temp directory:', err);
-        // If we can't create the temp dir, we should probably exit.
-        app.quit();
-        return;
-    }
-
+    const pendingFiles = manifest.filesWithStatus(FILE_STATUS.QUEUED, FILE_STATUS.FAILED).length;
     console.log(`\n📂 Output Directory: ${CONFIG.OUTPUT_DIR}`);
-    console.log(`   Temp Directory: ${TEMP_DIR}`);
-    console.log(`🔧 Metadata Embedding: ${CONFIG.EMBED_METADATA ? 'ON (Ensure ffmpeg/exiftool are in PATH)' : 'OFF'}`);
+    console.log(`   Temp Directory: ${core.downloads.tempDir}`);
+    const resumingSources = SOURCES.filter(source => manifest.data.sources[source.name]?.cursor).map(source => source.name);
+    console.log(`📒 Manifest: ${Object.keys(manifest.data.posts).length} posts known, ${pendingFiles} files pending${resumingSources.length ? `, resuming ${resumingSources.join(', ')} from saved cursor` : ''}`);
+    console.log(`📚 Sources: ${SOURCES.map(source => source.name).join(', ')}`);
+    const backendNote = CONFIG.METADATA_BACKEND === 'external' ? 'ffmpeg/exiftool, ensure they are in PATH' : 'built-in';
+    console.log(`🔧 Metadata Embedding: ${CONFIG.EMBED_METADATA ? `ON (${backendNote})` : 'OFF'}`);
     console.log(`⚙️  API Batch Size: ${CONFIG.BATCH_SIZE}`);
 
     createWindow();
 
     // 1. INTERCEPTOR: Listen for the legitimate API call to steal headers
-    session.defaultSession.webRequest.onBeforeSendHeaders(
-        { urls: ['https://grok.com/rest/media/post/list'] },
+    harvestSession.webRequest.onBeforeSendHeaders(
+        { urls: [urlFilter(POST_LIST_URL)] },
         (details, callback) => {
-            if (!downloadsHaveStarted) {
+            // Our own net.request calls pass through here too, carrying the stale
+            // headers. Only requests made by the page have fresh authentication.
+            if (details.webContentsId === undefined) {
+                callback({ requestHeaders: details.requestHeaders });
+                return;
+            }
+
+            if (reauthPromise) {
+                authHeaders = details.requestHeaders;
+                console.log('🔐 Authentication refreshed! Resuming harvest...');
+                endReauthWait();
+            } else if (!downloadsHaveStarted) {
                 const wasCapturedBefore = !!authHeaders;
                 authHeaders = details.requestHeaders;
 
@@ -81,7 +143,7 @@ app.whenReady().then(async () => {
                 if (canStartDownloads && !downloadsHaveStarted) {
                     downloadsHaveStarted = true;
                     console.log('🚀 Starting harvest automatically...');
-                    startApiHarvest();
+                    beginHarvest(true);
                 } else if (!downloadsHaveStarted) {
                     console.log('\n\n>>> PRESS F7 to start downloading... <<<\n\n');
                 }
@@ -92,44 +154,46 @@ app.whenReady().then(async () => {
 
     // 2. SHORTCUT: Register F7 to start the download process
     globalShortcut.register('F7', () => {
-        if (downloadsHaveStarted) {
-            console.log('ℹ️ Downloads have already started.');
-            return;
-        }
-        if (!authHeaders) {
-            console.log('⚠️ Please log in first. Authentication not yet captured.');
-            return;
-        }
-        
-        console.log('🚀 F7 pressed! Starting harvest...');
-        canStartDownloads = true;
-        downloadsHaveStarted = true;
-        startApiHarvest();
+        const refusal = startByUser('F7 pressed');
+        if (refusal) console.log(refusal);
     });
-});
+    console.log('⌨️  F7 start (or type "start")');
 
-app.on('will-quit', () => {
-    // Unregister all shortcuts.
-    globalShortcut.unregisterAll();
-    // Clean up temp directory
-    try {
-        if (fs.existsSync(TEMP_DIR)) {
-            fs.rmSync(TEMP_DIR, { recursive: true, force: true });
-            console.log('🗑️  Cleaned up temp directory.');
-        }
-    } catch (err) {
-        console.error('❌ Error cleaning up temp directory:', err);
+    // 3. Wait for F7, autostart or a stop.
+    const begin = await new Promise(resolve => {
+        beginHarvest = resolve;
+        core.onStop(() => resolve(false));
+    });
+    if (!begin) return;
+    await (RETRY_FAILED ? startRetryHarvest() : startApiHarvest());
+}
+
+/**
+ * Starts the harvest on request (F7 or "start").
+ * @returns {string|undefined} Why it did not start.
+ */
+function startByUser(how) {
+    if (downloadsHaveStarted) {
+        return 'ℹ️ Downloads have already started.';
+    }
+    if (!authHeaders) {
+        return '⚠️ Please log in first. Authentication not yet captured.';
     }
-});
+
+    console.log(`🚀 ${how}! Starting harvest...`);
+    canStartDownloads = true;
+    downloadsHaveStarted = true;
+    beginHarvest(true);
+}
 
 function createWindow() {
     win = new BrowserWindow({
         width: 1280,
         height: 800,
-        webPreferences: { contextIsolation: false, nodeIntegration: true }
+        webPreferences: { contextIsolation: false, nodeIntegration: true, session: harvestSession }
     });
     
-    win.loadURL('https://grok.com/imagine/favorites');
+    win.loadURL(FAVORITES_URL);
     
     win.webContents.on('did-finish-load', () => {
         if (!authHeaders) {
@@ -141,56 +205,135 @@ function createWindow() {
 // --- Core Logic: API Harvesting ---
 
 async function startApiHarvest() {
-    isScraping = true; // Mark as scraping
-    let cursor = null;
+    // Re-queue everything a previous run discovered but never finished.
+    const pendingFiles = manifest.filesWithStatus(FILE_STATUS.QUEUED, FILE_STATUS.FAILED);
+    for (const file of pendingFiles) {
+        addToQueue({ ...file.task, date: new Date(file.task.date) });
+    }
+    if (pendingFiles.length > 0) {
+        console.log(`♻️  Re-queued ${pendingFiles.length} unfinished files from the manifest.`);
+    }
+
+    let allComplete = true;
+    for (const source of SOURCES) {
+        allComplete = (await harvestSource(source)) && allComplete;
+    }
+
+    if (!allComplete) {
+        console.log('\n⚠️  Discovery stopped early. Waiting for downloads to finish...');
+    } else {
+        console.log('\n✅ Discovery complete. Waiting for downloads to finish...');
+    }
+}
+
+/**
+ * Pages through one source. Returns false when discovery gave up on it.
+ */
+async function harvestSource(source) {
+    const state = manifest.source(source.name);
+    const resuming = !state.discoveryComplete && !!state.cursor;
+    let cursor = resuming ? state.cursor : null;
     let hasMore = true;
+    let reachedEnd = false;
+
+    // Sync mode: once a full walk has completed, later runs stop at the first
+    // page that holds only posts we already know. --full forces a complete walk.
+    let walkMode = 'full';
+    if (!CONFIG.FULL_WALK) {
+        if (resuming && state.walkMode) walkMode = state.walkMode;
+        else if (state.lastFullWalk) walkMode = 'sync';
+    }
+    manifest.startWalk(source.name, walkMode);
+
+    console.log(`\n📚 Source: ${source.name} (${source.apiSource})`);
+    if (walkMode === 'sync') {
+        const newest = state.newestPost;
+        console.log(`🔁 Sync mode: stopping at the first page of already harvested posts${newest ? ` (newest known: ${newest.id}, ${newest.createTime})` : ''}. Use --full to walk everything.`);
+    }
+    console.log(cursor ? '🚀 Resuming API Pagination Loop from saved cursor...' : '🚀 Starting API Pagination Loop...');
 
-    console.log('🚀 Starting API Pagination Loop...');
+    let failedAttempts = 0;
 
     while (hasMore) {
+        await core.discovery.wait();
+        if (core.stopping) {
+            console.log(`⏹️  Stopped paging ${source.name}. The next run resumes from this page.`);
+            return false;
+        }
         try {
-            const data = await fetchPage(cursor);
+            await rates.ready('api'); // Spaces pages out; be nice to the API
+            const data = await fetchPage(cursor, source.apiSource);
+            rates.report('api');
+            failedAttempts = 0;
             
             if (!data || !data.posts || data.posts.length === 0) {
                 console.log('🏁 No more posts found. Finishing up...');
                 hasMore = false;
+                reachedEnd = true;
                 break;
             }
 
             console.log(`📄 Fetched page. Processing ${data.posts.length} posts...`);
             
+            // Checked before processing, since processPost records the posts.
+            const allKnown = data.posts.every(post => manifest.hasPost(post.id, source.name));
+
             for (const post of data.posts) {
-                processPost(post);
+                processPost(post, source);
             }
 
             // Pagination logic
             cursor = data.nextCursor;
-            if (!cursor) hasMore = false;
+            if (!cursor) {
+                hasMore = false;
+                reachedEnd = true;
+            } else if (walkMode === 'sync' && allKnown) {
+                console.log('\n🏁 Page contained only already harvested posts. Sync complete.');
+                hasMore = false;
+            }
+            manifest.setCursor(source.name, cursor);
 
             // Stats update
-            if (process.stdout.isTTY) {
-                process.stdout.write(`\r📊 Queue: ${downloadQueue.length} | Active: ${activeDownloads} | Found: ${harvestStats.found}`);
+            if (process.stdout.isTTY && !events.enabled) {
+                process.stdout.write(`\r📊 Queue: ${core.downloads.size} | Active: ${core.downloads.active} | Found: ${core.stats.found}`);
             }
 
-            // Be nice to the API
-            await new Promise(r => setTimeout(r, CONFIG.API_DELAY_MS));
-
         } catch (err) {
+            if (isAuthStatus(err.statusCode)) {
+                // Not a real failure: wait for a fresh login, then fetch the same cursor again.
+                await waitForReauth();
+                if (core.stopping) {
+                    console.log(`⏹️  Stopped paging ${source.name} while waiting for a login. The next run resumes from this page.`);
+                    return false;
+                }
+                continue;
+            }
+
+            rates.report('api', err);
+            failedAttempts++;
             console.error('\n❌ Error fetching API page:', err.message);
-            console.log('Retrying in 5 seconds...');
-            await new Promise(r => setTimeout(r, 5000));
+            if (failedAttempts > CONFIG.API_RETRIES) {
+                console.error(`❌ Giving up on ${source.name} after ${failedAttempts} failed attempts. The next run resumes from this page.`);
+                core.stats.errors++;
+                events.emit('failed', { item: `api:${source.name}`, error: err.message, attempt: failedAttempts, final: true });
+                return false;
+            }
+            const delayMs = rates.backoffMs(failedAttempts, err.retryAfterMs);
+            console.log(`Retrying in ${(delayMs / 1000).toFixed(1)} seconds... (${failedAttempts}/${CONFIG.API_RETRIES})`);
+            await new Promise(r => setTimeout(r, delayMs));
         }
     }
-    isScraping = false; // Scraping finished
-    console.log('\n✅ Discovery complete. Waiting for downloads to finish...');
-    checkQueue(); // Ensure queue is flushed
+
+    manifest.finishWalk(source.name, reachedEnd);
+    return true;
 }
 
-function fetchPage(cursor) {
+function fetchPage(cursor, apiSource) {
     return new Promise((resolve, reject) => {
         const request = net.request({
             method: 'POST',
-            url: 'https://grok.com/rest/media/post/list',
+            url: POST_LIST_URL,
+            session: harvestSession,
         });
 
         // Apply captured headers
@@ -201,8 +344,8 @@ function fetchPage(cursor) {
         
         // --- UPDATED: Conditional Cursor Inclusion ---
         const requestBody = {
-            limit: CONFIG.BATCH_SIZE, // Uses the new 100 limit
-            filter: { source: "MEDIA_POST_SOURCE_LIKED" }
+            limit: CONFIG.BATCH_SIZE,
+            filter: { source: apiSource }
         };
 
         // Only add cursor if it exists and is not empty
@@ -222,7 +365,8 @@ function fetchPage(cursor) {
                 if (response.statusCode >= 200 && response.statusCode < 300) {
                     try { resolve(JSON.parse(chunkData)); } catch (e) { reject(e); }
                 } else {
-                    reject(new Error(`HTTP ${response.statusCode}`));
+                    const retryAfter = response.headers['retry-after'];
+                    reject(new HttpError(response.statusCode, parseRetryAfter(Array.isArray(retryAfter) ? retryAfter[0] : retryAfter)));
                 }
             });
         });
@@ -232,28 +376,118 @@ function fetchPage(cursor) {
     });
 }
 
+// --- Retrying Failed Items ---
+
+/**
+ * The retry-failed action: downloads only the files in the failure ledger.
+ * Their posts are looked up in the API first, because the media URLs stored
+ * with a failure are signed and have usually expired by now.
+ */
+async function startRetryHarvest() {
+    const wanted = new Map(failures.entries()); // relPath -> ledger entry, until re-queued
+
+    const sourceNames = new Set([...wanted.values()].map(entry => entry.source));
+    for (const name of sourceNames) {
+        if (core.stopping) break;
+        await refreshFromSource(sourceFor(name), wanted);
+    }
+
+    // Posts the API no longer lists get one more try with the stored URL.
+    for (const [relPath, entry] of core.stopping ? [] : wanted) {
+        const file = manifest.getFile(relPath);
+        if (!file?.task) {
+            console.warn(`⚠️  ${relPath}: not in the manifest, cannot retry it.`);
+            continue;
+        }
+        console.log(`⚠️  ${relPath}: post ${entry.ref} was not found in ${entry.source}; retrying its stored URL.`);
+        addToQueue({ ...file.task, date: new Date(file.task.date) });
+    }
+}
+
+/**
+ * Pages through a source until every post with a wanted file was seen, and
+ * queues those files with the URLs the API gives now.
+ */
+async function refreshFromSource(source, wanted) {
+    const postIds = new Set([...wanted.values()].filter(entry => entry.source === source.name).map(entry => entry.ref));
+    console.log(`🔎 Looking up ${postIds.size} posts in ${source.name} (${source.apiSource})...`);
+    let cursor = null;
+    let failedAttempts = 0;
+
+    while (postIds.size > 0 && !core.stopping) {
+        try {
+            await rates.ready('api');
+            const data = await fetchPage(cursor, source.apiSource);
+            rates.report('api');
+            failedAttempts = 0;
+
+            for (const post of data?.posts || []) {
+                if (!postIds.delete(post.id)) continue;
+                manifest.recordPost(post, source.name);
+                for (const task of tasksForPost(post, source)) {
+                    if (wanted.delete(task.relPath)) addToQueue(task);
+                }
+            }
+
+            cursor = data?.posts?.length ? data.nextCursor : null;
+            if (!cursor) break;
+        } catch (err) {
+            if (isAuthStatus(err.statusCode)) {
+                await waitForReauth();
+                if (core.stopping) return;
+                continue;
+            }
+            rates.report('api', err);
+            failedAttempts++;
+            console.error('\n❌ Error fetching API page:', err.message);
+            if (failedAttempts > CONFIG.API_RETRIES) {
+                console.error(`❌ Giving up on looking up posts in ${source.name} after ${failedAttempts} failed attempts.`);
+                return;
+            }
+            await new Promise(r => setTimeout(r, rates.backoffMs(failedAttempts, err.retryAfterMs)));
+        }
+    }
+}
+
 // --- Core Logic: Item Processing ---
 
-function processPost(post) {
-    if (processedIds.has(post.id)) return;
-    processedIds.add(post.id);
-    harvestStats.found++;
+function processPost(post, source) {
+    // A post can show up in several sources; it is processed once per source.
+    const seenIn = processedIds.get(post.id);
+    if (seenIn?.has(source.name)) return;
+    if (!seenIn) {
+        processedIds.set(post.id, new Set([source.name]));
+        core.stats.found++;
+    } else {
+        seenIn.add(source.name);
+    }
+    manifest.recordPost(post, source.name);
+    events.emit('discovered', { item: post.id, source: source.name });
+
+    for (const task of tasksForPost(post, source)) {
+        addToQueue(task);
+    }
+}
 
+/** The files a post stands for (its image, and its latest or every video), as named tasks. */
+function tasksForPost(post, source) {
+    const tasks = [];
     const baseDate = new Date(post.createTime);
 
     // 1. Process Main Image
     if (post.mediaUrl) {
-        const ext = getExtension(post.mimeType) || 'jpg';
-        const filename = `grok-image-${post.id}.${ext}`;
-        
-        addToQueue({
+        tasks.push(nameTask({
             url: post.mediaUrl,
-            filename: filename,
+            ext: getExtension(post.mimeType) || 'jpg',
+            variant: '',
             date: baseDate,
             prompt: post.originalPrompt || post.prompt,
             sourceUrl: post.mediaUrl,
-            type: 'image'
-        });
+            type: 'image',
+            source: source.name,
+            postId: post.id,
+            childId: null
+        }));
     }
 
     // 2. Process Child Posts (Videos/Variants)
@@ -271,194 +505,275 @@ function processPost(post) {
             }
             if (!videoUrl) return;
 
-            const ext = getExtension(child.mimeType) || 'mp4';
-            
             // Naming Logic
             let suffix = '';
             if (CONFIG.DOWNLOAD_ALL_VARIANTS && childrenToDownload.length > 1) {
                 suffix = `-${index + 1}`;
             }
-            const filename = `grok-video-${post.id}${suffix}.${ext}`;
 
             // Date logic: Parent date + 1 second per index
             const childDate = new Date(baseDate.getTime() + (index * 1000));
 
-            addToQueue({
+            tasks.push(nameTask({
                 url: videoUrl,
-                filename: filename,
+                ext: getExtension(child.mimeType) || 'mp4',
+                variant: suffix,
                 date: childDate,
                 prompt: child.originalPrompt || child.prompt || post.prompt, // Fallback to parent prompt
-                sourceUrl: `https://grok.com/imagine/post/${post.id}`, // Link to web view
-                type: 'video'
-            });
+                sourceUrl: new URL(`/imagine/post/${post.id}`, CONFIG.BASE_URL).toString(), // Link to web view
+                type: 'video',
+                source: source.name,
+                postId: post.id,
+                childId: child.id
+            }));
         });
     }
-    
-    checkQueue();
+    return tasks;
 }
 
 function addToQueue(task) {
-    const filePath = path.join(CONFIG.OUTPUT_DIR, task.filename);
-    
-    // Check if file exists
-    if (fs.existsSync(filePath)) {
-        harvestStats.skipped++;
+    // Tasks saved before sources existed live at the top of the output directory.
+    task.relPath = task.relPath || task.filename;
+    const filePath = path.join(CONFIG.OUTPUT_DIR, task.relPath);
+
+    // Same media already waiting or downloading for another source: link it once that finishes.
+    const pending = pendingTasks.get(mediaKey(task));
+    if (pending) {
+        if (pending.relPath !== task.relPath && !pending.alsoIn.some(t => t.relPath === task.relPath)) {
+            manifest.updateFile(task.relPath, { ...describeTask(task), status: FILE_STATUS.QUEUED });
+            pending.alsoIn.push(task);
+            events.emit('queued', { item: task.relPath, postId: task.postId, url: task.url, linkTo: pending.relPath });
+        }
         return;
     }
 
-    downloadQueue.push(task);
-}
-
-function checkQueue() {
-    // <-- NEW: Guard to prevent downloads from starting too early
-    if (!canStartDownloads) {
+    // Check if file exists
+    if (fs.existsSync(filePath)) {
+        const known = manifest.getFile(task.relPath);
+        if (!known || (known.status !== FILE_STATUS.DOWNLOADED && known.status !== FILE_STATUS.SKIPPED && known.status !== FILE_STATUS.LINKED)) {
+            manifest.updateFile(task.relPath, {
+                ...describeTask(task),
+                status: FILE_STATUS.SKIPPED,
+                bytes: fs.statSync(filePath).size,
+            });
+        }
+        core.stats.skipped++;
+        failures.resolve(task.relPath);
+        events.emit('skipped', { item: task.relPath, postId: task.postId, path: filePath, reason: 'exists' });
         return;
     }
 
-    if (downloadQueue.length === 0 && activeDownloads === 0 && !isScraping) {
-        console.log('\n✨ All operations completed!');
-        console.log(`📥 Total Downloaded: ${harvestStats.downloaded}`);
-        console.log(`⏭️  Total Skipped: ${harvestStats.skipped}`);
-        console.log(`❌ Errors: ${harvestStats.errors}`);
-        app.quit();
+    // Stored under another source (or in the old flat layout): reference that copy.
+    const storedAt = findStoredCopy(task);
+    if (storedAt) {
+        linkStoredCopy(storedAt, task);
+        core.stats.skipped++;
         return;
     }
 
-    while (activeDownloads < CONFIG.CONCURRENT_DOWNLOADS && downloadQueue.length > 0) {
-        const task = downloadQueue.shift();
-        downloadFile(task);
-    }
+    manifest.updateFile(task.relPath, { ...describeTask(task), status: FILE_STATUS.QUEUED });
+    task.alsoIn = [];
+    pendingTasks.set(mediaKey(task), task);
+    core.downloads.add(Object.assign(task, { key: task.relPath, path: filePath }));
 }
 
-// --- Core Logic: Downloading & Metadata ---
+function mediaKey(task) {
+    return `${task.type}:${task.childId || task.postId}`;
+}
 
-async function downloadFile(task, retryCount = 0) {
-    activeDownloads++;
-    const tempPath = path.join(TEMP_DIR, task.filename);
-    const finalPath = path.join(CONFIG.OUTPUT_DIR, task.filename);
+// --- File Naming ---
 
-    console.log(`⬇️  Downloading: ${task.filename}`);
+/** Gives a new task its path below the output directory from the name template. */
+function nameTask(task) {
+    task.relPath = templatePath(task, CONFIG.NAME_TEMPLATE, task.source);
+    task.filename = path.basename(task.relPath);
+    return task;
+}
 
-    const file = fs.createWriteStream(tempPath);
+/**
+ * Renders a template for a task. When the path already belongs to a different
+ * item (say two posts with the same prompt slug), a "-2", "-3", ... suffix is
+ * added; the manifest remembers which item owns which path.
+ */
+function templatePath(task, template, sourceName) {
+    const basePath = renderTemplate(template, {
+        id: task.postId,
+        type: task.type,
+        variant: task.variant,
+        source: sourceName,
+        date: task.date,
+        prompt: task.prompt,
+    });
+    const ext = task.ext || path.extname(task.filename).slice(1);
+    return uniquePath(basePath, ext, candidate => {
+        const owner = manifest.getFile(candidate);
+        return !owner || mediaKey(owner) === mediaKey(task);
+    });
+}
 
-    const request = net.request({ url: task.url });
+function describeTask(task) {
+    const { alsoIn, key, path: filePath, ...saved } = task;
+    return {
+        postId: task.postId,
+        childId: task.childId,
+        type: task.type,
+        source: task.source,
+        url: task.url,
+        task: { ...saved, date: task.date.toISOString() },
+    };
+}
 
-    // Apply captured headers to download request for authorization
-    if (authHeaders) {
-        // Per user instruction, only use the cookie header for downloads.
-        const cookieHeader = Object.entries(authHeaders).find(([key]) => key.toLowerCase() === 'cookie');
-        
-        if (cookieHeader) {
-            const [key, value] = cookieHeader;
-            request.setHeader(key, value);
-        }
+function findStoredCopy(task) {
+    const otherSources = (manifest.data.posts[task.postId]?.sources || []).filter(name => name !== task.source);
+    const candidates = [
+        ...otherSources.map(name => templatePath(task, CONFIG.NAME_TEMPLATE, name)),
+        templatePath(task, LEGACY_TEMPLATE, task.source),
+    ];
+    return candidates.find(relPath => relPath !== task.relPath && fs.existsSync(path.join(CONFIG.OUTPUT_DIR, relPath))) || null;
+}
+
+/**
+ * Makes a stored file appear in another source's folder as a hard link, so it
+ * is on disk once. Where hard links are not possible, the manifest entry alone
+ * references the stored copy.
+ */
+function linkStoredCopy(storedAt, task) {
+    const target = path.join(CONFIG.OUTPUT_DIR, task.relPath);
+    let linked = false;
+    try {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.linkSync(path.join(CONFIG.OUTPUT_DIR, storedAt), target);
+        linked = true;
+    } catch (err) {
+        if (err.code === 'EEXIST') linked = true;
     }
+    manifest.updateFile(task.relPath, { ...describeTask(task), status: FILE_STATUS.LINKED, storedAt, linked });
+    console.log(`🔗 ${task.relPath} → ${storedAt}${linked ? '' : ' (manifest reference only)'}`);
+    events.emit('skipped', { item: task.relPath, postId: task.postId, path: target, reason: 'linked', storedAt });
+}
 
-    request.on('response', (response) => {
-        if (response.statusCode !== 200) {
-            file.close();
-            fs.unlink(tempPath, () => {});
-            handleDownloadError(task, `HTTP ${response.statusCode}`, retryCount);
-            return;
-        }
+// --- Core Logic: Downloading & Metadata ---
+//
+// The core's download queue (see harvest-core.js) fetches each task into a
+// temp file; these hooks check what arrived and move it into place.
+
+// Detected file formats (see metadata.js) each media type may arrive as.
+const EXPECTED_FORMATS = {
+    image: ['jpeg', 'png', 'webp', 'gif'],
+    video: ['mp4'],
+};
 
-        response.pipe(file);
+// Per user instruction, only use the cookie header from the captured headers for downloads.
+function downloadHeaders() {
+    const cookieHeader = authHeaders && Object.entries(authHeaders).find(([key]) => key.toLowerCase() === 'cookie');
+    return cookieHeader ? { [cookieHeader[0]]: cookieHeader[1] } : {};
+}
 
-        file.on('finish', async () => {
-            file.close();
-            
-            try {
-                // 1. Metadata Embedding
-                if (CONFIG.EMBED_METADATA) {
-                    await embedMetadata(tempPath, task);
-                }
+// Content-Type can lie; the first bytes cannot.
+async function verifyDownload(task, result) {
+    const format = await detectFileFormat(result.path);
+    if (!EXPECTED_FORMATS[task.type].includes(format)) {
+        await fsPromises.rm(result.path, { force: true });
+        throw new Error(`content is ${format || 'not a known media format'}, expected ${task.type}`);
+    }
+}
 
-                // 2. Rename to final
-                await fsPromises.rename(tempPath, finalPath);
+/** Embeds metadata and moves a verified download into OUTPUT_DIR. */
+async function saveDownload(task, result) {
+    const tempPath = result.path;
+    const finalPath = task.path;
+    try {
+        // 1. Metadata Embedding
+        if (CONFIG.EMBED_METADATA) {
+            await embedMetadata(tempPath, task);
+        }
 
-                // 3. Set File Creation/Modification Dates
-                await fsPromises.utimes(finalPath, task.date, task.date);
+        // 2. Rename to final
+        await fsPromises.mkdir(path.dirname(finalPath), { recursive: true });
+        await fsPromises.rename(tempPath, finalPath);
 
-                harvestStats.downloaded++;
-                console.log(`✅ Saved: ${task.filename}`);
-            } catch (err) {
-                console.error(`⚠️ Post-processing error for ${task.filename}:`, err.message);
-                // If post-processing fails, try to move the raw file anyway
-                if (fs.existsSync(tempPath) && !fs.existsSync(finalPath)) {
-                    await fsPromises.rename(tempPath, finalPath);
-                }
-            } finally {
-                activeDownloads--;
-                checkQueue();
-            }
-        });
-    });
+        // 3. Set File Creation/Modification Dates
+        await fsPromises.utimes(finalPath, task.date, task.date);
 
-    request.on('error', (err) => {
-        file.close();
-        fs.unlink(tempPath, () => {});
-        handleDownloadError(task, err.message, retryCount);
-    });
+        // Embedding changes the bytes; the hash describes the file as saved.
+        const sha256 = CONFIG.EMBED_METADATA ? await sha256File(finalPath) : result.sha256;
+        return { path: finalPath, bytes: (await fsPromises.stat(finalPath)).size, sha256 };
+    } catch (err) {
+        console.error(`⚠️ Post-processing error for ${task.filename}:`, err.message);
+        // If post-processing fails, move the verified raw file anyway
+        if (fs.existsSync(tempPath) && !fs.existsSync(finalPath)) {
+            await fsPromises.rename(tempPath, finalPath);
+        }
+        if (!fs.existsSync(finalPath)) throw err;
+        const sha256 = await sha256File(finalPath).catch(() => null);
+        return { path: finalPath, bytes: fs.statSync(finalPath).size, sha256, warning: `Post-processing: ${err.message}` };
+    }
+}
 
-    request.end();
+/**
+ * One auth failure per task pauses for re-login without using up a retry.
+ * A second one after a fresh login is a real error (e.g. an expired signed URL).
+ */
+function reauthFor(task, err) {
+    if (!isAuthStatus(err.statusCode) || task.reauthAttempted) return null;
+    console.warn(`🔒 ${task.filename}: HTTP ${err.statusCode}, waiting for re-login before retrying.`);
+    task.reauthAttempted = true;
+    return waitForReauth();
 }
 
-function handleDownloadError(task, msg, retryCount) {
-    console.error(`❌ Fail: ${task.filename} (${msg})`);
-    
-    if (retryCount < CONFIG.DOWNLOAD_RETRIES) {
-        console.log(`   Retrying ${task.filename}... (${retryCount + 1}/${CONFIG.DOWNLOAD_RETRIES})`);
-        activeDownloads--;
-        setTimeout(() => downloadFile(task, retryCount + 1), 2000);
-    } else {
-        // After all retries, delete the failed temporary file.
-        fs.unlink(path.join(TEMP_DIR, task.filename), () => {});
-        harvestStats.errors++;
-        activeDownloads--;
-        checkQueue();
+/** A task is done with: files waiting for the same media link to it once it was saved. */
+function releaseTask(task, outcome) {
+    if (outcome === 'completed') {
+        for (const other of task.alsoIn) linkStoredCopy(task.relPath, other);
+    }
+    pendingTasks.delete(mediaKey(task));
+}
+
+// --- Re-authentication ---
+
+/**
+ * Pauses pagination and downloads until the interceptor captures fresh headers.
+ * Every caller that hits an auth failure shares the same wait.
+ */
+function waitForReauth() {
+    if (core.stopping) return Promise.resolve();
+    if (!reauthPromise) {
+        reauthPromise = new Promise(resolve => { resolveReauth = resolve; });
+        console.log('\n🔒 Authentication expired. Pausing discovery and downloads.');
+        events.emit('auth-required', { reason: 'authentication expired' });
+        console.log('>>> Log in again in the window. The harvest continues once fresh authentication is captured. <<<\n');
+        if (win && !win.isDestroyed()) {
+            win.show();
+            win.focus();
+            win.loadURL(FAVORITES_URL);
+        }
     }
+    return reauthPromise;
+}
+
+/** Lets everything waiting in waitForReauth() go on: after a fresh login, or to run into a stop. */
+function endReauthWait() {
+    if (!reauthPromise) return;
+    const resolve = resolveReauth;
+    reauthPromise = null;
+    resolveReauth = null;
+    resolve();
 }
 
 // --- Metadata Helper ---
 
 async function embedMetadata(filePath, task) {
-    // For ffmpeg, the temp output file needs the correct extension so the container format can be inferred.
-    const ext = path.extname(task.filename); // e.g., '.mp4'
-    const tempOutput = filePath + '.meta' + ext;
-    const sanitizedPrompt = sanitizePrompt(task.prompt);
+    const fields = {
+        comment: sanitizePrompt(task.prompt),
+        description: task.sourceUrl,
+        date: task.date,
+    };
 
     try {
-        if (task.type === 'image') {
-            const args = [
-                '-overwrite_original'
-            ];
-            if (sanitizedPrompt) {
-                args.push(`-Comment=${sanitizedPrompt}`);
-            }
-            args.push(
-                `-Description=${task.sourceUrl}`,
-                `-DateTimeOriginal=${formatExifDate(task.date)}`,
-                filePath
-            );
-            await runCommand('exiftool', args);
-        
-        } else if (task.type === 'video') {
-            const args = [
-                '-y', '-i', filePath
-            ];
-            if (sanitizedPrompt) {
-                args.push('-metadata', `comment=${sanitizedPrompt}`);
-            }
-            args.push(
-                '-metadata', `description=${task.sourceUrl}`,
-                '-metadata', `creation_time=${task.date.toISOString()}`,
-                '-c', 'copy',
-                tempOutput
-            );
-            await runCommand('ffmpeg', args);
-            
-            await fsPromises.unlink(filePath);
-            await fsPromises.rename(tempOutput, filePath);
+        if (CONFIG.METADATA_BACKEND === 'external') {
+            await writeMetadataExternal(filePath, fields, task.type);
+        } else if (!(await writeMetadata(filePath, fields))) {
+            console.warn(`   ⚠️  Unsupported format for metadata. Skipping metadata for ${task.filename}`);
         }
     } catch (e) {
         if (e.code === 'ENOENT') {
@@ -466,21 +781,9 @@ async function embedMetadata(filePath, task) {
         } else {
             console.warn(`   ⚠️  Metadata error: ${e.message}`);
         }
-        if (fs.existsSync(tempOutput)) await fsPromises.unlink(tempOutput);
     }
 }
 
-function runCommand(command, args) {
-    return new Promise((resolve, reject) => {
-        const proc = spawn(command, args);
-        proc.on('close', (code) => {
-            if (code === 0) resolve();
-            else reject(new Error(`${command} exited with code ${code}`));
-        });
-        proc.on('error', (err) => reject(err));
-    });
-}
-
 // --- Utilities ---
 
 function getExtension(mimeType) {
@@ -507,7 +810,31 @@ function sanitizePrompt(str) {
 
     return str.replace(/[\r\n]+/g, ' ').substring(0, 2000);
 }
-
-function formatExifDate(date) {
-    return date.toISOString().replace(/T/, ' ').replace(/\..+/, '').replace(/-/g, ':');
-}
\ No newline at end of file
+// --- Plugin ---
+
+module.exports = {
+    name: 'grok2',
+    outputDir: () => CONFIG.OUTPUT_DIR,
+    manifestFile: '.grok-manifest.json',
+    failuresFile: '.harvest-failures.json',
+    // API pages go one at a time; downloads in parallel. Both slow down together when grok.com pushes back.
+    rateLanes: () => ({ api: { concurrency: 1, delayMs: CONFIG.API_DELAY_MS } }),
+    downloads: {
+        concurrency: CONFIG.CONCURRENT_DOWNLOADS,
+        retries: CONFIG.DOWNLOAD_RETRIES,
+        stallTimeoutMs: CONFIG.DOWNLOAD_TIMEOUT_MS,
+        tempDir: '.grok-dl-tmp',
+        acceptTypes: task => [`${task.type}/`, 'application/octet-stream', 'binary/octet-stream'],
+        headers: downloadHeaders,
+        verify: verifyDownload,
+        complete: saveDownload,
+        eventFields: task => ({ postId: task.postId }),
+        ledgerFields: task => ({ path: task.relPath, ref: task.postId, source: task.source }),
+        onAuthError: reauthFor,
+        blocked: () => !!reauthPromise, // Downloads stay parked while we wait for the user to log in again
+        released: releaseTask,
+        requeue: addToQueue,
+    },
+    start,
+    commands: () => ({ start: () => startByUser('"start" typed') }),
+};
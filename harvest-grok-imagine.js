@@ -1,31 +1,44 @@
-const { app, BrowserWindow, session, screen } = require('electron');
+const { BrowserWindow, screen } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const { existsSync } = require('fs');
-const https = require('https');
-
-// --- Configuration Constants ---
-const DOWNLOAD_TIMEOUT_MS = 120000;        // For downloads in main process
-const RENDERER_POLL_TIMEOUT_MS = 123000;   // For finding elements in renderer
-const DELAY_BETWEEN_ACTIONS_MS = 2000;    // For waiting between scrolls
-const SCROLL_ATTEMPTS_BEFORE_EXIT = 5;    // For giving up on scrolling
-const MAX_CONCURRENT_DOWNLOADS = 25;      // Pause scrolling when active downloads exceed this
-const DOWNLOAD_RESUME_THRESHOLD = 10;     // Resume scrolling when active downloads drop below this
-const MAX_DOWNLOAD_RETRIES = 3;           // Max number of times to retry a failed download
-
-const SELECTORS = {
-  ITEM_CONTAINER: 'div[role="listitem"]',
-  ITEM_IMAGE: 'img',
-  ITEM_VIDEO: 'video',
-  ITEM_PLAY_BUTTON: 'button:has(svg.lucide-play)',
-};
-
-
+const { getOptions } = require('./cli');
+const { profileOutputDir } = require('./profiles');
+const { renderTemplate } = require('./naming');
+const { loadSelectors } = require('./grok-selectors');
+
+// --- Configuration Constants (set from the command line, see cli.js) ---
+const options = getOptions('grok');
+const DOWNLOAD_TIMEOUT_MS = options.downloadTimeout * 1000;    // For downloads in main process
+const RENDERER_POLL_TIMEOUT_MS = options.pollTimeout * 1000;   // For finding elements in renderer
+const DELAY_BETWEEN_ACTIONS_MS = options.scrollDelay * 1000;   // For waiting between scrolls
+const SCROLL_ATTEMPTS_BEFORE_EXIT = options.scrollAttempts;    // For giving up on scrolling
+const MAX_CONCURRENT_DOWNLOADS = options.concurrency;           // Downloads at a time; pause scrolling when more are pending
+const DOWNLOAD_RESUME_THRESHOLD = options.resumeThreshold;     // Resume scrolling when pending downloads drop below this
+const MAX_DOWNLOAD_RETRIES = options.retries;                  // Max number of times to retry a failed download
+const FAVORITES_URL = new URL('/imagine/favorites', options.baseUrl).toString(); // grok.com, or a local mock-server.js
+const NAME_TEMPLATE = options.nameTemplate;                    // Path of each file below destDir, see naming.js
+const SOURCE_NAME = 'favorites';                               // Value of {source} in the name template
+// Only the favorites page is scraped; grok2 --source reads the other post
+// sources (own generations, any MEDIA_POST_SOURCE_*) from the media API.
+const RETRY_FAILED = process.customData?.action === 'retry-failed'; // Only download what the ledger lists
+
+// Extensions an image may have been saved with; its type is only known once the download starts.
+const IMAGE_EXTENSIONS = ['jpg', 'png', 'gif', 'webp'];
+
+// Built in, or patched from the --selectors file (see grok-selectors.js).
+const { selectors: SELECTORS, overridden: OVERRIDDEN_SELECTORS } = loadSelectors(options.selectors);
+
+
+let core = null; // The running harvest, see harvest-core.js
 let win;
-
-const activeDownloads = new Map();
+let destDir;
+const retrySeen = new Set(); // Ledger items the page showed again, in a retry-failed run
+const pendingItems = new Set(); // Item ids queued or downloading
 
 let scrapingFinished = false;
+let finishDiscovery = null; // Resolves start() once scrolling is over
+let scrollingHeld = false; // Scrolling waits for the download queue to drain
 
 function createWindow() {
   const primaryDisplay = screen.getPrimaryDisplay();
@@ -34,28 +47,31 @@ function createWindow() {
   win = new BrowserWindow({
     width,
     height,
-    webPreferences: { contextIsolation: true, audio: false }
+    webPreferences: { contextIsolation: true, audio: false, session: core.session }
   });
 
   // Listen for console messages from the renderer process
   win.webContents.on('console-message', (event, level, message, line, sourceId) => {
     // In Chromium, 1 = warning, 2 = error.
     if (message.startsWith('__DOWNLOAD_URL__')) {
+      if (core.stopping) return; // Cards still being read when the stop came
       try {
-        const { url, filename } = JSON.parse(message.substring('__DOWNLOAD_URL__'.length));
-        // Only queue if it's not already active
-        if (!activeDownloads.has(url)) {
-            activeDownloads.set(url, {
-                baseFilename: filename,
-                retriesLeft: MAX_DOWNLOAD_RETRIES,
-                isRetry: false,
-                item: null, // Will be populated by 'will-download'
-                finalFilename: null, // Will be populated by 'will-download'
-                status: 'pending'
-            });
+        const { url, postId, type, ext } = JSON.parse(message.substring('__DOWNLOAD_URL__'.length));
+        const baseName = renderTemplate(NAME_TEMPLATE, { id: postId, type, source: SOURCE_NAME });
+        const itemId = `${postId}:${type}`;
+        if (RETRY_FAILED && !noteRetryItem(itemId)) return;
+        core.stats.found++;
+        core.events.emit('discovered', { item: itemId, postId, type });
+        if (isAlreadySaved(baseName, ext)) {
+          // Tint purple: at least one file of this post was saved by an earlier run.
+          // Downloads finishing later tint it blue, overwriting this.
+          tintPost(postId, 'sepia(1) saturate(8) hue-rotate(240deg)');
+          core.stats.skipped++;
+          core.failures.resolve(itemId);
+          core.events.emit('skipped', { item: itemId, postId, type, reason: 'exists' });
+          return;
         }
-        console.log(`Trying download: ${filename} (from ${url})`);
-        win.webContents.downloadURL(url);
+        queueDownload({ key: itemId, url, postId, type, baseName, ext });
       } catch (e) {
         console.error('Failed to parse download request from renderer:', e);
       }
@@ -67,14 +83,14 @@ function createWindow() {
       console.error(`[Renderer Process Error] ${message}`);
     }
   });
-  win.loadURL('https://grok.com/imagine/favorites');
+  win.loadURL(FAVORITES_URL);
 }
 
 /**
  * This function is executed in the renderer process to scrape media items.
  * It's defined here and converted to a string for injection.
  */
-async function rendererEntryPoint(existingFileBases, config) {
+async function rendererEntryPoint(config) {
   // This entire function runs in the renderer process.
 
   const { SELECTORS } = config;
@@ -131,8 +147,9 @@ async function rendererEntryPoint(existingFileBases, config) {
     try { return await promise; } finally { overlay.remove(message); }
   };
 
-  const downloadedFileBases = new Set(existingFileBases);
   const processedPostIds = new Set(); // Keep track of posts processed in this session
+  const postIdPattern = new RegExp(SELECTORS.POST_ID_PATTERN);
+  let imageTimeouts = 0; // In a row; many mean the markup changed
 
   const poll = (conditionFn, timeout) => new Promise(resolve => {
     const startTime = Date.now();
@@ -165,8 +182,9 @@ async function rendererEntryPoint(existingFileBases, config) {
     }
   };
 
-  const requestDownload = (url, filename) => {
-    console.log('__DOWNLOAD_URL__' + JSON.stringify({ url, filename }));
+  // The main process names the file and skips it if an earlier run saved it.
+  const requestDownload = (download) => {
+    console.log('__DOWNLOAD_URL__' + JSON.stringify(download));
   };
 
   // --- Core scraping logic for a single item ---
@@ -185,9 +203,13 @@ async function rendererEntryPoint(existingFileBases, config) {
     const hasImage = await logAndWait(poll(() => itemEl.querySelector(SELECTORS.ITEM_IMAGE)?.src, config.POLL_TIMEOUT), `${posId} Waiting for image to load...`);
     if (!hasImage) {
       console.warn(`Card at ${posId} timed out waiting for an image.`);
+      if (++imageTimeouts === 3) {
+        console.warn('Several cards in a row had no image; if every card turns red, run "electron . grok diagnose" to check the selectors.');
+      }
       itemEl.style.filter = 'sepia(1) saturate(4) hue-rotate(320deg)'; // Red tint
       return;
     }
+    imageTimeouts = 0;
 
     const img = itemEl.querySelector(SELECTORS.ITEM_IMAGE);
     const hasVideoOrButton = await logAndWait(poll(() => itemEl.querySelector(SELECTORS.ITEM_VIDEO)?.src || itemEl.querySelector(SELECTORS.ITEM_PLAY_BUTTON), config.POLL_TIMEOUT), `${posId} Waiting for video/button...`);
@@ -197,7 +219,7 @@ async function rendererEntryPoint(existingFileBases, config) {
     }
 
     const video = itemEl.querySelector(SELECTORS.ITEM_VIDEO);
-    const match = new URL(img.src).pathname.match(/.*([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})/);
+    const match = new URL(img.src).pathname.match(postIdPattern);
     const postId = match ? match[1] : null;
 
     if (!postId || processedPostIds.has(postId)) return;
@@ -205,36 +227,29 @@ async function rendererEntryPoint(existingFileBases, config) {
 
     itemEl.dataset.postId = postId;
 
-    // Define all potential downloads and filter out those that already exist.
+    // Define all potential downloads. The image extension is unknown until it downloads.
     const potentialDownloads = [
-        { url: img.src, baseName: `grok-image-${postId}`, suffix: '.tmp' }
+        { url: img.src, postId, type: 'image', ext: null }
     ];
     if (video?.src) {
         potentialDownloads.push(
-            { url: video.src, baseName: `grok-video-${postId}`, suffix: '.mp4' },
-            { url: video.src.replace(/\.mp4\b/, '_hd.mp4'), baseName: `grok-video-hd-${postId}`, suffix: '.mp4' }
+            { url: video.src, postId, type: 'video', ext: 'mp4' },
+            { url: video.src.replace(/\.mp4\b/, '_hd.mp4'), postId, type: 'video-hd', ext: 'mp4' }
         );
     }
 
-    const downloadsToRequest = potentialDownloads.filter(dl => !downloadedFileBases.has(dl.baseName));
-    const isAnythingCached = potentialDownloads.length > downloadsToRequest.length;
-
-    // Tint purple if at least one file was already cached.
-    // The main process will tint it blue as downloads complete, overwriting this.
-    if (isAnythingCached) {
-        itemEl.style.filter = 'sepia(1) saturate(8) hue-rotate(240deg)';
-    } else if (hasVideoOrButton) {
+    // Tint green; the main process tints it purple if anything was saved before.
+    if (hasVideoOrButton) {
         itemEl.style.filter = 'sepia(1) saturate(6) hue-rotate(60deg)';
     }
 
-    // Request all downloads that are not cached.
-    downloadsToRequest.forEach(dl => requestDownload(dl.url, `${dl.baseName}${dl.suffix}`));
+    potentialDownloads.forEach(requestDownload);
   };
 
   // --- Main loop ---
   let consecutiveEmptyScrolls = 0;
 
-  while (consecutiveEmptyScrolls < config.SCROLL_ATTEMPTS_BEFORE_EXIT) {
+  while (consecutiveEmptyScrolls < config.SCROLL_ATTEMPTS_BEFORE_EXIT && !window.__DISCOVERY_STOPPED) {
     // Find all items on the page, but only work with the ones we haven't seen before.
     const allItemElements = Array.from(document.querySelectorAll(`${SELECTORS.ITEM_CONTAINER}:not([data-scraper-seen])`));
 
@@ -269,10 +284,14 @@ async function rendererEntryPoint(existingFileBases, config) {
     // Pause scrolling if the main process has set the flag due to too many active downloads.
     if (window.__SCRAPING_PAUSED) {
       // This loop will effectively halt the 'while' loop until the flag is cleared by the main process.
-      while (window.__SCRAPING_PAUSED) {
+      while (window.__SCRAPING_PAUSED && !window.__DISCOVERY_STOPPED) {
         await logAndWait(new Promise(r => setTimeout(r, 2000)), 'Download queue full. Pausing discovery...');
       }
     }
+    // Paused by the user, from the dashboard.
+    while (window.__DISCOVERY_PAUSED && !window.__DISCOVERY_STOPPED) {
+      await logAndWait(new Promise(r => setTimeout(r, 2000)), 'Discovery paused.');
+    }
 
     if (consecutiveEmptyScrolls < config.SCROLL_ATTEMPTS_BEFORE_EXIT) {
       await logAndWait(new Promise(r => { scrollDown(); setTimeout(r, config.DELAY_BETWEEN_ACTIONS); }), 'Scrolling down...');
@@ -284,31 +303,102 @@ async function rendererEntryPoint(existingFileBases, config) {
 }
 
 function handleScrapingComplete() {
+  if (scrapingFinished) return; // Already stopped
+  if (RETRY_FAILED && !core.stopping) retryStoredUrls();
   console.log('Finished discovering all media. Waiting for downloads to complete...');
   scrapingFinished = true;
-  // If there were no downloads to begin with, or they are already done, quit now.
-  if (activeDownloads.size === 0) {
-    console.log('No active downloads. Exiting.');
-    app.quit();
+  finishDiscovery();
+}
+
+// --- Downloads ---
+//
+// The core's download queue (see harvest-core.js) fetches each file with the
+// session's cookies; these helpers feed it and name what arrives.
+
+function queueDownload(task) {
+  // Only queue if it's not already pending
+  if (pendingItems.has(task.key)) return;
+  pendingItems.add(task.key);
+  const filename = task.ext ? `${task.baseName}.${task.ext}` : task.baseName;
+  console.log(`Trying download: ${filename} (from ${task.url})`);
+  core.downloads.add({ ...task, path: task.ext ? path.join(destDir, filename) : null });
+  holdScrolling();
+}
+
+// Scrolling pauses while more downloads than MAX_CONCURRENT_DOWNLOADS are
+// pending, and goes on once fewer than DOWNLOAD_RESUME_THRESHOLD are.
+function holdScrolling() {
+  const pending = core.downloads.size + core.downloads.active;
+  const hold = pending > MAX_CONCURRENT_DOWNLOADS || (scrollingHeld && pending >= DOWNLOAD_RESUME_THRESHOLD);
+  if (hold === scrollingHeld) return;
+  scrollingHeld = hold;
+  setPageFlag('__SCRAPING_PAUSED', hold);
+}
+
+async function saveDownload(task, result) {
+  // An image's extension is only known from the type the server sent.
+  const mimeType = (result.mimeType || '').split(';')[0].trim();
+  const ext = task.ext || getExtensionFromMimeType(mimeType) || 'jpg';
+  const savePath = path.join(destDir, `${task.baseName}.${ext}`);
+  await fs.mkdir(path.dirname(savePath), { recursive: true });
+  await fs.rename(result.path, savePath);
+
+  // Tint the completed item blue
+  tintPost(task.postId, 'sepia(1) saturate(8) hue-rotate(180deg)');
+  return { path: savePath, bytes: result.bytes, sha256: result.sha256 };
+}
+
+function releaseTask(task) {
+  pendingItems.delete(task.key);
+  holdScrolling();
+}
+
+// --- Retrying Failed Items ---
+//
+// A retry-failed run scrolls the favorites as usual but only downloads what
+// the failure ledger lists, with the URLs the page shows now (the stored ones
+// are signed and have usually expired). Once every listed item was seen,
+// scrolling stops.
+
+/** Whether a download the page asked for is one to retry. */
+function noteRetryItem(itemId) {
+  if (!core.failures.get(itemId)) return false;
+  retrySeen.add(itemId);
+  if (core.failures.entries().every(([key]) => retrySeen.has(key))) {
+    console.log('Every failed item was found again; no more scrolling.');
+    setPageFlag('__DISCOVERY_STOPPED', true);
   }
+  return true;
 }
 
-async function startScraping(destDir) {
-    // Wait for the initial page content to load before starting the loop.
-    await waitForPageReady(win);
+/** Items the page no longer shows get one more try with their stored URL. */
+function retryStoredUrls() {
+  for (const [itemId, entry] of core.failures.entries()) {
+    if (retrySeen.has(itemId) || pendingItems.has(itemId)) continue;
+    console.log(`${itemId} was not found on the page; retrying its stored URL.`);
+    // The stored path has an extension unless the image's was never learned.
+    const ext = path.extname(entry.path).slice(1);
+    const known = ext === 'mp4' || IMAGE_EXTENSIONS.includes(ext);
+    const baseName = known ? entry.path.slice(0, -(ext.length + 1)) : entry.path.replace(/\.tmp$/, '');
+    queueDownload({ key: itemId, url: entry.url, postId: entry.ref, type: itemId.split(':')[1], baseName, ext: known ? ext : null });
+  }
+}
+
+function setPageFlag(name, value) {
+  if (!win || win.isDestroyed()) return;
+  win.webContents.executeJavaScript(`window.${name} = ${JSON.stringify(value)};`).catch(() => {});
+}
+
+async function startScraping() {
+  // Wait for the initial page content to load before starting the loop.
+  await waitForPageReady(win);
 
   await fs.mkdir(destDir, { recursive: true });
   console.log(`Downloads will be saved to: ${destDir}`);
-  
-  // Get the basenames of already downloaded files to avoid re-downloading.
-  const existingFileNames = await fs.readdir(destDir);
-  console.log(`Found ${existingFileNames.length} existing files in destination. They will be checked individually.`);
-  const existingFileBases = new Set();
-  existingFileNames.forEach(file => {
-    // Remove extension, e.g., "grok-image-abc.jpg" -> "grok-image-abc"
-    existingFileBases.add(file.replace(/\.[^/.]+$/, ""));
-  });
-  console.log(`Found ${existingFileBases.size} unique file bases to check against.`);
+  console.log(`Files are named by the template "${NAME_TEMPLATE}"; existing ones are skipped.`);
+  if (OVERRIDDEN_SELECTORS.length > 0) {
+    console.log(`Selectors from ${options.selectors}: ${OVERRIDDEN_SELECTORS.join(', ')}`);
+  }
 
   const rendererConfig = {
     DELAY_BETWEEN_ACTIONS: DELAY_BETWEEN_ACTIONS_MS,
@@ -317,11 +407,30 @@ async function startScraping(destDir) {
     SELECTORS: SELECTORS
   };
 
-  // Inject and run the main renderer script, passing the set of existing file bases.
-  const script = `(${rendererEntryPoint.toString()})(${JSON.stringify(Array.from(existingFileBases))}, ${JSON.stringify(rendererConfig)})`;
+  // Inject and run the main renderer script.
+  const script = `(${rendererEntryPoint.toString()})(${JSON.stringify(rendererConfig)})`;
   win.webContents.executeJavaScript(script).catch(err => console.error('Failed to execute renderer entry point:', err));
 }
 
+/**
+ * Checks whether a file for the given template path was saved by an earlier run.
+ * @param {string} baseName Rendered template path, relative to destDir and without extension.
+ * @param {string|null} ext Known extension, or null to accept any image extension.
+ */
+function isAlreadySaved(baseName, ext) {
+  return (ext ? [ext] : IMAGE_EXTENSIONS).some(e => existsSync(path.join(destDir, `${baseName}.${e}`)));
+}
+
+function tintPost(postId, filter) {
+  if (!win || win.isDestroyed()) return;
+  win.webContents.executeJavaScript(`
+    (() => {
+      const itemEl = document.querySelector('[data-post-id="${postId}"]');
+      if (itemEl) itemEl.style.filter = '${filter}';
+    })();
+  `).catch(err => console.error('Failed to execute tint script:', err));
+}
+
 /**
  * Waits for the page to be ready by polling for the existence of list items.
  * @param {BrowserWindow} browserWin The browser window to check.
@@ -333,7 +442,7 @@ async function waitForPageReady(browserWin, timeoutMs = 30000) {
   while (Date.now() - startTime < timeoutMs) {
     try {
       const isReady = await browserWin.webContents.executeJavaScript(
-        `document.querySelector('${SELECTORS.ITEM_CONTAINER}') !== null`
+        `document.querySelector(${JSON.stringify(SELECTORS.ITEM_CONTAINER)}) !== null`
       );
       if (isReady) {
         console.log('Page is ready. Starting scraper...');
@@ -342,7 +451,7 @@ async function waitForPageReady(browserWin, timeoutMs = 30000) {
     } catch (e) { /* Ignore errors during polling, page might be reloading */ }
     await new Promise(resolve => setTimeout(resolve, 500)); // Poll every 500ms
   }
-  throw new Error(`Page did not become ready within ${timeoutMs / 1000} seconds.`);
+  throw new Error(`Page did not become ready within ${timeoutMs / 1000} seconds: nothing matched "${SELECTORS.ITEM_CONTAINER}". Not logged in, or the markup changed? "electron . grok diagnose" tests the selectors.`);
 }
 
 /**
@@ -359,124 +468,139 @@ function getExtensionFromMimeType(mimeType) {
 }
 
 
-app.whenReady().then(async () => {
-  // Use the path provided from the main script, or default to the current directory
-  const destDir = path.resolve(process.customData?.path || path.join('.', 'grok-favorites'));
+// --- Diagnose ---
+//
+// "electron . grok diagnose" loads the favorites page and tests every entry in
+// SELECTORS against it, so a change to grok.com's markup shows up as one
+// failing selector instead of a timeout or a page of red cards. When something
+// fails, the page's DOM and a screenshot are saved next to the downloads, to
+// write a --selectors file from.
 
-  createWindow();
+const DIAGNOSE_WAIT_MS = 30000; // How long the page gets to show cards with images
+const CARD_SELECTORS = ['ITEM_IMAGE', 'ITEM_VIDEO', 'ITEM_PLAY_BUTTON'];
 
-  
-  session.defaultSession.on('will-download', (event, item, webContents) => {
-    let timeoutId = null;
-    let lastBytes = 0;
-    const url = item.getURL();
-    
-    const downloadInfo = activeDownloads.get(url);
-
-    if (!downloadInfo) {
-      // This can happen if a download is triggered by something other than our script
-      console.warn(`WARN: Untracked download started for ${url}. Cancelling.`);
-      item.cancel();
-      return;
-    }
+/**
+ * Runs in the page: waits for cards with images, then counts what each
+ * selector matches. Converted to a string for injection, like rendererEntryPoint.
+ */
+async function checkSelectors(config) {
+  const { SELECTORS } = config;
+  const sample = el => (el ? el.outerHTML.replace(/\s+/g, ' ').slice(0, 300) : null);
+  const query = (root, selector) => {
+    try { return { elements: [...root.querySelectorAll(selector)] }; } catch (e) { return { elements: [], error: e.message }; }
+  };
+  const imageUrl = card => query(card, SELECTORS.ITEM_IMAGE).elements.find(img => img.src)?.src;
 
-    // Attach the item to its state object and update status
-    downloadInfo.item = item;
-    downloadInfo.status = 'downloading';
-
-    // Determine the final filename if it hasn't been determined yet (i.e., on the first attempt)
-    let finalFilename = downloadInfo.finalFilename || downloadInfo.baseFilename;
-    if (finalFilename.endsWith('.tmp') && !downloadInfo.isRetry) {
-      const mimeType = item.getMimeType();
-      let extension = getExtensionFromMimeType(mimeType);
-      if (!extension) extension = '.jpg'; // Default to jpg if unknown
-      finalFilename = finalFilename.replace('.tmp', `.${extension}`);
-      downloadInfo.finalFilename = finalFilename; // Store the resolved name
-    }
-    const savePath = path.join(destDir, finalFilename);
+  const deadline = Date.now() + config.WAIT_MS;
+  while (Date.now() < deadline && !query(document, SELECTORS.ITEM_CONTAINER).elements.some(imageUrl)) {
+    await new Promise(r => setTimeout(r, 500));
+  }
 
-    console.log(`- Started download: ${finalFilename} (from ${url})`);
+  const containers = query(document, SELECTORS.ITEM_CONTAINER);
+  const cards = containers.elements;
+  const results = [{ name: 'ITEM_CONTAINER', error: containers.error, inPage: cards.length, sample: sample(cards[0]) }];
+  for (const name of config.CARD_SELECTORS) {
+    const inPage = query(document, SELECTORS[name]);
+    const matching = cards.filter(card => query(card, SELECTORS[name]).elements.length > 0);
+    results.push({ name, error: inPage.error, inPage: inPage.elements.length, inCards: matching.length, sample: sample(matching[0] ? query(matching[0], SELECTORS[name]).elements[0] : inPage.elements[0]) });
+  }
 
-    const resetTimeout = () => {
-      clearTimeout(timeoutId);
-      timeoutId = setTimeout(() => {
-        item.cancel(); // Stop the download
-        console.error(`   ERROR: Download for ${finalFilename} stalled and was cancelled.`);
-      }, DOWNLOAD_TIMEOUT_MS);
-    };
+  const urls = cards.map(imageUrl).filter(Boolean);
+  let pattern;
+  try { pattern = new RegExp(SELECTORS.POST_ID_PATTERN); } catch (e) { /* Checked by grok-selectors.js */ }
+  const ids = urls.map(url => new URL(url).pathname.match(pattern)?.[1]).filter(Boolean);
+  results.push({ name: 'POST_ID_PATTERN', tested: urls.length, matched: ids.length, sampleUrl: urls[0] || null, sampleId: ids[0] || null });
 
-    item.setSavePath(savePath);
-    
-    // If we've exceeded the download limit, tell the renderer to pause scrolling.
-    if (activeDownloads.size > MAX_CONCURRENT_DOWNLOADS && win && !win.isDestroyed()) {
-      win.webContents.executeJavaScript('window.__SCRAPING_PAUSED = true;').catch(() => {});
-    }
+  return { url: location.href, title: document.title, cards: cards.length, results };
+}
 
-    resetTimeout(); // Start the initial timeout
+/** Prints one line per selector. Returns whether every required one works. */
+function printSelectorReport(report) {
+  let healthy = true;
+  const line = (icon, name, text, sample) => {
+    console.log(`${icon} ${name.padEnd(17)} ${text}`);
+    if (sample) console.log(`     ${sample}`);
+  };
 
-    item.on('updated', (e, state) => {
-      if (state === 'progressing' && item.getReceivedBytes() > lastBytes) {
-        lastBytes = item.getReceivedBytes();
-        resetTimeout();
+  for (const result of report.results) {
+    const selector = `"${SELECTORS[result.name]}"`;
+    if (result.error) {
+      healthy = false;
+      line('❌', result.name, `${selector} is not a valid selector: ${result.error}`);
+    } else if (result.name === 'ITEM_CONTAINER') {
+      if (result.inPage === 0) healthy = false;
+      line(result.inPage ? '✅' : '❌', result.name, `${selector} matches ${result.inPage} cards on the page`, result.sample);
+    } else if (result.name === 'POST_ID_PATTERN') {
+      if (result.tested === 0) {
+        line('⏭️ ', result.name, 'not tested: no card has an image URL');
+      } else {
+        if (result.matched === 0) healthy = false;
+        line(result.matched ? '✅' : '❌', result.name, `finds a post id in ${result.matched} of ${result.tested} image URLs`, `${result.sampleUrl}${result.sampleId ? ` → ${result.sampleId}` : ''}`);
       }
-    });
+    } else {
+      // Only the image is required; a page of favorites may hold no videos at all.
+      const required = result.name === 'ITEM_IMAGE';
+      const found = result.inCards > 0;
+      if (required && !found) healthy = false;
+      const extra = result.inPage > result.inCards ? ` (${result.inPage - result.inCards} more outside cards)` : !found && !required ? ' (fine if no favorite on screen is a video)' : '';
+      line(found ? '✅' : required ? '❌' : '⚠️ ', result.name, `${selector} is in ${result.inCards} of ${report.cards} cards${extra}`, result.sample);
+    }
+  }
+  return healthy;
+}
 
-    item.on('done', (e, state) => {
-      clearTimeout(timeoutId);
-      
-      // The downloadInfo object is from the parent scope and is still in the activeDownloads map.
-      if (state === 'completed') {
-        console.log(`   SUCCESS: Saved ${finalFilename}`);
-        activeDownloads.delete(url); // COMPLETELY finished, remove from tracking.
-
-        // Find the post ID from the filename
-        const match = finalFilename.match(/grok-(?:image|video|video-hd)-([a-f0-9-]+)\./);
-        if (match && win && !win.isDestroyed()) {
-          const postId = match[1];
-          // Execute script in renderer to tint the completed item blue
-          win.webContents.executeJavaScript(`
-            (() => {
-              const itemEl = document.querySelector('div[data-post-id="${postId}"]');
-              if (itemEl) itemEl.style.filter = 'sepia(1) saturate(8) hue-rotate(180deg)';
-            })();
-          `).catch(err => console.error('Failed to execute tint script:', err));
-        }
+async function diagnose(harvestCore) {
+  const diagWin = new BrowserWindow({
+    width: 1280,
+    height: 800,
+    webPreferences: { contextIsolation: true, audio: false, session: harvestCore.session }
+  });
+  console.log(`🩺 Testing the selectors on ${FAVORITES_URL}${OVERRIDDEN_SELECTORS.length ? ` (${OVERRIDDEN_SELECTORS.join(', ')} from ${options.selectors})` : ''}...`);
+  try {
+    await diagWin.loadURL(FAVORITES_URL);
+  } catch (err) {
+    console.warn(`⚠️  The page did not finish loading (${err.message}); testing what is there.`);
+  }
 
-      } else if (state !== 'cancelled') {
-        console.error(`   ERROR: Download for ${finalFilename} failed with state: ${state}`);
-        
-        if (downloadInfo.retriesLeft > 0) {
-            downloadInfo.retriesLeft--;
-            console.log(`   Retrying download for ${finalFilename}... (${downloadInfo.retriesLeft} attempts left)`);
-            
-            // Update state for the retry, but keep it in the activeDownloads map.
-            downloadInfo.isRetry = true;
-            downloadInfo.status = 'pending';
-            downloadInfo.item = null; // The old item is dead.
-
-            webContents.downloadURL(url);
-            return; // Return early to prevent the finished checks from running on a retry.
-        } else {
-            console.error(`   Gave up on ${finalFilename} after multiple retries.`);
-            activeDownloads.delete(url); // All retries failed, remove from tracking.
-        }
-      }
+  const config = { SELECTORS, CARD_SELECTORS, WAIT_MS: DIAGNOSE_WAIT_MS };
+  const report = await diagWin.webContents.executeJavaScript(`(${checkSelectors.toString()})(${JSON.stringify(config)})`);
+  console.log(`\nPage: ${report.url} ("${report.title}")`);
+  const healthy = printSelectorReport(report);
+
+  if (healthy) {
+    console.log('\n✨ Every required selector works.');
+  } else {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const basePath = path.join(harvestCore.outputDir, `grok-diagnose-${stamp}`);
+    await fs.mkdir(harvestCore.outputDir, { recursive: true });
+    await fs.writeFile(`${basePath}.html`, await diagWin.webContents.executeJavaScript('document.documentElement.outerHTML'));
+    await fs.writeFile(`${basePath}.png`, (await diagWin.webContents.capturePage()).toPNG());
+    console.log(`\n📸 Saved the page as ${basePath}.html and ${basePath}.png`);
+    if (report.cards === 0 && !new URL(report.url).pathname.startsWith('/imagine')) {
+      console.log('💡 The page went elsewhere; log in first ("electron . grok login").');
+    }
+    console.log('💡 Put corrected selectors in a JSON file and pass it with --selectors (see grok-selectors.js).');
+  }
+  diagWin.destroy();
+}
 
-      // If the number of downloads has dropped below the resume threshold, tell the renderer it can continue.
-      if (activeDownloads.size < DOWNLOAD_RESUME_THRESHOLD && win && !win.isDestroyed()) {
-        win.webContents.executeJavaScript('window.__SCRAPING_PAUSED = false;').catch(() => {});
-      }
+// --- Source Plugin (see harvest-core.js) ---
 
-      // If scraping is done and there are no more active downloads, we can quit.
-      if (scrapingFinished && activeDownloads.size === 0) {
-        console.log('All downloads have finished. Exiting.');
-        app.quit();
-      }
-    });
+async function start(harvestCore) {
+  core = harvestCore;
+  destDir = core.outputDir;
+  const discovered = new Promise(resolve => { finishDiscovery = resolve; });
+
+  // Discovery runs in the page, so pausing and stopping it go through window flags.
+  core.discovery.onChange(paused => setPageFlag('__DISCOVERY_PAUSED', paused));
+  core.onStop(() => {
+    setPageFlag('__DISCOVERY_STOPPED', true);
+    handleScrapingComplete();
   });
 
+  createWindow();
   try {
-    await startScraping(destDir);
+    await startScraping();
   } catch (error) {
     // The specific renderer error is already logged by the 'console-message' listener.
     // This catch block now handles the fallout of that error in the main process.
@@ -484,9 +608,30 @@ app.whenReady().then(async () => {
     console.error("The application will now exit.");
     if (win && !win.isDestroyed()) {
       // Give a moment for the user to see the error in the console if running with dev tools.
-      setTimeout(() => app.quit(), 10000);
-    } else {
-      app.quit();
+      await new Promise(resolve => setTimeout(resolve, 10000));
     }
+    throw error;
   }
-});
+  await discovered;
+}
+
+module.exports = {
+  name: 'grok',
+  // Each profile gets its own default folder so accounts never mix.
+  outputDir: () => profileOutputDir(path.join('.', 'grok-favorites'), options.profile),
+  failuresFile: '.harvest-failures.json',
+  actions: { diagnose },
+  downloads: {
+    concurrency: MAX_CONCURRENT_DOWNLOADS,
+    retries: MAX_DOWNLOAD_RETRIES,
+    stallTimeoutMs: DOWNLOAD_TIMEOUT_MS,
+    tempDir: '.grok-scroll-tmp', // Apart from grok2's, which drops partials its manifest does not know
+    acceptTypes: task => [task.type === 'image' ? 'image/' : 'video/', 'application/octet-stream', 'binary/octet-stream'],
+    complete: saveDownload,
+    eventFields: task => ({ postId: task.postId, type: task.type }),
+    ledgerFields: task => ({ path: task.ext ? `${task.baseName}.${task.ext}` : task.baseName, ref: task.postId }),
+    released: releaseTask,
+    requeue: queueDownload,
+  },
+  start,
+};
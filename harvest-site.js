@@ -0,0 +1,421 @@
+const { BrowserWindow, net } = require('electron');
+const path = require('path');
+const { existsSync } = require('fs');
+const { promises: fsPromises } = require('fs');
+const { getOptions } = require('./cli');
+const { profileOutputDir } = require('./profiles');
+const { parseRetryAfter } = require('./rate-controller');
+const { renderTemplate } = require('./naming');
+const { urlFilter } = require('./urls');
+
+// --- Generic Site Harvester ---
+//
+// Runs a site definition (see site-definitions.js) as a source plugin: it
+// either scrolls the start page and reads the cards it shows, or pages through
+// the site's JSON API, and hands every media URL it finds to the core's
+// download queue. Nothing in here knows about any particular site.
+
+const API_RETRIES = 5; // Failing API pages tolerated in a row before discovery gives up
+
+// Extensions a saved file may have, per media type; the type the server sends decides.
+const EXTENSIONS = {
+    image: ['jpg', 'png', 'gif', 'webp', 'avif'],
+    video: ['mp4', 'webm', 'mov'],
+};
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/avif': 'avif',
+    'video/mp4': 'mp4', 'video/webm': 'webm', 'video/quicktime': 'mov',
+};
+
+class HttpError extends Error {
+    constructor(statusCode, retryAfterMs = null) {
+        super(`HTTP ${statusCode}`);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/** Reads a dot path such as "data.posts.0.url" out of a parsed JSON value. */
+function valueAt(value, dotPath) {
+    return dotPath.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+/**
+ * Reads an API date: an ISO string, or a Unix time in seconds or milliseconds
+ * (numbers below 10^11 are taken as seconds, which covers dates until 5138).
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = typeof value === 'number' ? value : /^\d+(\.\d+)?$/.test(value) ? Number(value) : null;
+    const date = number === null ? new Date(value) : new Date(number < 1e11 ? number * 1000 : number);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Builds the plugin that harvests one site.
+ * @param {object} site A definition that passed definitionError().
+ */
+function createSitePlugin(site) {
+    const options = getOptions(site.name);
+    const siteUrl = relative => new URL(relative, options.baseUrl).toString();
+    const RETRY_FAILED = process.customData?.action === 'retry-failed';
+    const defaultExtension = type => site.naming?.extensions?.[type] || EXTENSIONS[type][0];
+
+    let core = null; // The running harvest, see harvest-core.js
+    let win = null;
+    let authHeaders = null; // Captured from the page's own requests when site.auth is set
+    const offered = new Set(); // Keys found in this run
+    const retrySeen = new Set(); // Ledger keys found again, in a retry-failed run
+
+    // --- Found Media ---
+
+    /**
+     * Queues one media file unless an earlier run saved it.
+     * @param {{id: string, type: string, variant?: string, url: string, date?: Date, prompt?: string}} media
+     */
+    function offer(media) {
+        const key = `${media.id}:${media.type}${media.variant || ''}`;
+        if (offered.has(key) || core.stopping) return;
+        offered.add(key);
+        if (RETRY_FAILED && !noteRetryItem(key)) return;
+
+        core.stats.found++;
+        core.events.emit('discovered', { item: key });
+        const baseName = renderTemplate(options.nameTemplate, { ...media, source: site.name });
+        if (savedCopy(baseName, media.type)) {
+            core.stats.skipped++;
+            core.failures.resolve(key);
+            core.events.emit('skipped', { item: key, reason: 'exists' });
+            return;
+        }
+        core.downloads.add({ key, url: siteUrl(media.url), type: media.type, id: media.id, date: media.date, baseName });
+    }
+
+    // Like grok2, sends the captured cookie along, but only to the site itself.
+    function downloadHeaders(task) {
+        const cookie = authHeaders && Object.entries(authHeaders).find(([name]) => name.toLowerCase() === 'cookie');
+        return cookie && new URL(task.url).origin === new URL(options.baseUrl).origin ? { Cookie: cookie[1] } : {};
+    }
+
+    function savedCopy(baseName, type) {
+        const extensions = new Set([defaultExtension(type), ...EXTENSIONS[type]]);
+        return [...extensions].some(ext => existsSync(path.join(core.outputDir, `${baseName}.${ext}`)));
+    }
+
+    async function saveDownload(task, result) {
+        const mimeType = (result.mimeType || '').split(';')[0].trim().toLowerCase();
+        const ext = MIME_EXTENSIONS[mimeType] || defaultExtension(task.type);
+        const savePath = path.join(core.outputDir, `${task.baseName}.${ext}`);
+        await fsPromises.mkdir(path.dirname(savePath), { recursive: true });
+        await fsPromises.rename(result.path, savePath);
+        if (task.date && !isNaN(task.date)) await fsPromises.utimes(savePath, task.date, task.date);
+        return { path: savePath, bytes: result.bytes, sha256: result.sha256 };
+    }
+
+    // --- Retrying Failed Items ---
+    //
+    // As with grok, a retry-failed run discovers as usual but only downloads
+    // what the ledger lists, with the URLs the site gives now. Whatever it no
+    // longer shows gets one more try with its stored URL.
+
+    function noteRetryItem(key) {
+        if (!core.failures.get(key)) return false;
+        retrySeen.add(key);
+        if (core.failures.entries().every(([listed]) => retrySeen.has(listed))) {
+            console.log('Every failed item was found again; no more discovery.');
+            setPageFlag('__DISCOVERY_STOPPED', true);
+        }
+        return true;
+    }
+
+    function retryStoredUrls() {
+        for (const [key, entry] of core.failures.entries()) {
+            if (retrySeen.has(key)) continue;
+            console.log(`${key} was not found again; retrying its stored URL.`);
+            const baseName = entry.path.slice(0, entry.path.length - path.extname(entry.path).length);
+            core.downloads.add({ key, url: entry.url, type: entry.type, id: entry.ref, date: null, baseName });
+        }
+    }
+
+    // --- Discovery: Scrolling ---
+
+    function setPageFlag(name, value) {
+        if (!win || win.isDestroyed()) return;
+        win.webContents.executeJavaScript(`window.${name} = ${JSON.stringify(value)};`).catch(() => {});
+    }
+
+    async function scrollPage() {
+        const { scroll } = site;
+        console.log(`⏳ Waiting for "${scroll.itemSelector}" on ${siteUrl(site.startUrl)} (log in in the window if the site asks)...`);
+        while (!core.stopping) {
+            const ready = await win.webContents.executeJavaScript(`document.querySelector(${JSON.stringify(scroll.itemSelector)}) !== null`).catch(() => false);
+            if (ready) break;
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        if (core.stopping) return;
+        console.log('Page is ready. Scrolling...');
+
+        const finished = new Promise(resolve => {
+            win.webContents.on('console-message', (event, level, message) => {
+                if (message.startsWith('__SITE_ITEM__')) {
+                    try {
+                        JSON.parse(message.substring('__SITE_ITEM__'.length)).forEach(offer);
+                    } catch (err) {
+                        console.error('Failed to parse an item from the page:', err);
+                    }
+                } else if (message === '__SITE_DONE__') {
+                    resolve();
+                } else if (level === 2) {
+                    console.error(`[Renderer Process Error] ${message}`);
+                }
+            });
+            core.onStop(resolve);
+        });
+
+        const config = {
+            itemSelector: scroll.itemSelector,
+            media: scroll.media,
+            id: scroll.id,
+            scrollDelayMs: (scroll.scrollDelay ?? 2) * 1000,
+            pollTimeoutMs: (scroll.pollTimeout ?? 30) * 1000,
+            scrollAttempts: scroll.scrollAttempts ?? 5,
+        };
+        win.webContents.executeJavaScript(`(${scrollRenderer.toString()})(${JSON.stringify(config)})`)
+            .catch(err => console.error('Failed to run the scroll script:', err));
+        await finished;
+    }
+
+    // --- Discovery: API ---
+
+    function captureAuth() {
+        return new Promise(resolve => {
+            core.session.webRequest.onBeforeSendHeaders({ urls: [urlFilter(siteUrl(site.auth.capture))] }, (details, callback) => {
+                // Our own requests pass through here too; only the page's carry fresh authentication.
+                if (details.webContentsId !== undefined) {
+                    if (!authHeaders) console.log('🔐 Authentication captured!');
+                    authHeaders = details.requestHeaders;
+                    resolve(true);
+                }
+                callback({ requestHeaders: details.requestHeaders });
+            });
+            core.onStop(() => resolve(false));
+        });
+    }
+
+    function fetchPage(cursor) {
+        const { api } = site;
+        const method = api.method || 'GET';
+        const params = { ...api.body, ...(cursor ? { [api.cursorParam]: cursor } : {}) };
+        const url = new URL(siteUrl(api.url));
+        if (method === 'GET') {
+            for (const [name, value] of Object.entries(params)) url.searchParams.set(name, String(value));
+        }
+        return new Promise((resolve, reject) => {
+            const request = net.request({ method, url: url.toString(), session: core.session });
+            for (const [name, value] of Object.entries(authHeaders || {})) request.setHeader(name, value);
+            if (method === 'POST') {
+                request.setHeader('Content-Type', 'application/json');
+                request.write(JSON.stringify(params));
+            }
+            request.on('response', response => {
+                let body = '';
+                response.on('data', chunk => body += chunk);
+                response.on('end', () => {
+                    if (response.statusCode >= 200 && response.statusCode < 300) {
+                        try { resolve(JSON.parse(body)); } catch (err) { reject(err); }
+                    } else {
+                        const retryAfter = response.headers['retry-after'];
+                        reject(new HttpError(response.statusCode, parseRetryAfter(Array.isArray(retryAfter) ? retryAfter[0] : retryAfter)));
+                    }
+                });
+            });
+            request.on('error', reject);
+            request.end();
+        });
+    }
+
+    function mediaOfItem(item) {
+        const { api } = site;
+        const id = valueAt(item, api.id);
+        if (id === undefined || id === null) return [];
+        const date = api.date ? toDate(valueAt(item, api.date)) : null;
+        const prompt = api.prompt ? valueAt(item, api.prompt) || '' : '';
+        return api.media
+            .map(media => ({ id: String(id), type: media.type, variant: media.variant || '', url: valueAt(item, media.url), date, prompt }))
+            .filter(media => typeof media.url === 'string' && media.url);
+    }
+
+    async function pageApi() {
+        const { api } = site;
+        let cursor = null;
+        let failedAttempts = 0;
+        console.log(`🚀 Paging through ${siteUrl(api.url)}...`);
+
+        while (true) {
+            await core.discovery.wait();
+            if (core.stopping) return;
+            try {
+                await core.rates.ready('api');
+                const page = await fetchPage(cursor);
+                core.rates.report('api');
+                failedAttempts = 0;
+
+                const items = valueAt(page, api.items);
+                if (!Array.isArray(items) || items.length === 0) break;
+                console.log(`📄 Fetched page. Processing ${items.length} items...`);
+                items.flatMap(mediaOfItem).forEach(offer);
+
+                cursor = valueAt(page, api.nextCursor);
+                if (!cursor || (RETRY_FAILED && retrySeen.size === core.failures.entries().length)) break;
+            } catch (err) {
+                if (err.statusCode === 401 || err.statusCode === 403) {
+                    console.error(`\n🔐 ${err.message}: not logged in. Run the login action (or log in in the window) and start again.`);
+                    core.stats.errors++;
+                    core.events.emit('failed', { item: `api:${site.name}`, error: err.message, attempt: 1, final: true });
+                    return;
+                }
+                core.rates.report('api', err);
+                failedAttempts++;
+                console.error('\n❌ Error fetching API page:', err.message);
+                if (failedAttempts > API_RETRIES) {
+                    console.error(`❌ Giving up after ${failedAttempts} failed attempts.`);
+                    core.stats.errors++;
+                    core.events.emit('failed', { item: `api:${site.name}`, error: err.message, attempt: failedAttempts, final: true });
+                    return;
+                }
+                const delayMs = core.rates.backoffMs(failedAttempts, err.retryAfterMs);
+                console.log(`Retrying in ${(delayMs / 1000).toFixed(1)} seconds... (${failedAttempts}/${API_RETRIES})`);
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+        console.log('🏁 No more items.');
+    }
+
+    // --- Source Plugin (see harvest-core.js) ---
+
+    async function start(harvestCore) {
+        core = harvestCore;
+        console.log(`\n📂 Output Directory: ${core.outputDir}`);
+        console.log(`🌐 Site: ${site.name} (${options.baseUrl}), ${site.scroll ? 'scrolling the page' : 'through its API'}`);
+        console.log(`Files are named by the template "${options.nameTemplate}"; existing ones are skipped.`);
+
+        // Only the page can log in, scroll or make the request whose headers the API needs.
+        if (site.scroll || site.auth) {
+            win = new BrowserWindow({
+                width: 1280,
+                height: 800,
+                webPreferences: { contextIsolation: true, audio: false, session: core.session }
+            });
+            core.discovery.onChange(paused => setPageFlag('__DISCOVERY_PAUSED', paused));
+            core.onStop(() => setPageFlag('__DISCOVERY_STOPPED', true));
+        }
+        const authCaptured = site.auth ? captureAuth() : null;
+        if (win) win.loadURL(siteUrl(site.startUrl));
+
+        if (site.scroll) {
+            await scrollPage();
+        } else {
+            if (authCaptured) {
+                console.log('⏳ Waiting for you to log in or for the page to make an API request...');
+                if (!(await authCaptured)) return;
+            }
+            await pageApi();
+        }
+
+        if (RETRY_FAILED && !core.stopping) retryStoredUrls();
+        console.log('Finished discovering. Waiting for downloads to complete...');
+    }
+
+    return {
+        name: site.name,
+        // Each profile gets its own default folder so accounts never mix.
+        outputDir: () => profileOutputDir(path.join('.', site.outputDir || site.name), options.profile),
+        failuresFile: '.harvest-failures.json',
+        rateLanes: () => (site.api ? { api: { concurrency: 1, delayMs: (site.api.delay ?? 1.5) * 1000 } } : {}),
+        downloads: {
+            concurrency: options.concurrency,
+            retries: options.retries,
+            stallTimeoutMs: options.downloadTimeout * 1000,
+            tempDir: `.${site.name}-dl-tmp`,
+            acceptTypes: task => [`${task.type}/`, 'application/octet-stream', 'binary/octet-stream'],
+            headers: downloadHeaders,
+            complete: saveDownload,
+            ledgerFields: task => ({ path: `${task.baseName}.${defaultExtension(task.type)}`, ref: task.id, type: task.type }),
+        },
+        start,
+    };
+}
+
+/**
+ * Runs in the page: scrolls through the cards, reads each one's media URLs and
+ * reports them as "__SITE_ITEM__" messages, then "__SITE_DONE__". It is
+ * converted to a string for injection, so it may only use its config.
+ */
+async function scrollRenderer(config) {
+    const seen = new Set();
+    const idPattern = new RegExp(config.id.pattern);
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    const poll = (conditionFn, timeout) => new Promise(resolve => {
+        const startTime = Date.now();
+        const interval = setInterval(() => {
+            if (conditionFn()) {
+                clearInterval(interval);
+                resolve(true);
+            } else if (Date.now() - startTime > timeout || window.__DISCOVERY_STOPPED) {
+                clearInterval(interval);
+                resolve(false);
+            }
+        }, 100);
+    });
+
+    const mediaUrl = (itemEl, media) => {
+        const el = itemEl.querySelector(media.selector);
+        const value = el && el.getAttribute(media.attribute || 'src');
+        if (!value) return null;
+        const url = new URL(value, location.href).toString();
+        return media.replace ? url.replace(new RegExp(media.replace[0]), media.replace[1]) : url;
+    };
+
+    const idMedia = config.media.find(media => media.type + (media.variant || '') === config.id.from);
+
+    // Waits for the card's id media; the others are taken if they are there by then.
+    const readItem = async itemEl => {
+        const loaded = await poll(() => mediaUrl(itemEl, idMedia), config.pollTimeoutMs);
+        if (!loaded) {
+            console.warn(`A card timed out waiting for "${idMedia.selector}".`);
+            return;
+        }
+        const match = idPattern.exec(mediaUrl(itemEl, idMedia));
+        const id = match && match[1];
+        if (!id || seen.has(id)) return;
+        seen.add(id);
+
+        const found = config.media
+            .map(media => ({ id, type: media.type, variant: media.variant || '', url: mediaUrl(itemEl, media) }))
+            .filter(media => media.url);
+        console.log('__SITE_ITEM__' + JSON.stringify(found));
+    };
+
+    let emptyScrolls = 0;
+    while (emptyScrolls < config.scrollAttempts && !window.__DISCOVERY_STOPPED) {
+        const fresh = [...document.querySelectorAll(`${config.itemSelector}:not([data-site-seen])`)].filter(el => {
+            const rect = el.getBoundingClientRect();
+            return rect.height > 0 && rect.top < window.innerHeight;
+        });
+        emptyScrolls = fresh.length > 0 ? 0 : emptyScrolls + 1;
+        fresh.forEach(el => { el.dataset.siteSeen = 'true'; });
+        await Promise.all(fresh.map(readItem));
+
+        while (window.__DISCOVERY_PAUSED && !window.__DISCOVERY_STOPPED) await sleep(1000);
+
+        const items = document.querySelectorAll(config.itemSelector);
+        if (items.length > 0) items[items.length - 1].scrollIntoView({ behavior: 'auto', block: 'center' });
+        await sleep(config.scrollDelayMs);
+    }
+    console.log('__SITE_DONE__');
+}
+
+module.exports = { createSitePlugin };
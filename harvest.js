@@ -1,21 +1,41 @@
 const { app } = require('electron');
 const process = require('process');
+const { HARVESTERS, parseCommandLine, formatHelp } = require('./cli');
+const { runLogin } = require('./profiles');
+const { rebaseUrl } = require('./urls');
+const { runHarvest } = require('./harvest-core');
 
-const choice = process.argv[2];
-const customPath = process.argv[3] || undefined;
-
-// A simple way to pass data to the required module
-process.customData = { path: customPath };
+let parsed;
+try {
+    parsed = parseCommandLine(process.argv.slice(2));
+} catch (err) {
+    console.error(`Error: ${err.message}\n`);
+    console.error(formatHelp(err.command));
+    app.exit(1);
+}
 
-if (choice === 'google') {
-    require('./harvest-g-photos.js');
-} else if (choice === 'grok') {
-    require('./harvest-grok-imagine.js');
-} else if (choice === 'grok2') {
-    require('./harvest-grok-imagine-v2.js');
-} else {
-    console.log('Please specify which harvester to run.');
-    console.log('Usage: npm run harvest:grok -- [path/to/save]');
-    console.log('Usage: npm run harvest:grok2 -- [path/to/save]');
-    app.quit();
+if (parsed) {
+    if (parsed.help) {
+        console.log(formatHelp(parsed.command));
+        app.quit();
+    } else if (parsed.action === 'login') {
+        app.whenReady().then(async () => {
+            await runLogin(parsed.options.profile, rebaseUrl(HARVESTERS[parsed.command].loginUrl, parsed.options.baseUrl));
+            app.quit();
+        });
+    } else {
+        // A simple way to pass data to the required module.
+        // A saved profile is logged in already, so it starts without F7 unless told otherwise.
+        process.customData = {
+            path: parsed.path,
+            action: parsed.action,
+            autostart: parsed.options.autostart ?? !!parsed.options.profile,
+            options: parsed.options,
+        };
+        // Each harvester module is a source plugin; the core runs it (see harvest-core.js).
+        // Site definitions share one module that builds the plugin for their site.
+        const harvester = HARVESTERS[parsed.command];
+        const plugin = require(harvester.module);
+        runHarvest(harvester.site ? plugin.createSitePlugin(harvester.site) : plugin);
+    }
 }
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const { promises: fsPromises } = require('fs');
+
+// --- Harvest Manifest ---
+//
+// A JSON file kept in the output directory that records everything a harvest
+// has discovered and what happened to it, so a crashed or interrupted run can
+// pick up where it left off instead of paging through the whole library again.
+//
+// Layout:
+//   sources[name]      pagination state of one source (e.g. favorites):
+//     cursor             last pagination cursor whose page was fully processed
+//     discoveryComplete  true once pagination ran out of pages (or a sync caught up)
+//     walkMode           'full' or 'sync' for the walk in progress, so a resumed walk keeps its mode
+//     lastFullWalk       ISO time of the last walk that reached the final page
+//     newestPost         { id, createTime } of the newest post seen so far
+//   posts[id]          { id, createTime, prompt, mediaUrl, sources: [name], children: [{ id, createTime, mediaUrl, hdMediaUrl }] }
+//   files[relPath]     { postId, childId, type, source, url, status, bytes, sha256, error, storedAt, task, updatedAt }
+//
+// File paths are relative to the output directory. File status is one of
+// queued, downloaded, failed, skipped (already on disk) or linked (stored once
+// under another source; storedAt names that copy). sha256 is the hash of the
+// file as saved, metadata included.
+
+const MANIFEST_VERSION = 2;
+const SAVE_DEBOUNCE_MS = 1000;
+
+const FILE_STATUS = {
+    QUEUED: 'queued',
+    DOWNLOADED: 'downloaded',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    LINKED: 'linked',
+};
+
+// Version 1 manifests only knew the liked-posts source.
+const LEGACY_SOURCE = 'favorites';
+
+function emptyManifest() {
+    return { version: MANIFEST_VERSION, sources: {}, posts: {}, files: {} };
+}
+
+function emptySourceState() {
+    return { cursor: null, discoveryComplete: false, walkMode: null, lastFullWalk: null, newestPost: null };
+}
+
+function migrate(data) {
+    if (data.version === 1) {
+        const { cursor, discoveryComplete, walkMode, lastFullWalk, newestPost, ...rest } = data;
+        data = { ...rest, version: MANIFEST_VERSION, sources: {} };
+        data.sources[LEGACY_SOURCE] = { ...emptySourceState(), cursor, discoveryComplete, walkMode, lastFullWalk, newestPost };
+        for (const post of Object.values(data.posts)) post.sources = [LEGACY_SOURCE];
+    }
+    return data;
+}
+
+/**
+ * Opens (or starts) the manifest stored at filePath.
+ * Writes are debounced and atomic (write to a temp file, then rename), so a
+ * crash never leaves a half-written manifest behind.
+ */
+function openManifest(filePath) {
+    let data = emptyManifest();
+    let saveTimer = null;
+    let pendingSave = Promise.resolve();
+
+    if (fs.existsSync(filePath)) {
+        try {
+            data = { ...emptyManifest(), ...migrate(JSON.parse(fs.readFileSync(filePath, 'utf8'))) };
+        } catch (err) {
+            // Keep the unreadable file around for inspection rather than overwriting it.
+            const backupPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, backupPath);
+            console.warn(`⚠️  Manifest was unreadable (${err.message}). Moved it to ${backupPath} and starting fresh.`);
+        }
+    }
+
+    const manifest = {
+        path: filePath,
+        get data() { return data; },
+
+        /** Pagination state of one source, created on first use. */
+        source(name) {
+            if (!data.sources[name]) data.sources[name] = emptySourceState();
+            return data.sources[name];
+        },
+
+        recordPost(post, sourceName) {
+            const sources = new Set(data.posts[post.id]?.sources || []);
+            sources.add(sourceName);
+            data.posts[post.id] = {
+                id: post.id,
+                createTime: post.createTime,
+                prompt: post.originalPrompt || post.prompt || null,
+                mediaUrl: post.mediaUrl || null,
+                sources: [...sources],
+                children: (post.childPosts || []).map(child => ({
+                    id: child.id,
+                    createTime: child.createTime,
+                    mediaUrl: child.mediaUrl || null,
+                    hdMediaUrl: child.hdMediaUrl || null,
+                })),
+            };
+            const state = manifest.source(sourceName);
+            if (post.createTime && (!state.newestPost || new Date(post.createTime) > new Date(state.newestPost.createTime))) {
+                state.newestPost = { id: post.id, createTime: post.createTime };
+            }
+            manifest.scheduleSave();
+        },
+
+        /** True when the post was already seen in the given source. */
+        hasPost(id, sourceName) {
+            return !!data.posts[id]?.sources?.includes(sourceName);
+        },
+
+        getFile(relPath) {
+            return data.files[relPath] || null;
+        },
+
+        updateFile(relPath, fields) {
+            data.files[relPath] = { ...data.files[relPath], ...fields, updatedAt: new Date().toISOString() };
+            manifest.scheduleSave();
+        },
+
+        filesWithStatus(...statuses) {
+            return Object.entries(data.files)
+                .filter(([, file]) => statuses.includes(file.status))
+                .map(([relPath, file]) => ({ relPath, ...file }));
+        },
+
+        setCursor(sourceName, cursor) {
+            manifest.source(sourceName).cursor = cursor || null;
+            manifest.scheduleSave();
+        },
+
+        startWalk(sourceName, mode) {
+            Object.assign(manifest.source(sourceName), { walkMode: mode, discoveryComplete: false });
+            manifest.scheduleSave();
+        },
+
+        /** @param {boolean} reachedEnd true when pagination ran out of pages rather than stopping early. */
+        finishWalk(sourceName, reachedEnd) {
+            const state = manifest.source(sourceName);
+            Object.assign(state, { discoveryComplete: true, cursor: null, walkMode: null });
+            if (reachedEnd) state.lastFullWalk = new Date().toISOString();
+            manifest.scheduleSave();
+        },
+
+        scheduleSave() {
+            if (saveTimer) return;
+            saveTimer = setTimeout(() => {
+                saveTimer = null;
+                manifest.save().catch(err => console.error('❌ Error saving manifest:', err.message));
+            }, SAVE_DEBOUNCE_MS);
+        },
+
+        save() {
+            // Chain writes so two saves never race on the same temp file.
+            const write = async () => {
+                const tempPath = `${filePath}.tmp`;
+                await fsPromises.writeFile(tempPath, JSON.stringify(data));
+                await fsPromises.rename(tempPath, filePath);
+            };
+            pendingSave = pendingSave.catch(() => {}).then(write);
+            return pendingSave;
+        },
+
+        // Synchronous variant for exit handlers, where pending timers never fire.
+        saveSync() {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+            const tempPath = `${filePath}.sync.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data));
+            fs.renameSync(tempPath, filePath);
+        },
+    };
+
+    return manifest;
+}
+
+module.exports = { openManifest, FILE_STATUS };
@@ -0,0 +1,995 @@
+const fs = require('fs');
+const { promises: fsPromises } = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const crc32 = require('buffer-crc32');
+
+// --- Metadata Writer ---
+//
+// Embeds prompt, source URL and creation date into harvested files without any
+// external tools. The fields match what the exiftool/ffmpeg commands used to
+// write, so existing libraries read the same tags either way:
+//
+//   field        JPEG            PNG                 WebP                MP4
+//   comment      COM segment     iTXt "Comment"      XMP exif:UserComment  ilst ©cmt
+//   description  XMP dc:description (all formats)                       ilst desc
+//   date         EXIF DateTimeOriginal + XMP exif:DateTimeOriginal      mvhd/tkhd/mdhd creation time
+//   gps          EXIF GPS IFD + XMP exif:GPSLatitude/Longitude/Altitude  udta ©xyz (ISO 6709)
+//   people       XMP Iptc4xmpExt:PersonInImage (all formats)
+//
+// MP4 files also get an XMP uuid box. Existing EXIF is never rewritten (maker
+// notes rely on their original offsets); a date tag already present is patched
+// in place, anything else (GPS included) goes into XMP.
+//
+// The external tools remain available as a backend through writeMetadataExternal().
+// readCaptureDate() reads the date back out, from these and from camera-written tags.
+
+// --- Format Detection ---
+
+// ISO base media files whose major brand makes them HEIF/AVIF images; the MP4
+// writer cannot handle them (they have no moov), so they count as unsupported.
+const IMAGE_BRANDS = new Set(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1', 'avif', 'avis']);
+
+function detectFormat(header) {
+    if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'jpeg';
+    if (header.length >= 8 && header.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+    if (header.length >= 12 && header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (header.length >= 12 && header.toString('latin1', 4, 8) === 'ftyp') return IMAGE_BRANDS.has(header.toString('latin1', 8, 12)) ? null : 'mp4';
+    if (header.length >= 6 && header.toString('latin1', 0, 3) === 'GIF') return 'gif';
+    return null;
+}
+
+async function detectFileFormat(filePath) {
+    return detectFormat(await readHeader(filePath));
+}
+
+async function readHeader(filePath, length = 16) {
+    const handle = await fsPromises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Writes metadata fields into an image or video in place.
+ * @param {string} filePath
+ * @param {{comment?: string, description?: string, date?: Date, gps?: {latitude: number, longitude: number, altitude?: number}, people?: string[]}} fields
+ * @returns {Promise<string|null>} The detected format, or null when the format is not supported (nothing written).
+ */
+async function writeMetadata(filePath, fields) {
+    const format = detectFormat(await readHeader(filePath));
+    if (format === 'mp4') {
+        await writeMp4(filePath, fields);
+        return format;
+    }
+
+    const writers = { jpeg: writeJpeg, png: writePng, webp: writeWebp };
+    if (!writers[format]) return null;
+
+    const output = writers[format](await fsPromises.readFile(filePath), fields);
+    const tempPath = `${filePath}.meta-tmp`;
+    await fsPromises.writeFile(tempPath, output);
+    await fsPromises.rename(tempPath, filePath);
+    return format;
+}
+
+// --- Dates ---
+
+function formatExifDate(date) {
+    return date.toISOString().replace(/T/, ' ').replace(/\..+/, '').replace(/-/g, ':');
+}
+
+function formatXmpDate(date) {
+    return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+// --- XMP ---
+
+const XMP_NAMESPACES = {
+    dc: 'http://purl.org/dc/elements/1.1/',
+    exif: 'http://ns.adobe.com/exif/1.0/',
+    xmp: 'http://ns.adobe.com/xap/1.0/',
+    Iptc4xmpExt: 'http://iptc.org/std/Iptc4xmpExt/2008-02-29/',
+};
+
+function escapeXml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xmpProperties(fields, { includeComment }) {
+    const properties = [];
+    if (fields.description) properties.push({ name: 'dc:description', kind: 'alt', value: fields.description });
+    if (includeComment && fields.comment) properties.push({ name: 'exif:UserComment', kind: 'alt', value: fields.comment });
+    if (fields.date) properties.push({ name: 'exif:DateTimeOriginal', kind: 'simple', value: formatXmpDate(fields.date) });
+    if (fields.gps) {
+        properties.push({ name: 'exif:GPSLatitude', kind: 'simple', value: xmpCoordinate(fields.gps.latitude, 'N', 'S') });
+        properties.push({ name: 'exif:GPSLongitude', kind: 'simple', value: xmpCoordinate(fields.gps.longitude, 'E', 'W') });
+        if (fields.gps.altitude != null) {
+            properties.push({ name: 'exif:GPSAltitudeRef', kind: 'simple', value: fields.gps.altitude < 0 ? '1' : '0' });
+            properties.push({ name: 'exif:GPSAltitude', kind: 'simple', value: `${Math.round(Math.abs(fields.gps.altitude) * 100)}/100` });
+        }
+    }
+    if (fields.people && fields.people.length) properties.push({ name: 'Iptc4xmpExt:PersonInImage', kind: 'bag', value: fields.people });
+    return properties;
+}
+
+// XMP writes GPS coordinates as "DDD,MM.mmmmmmR".
+function xmpCoordinate(value, positive, negative) {
+    const abs = Math.abs(value);
+    const degrees = Math.floor(abs);
+    return `${degrees},${((abs - degrees) * 60).toFixed(6)}${value < 0 ? negative : positive}`;
+}
+
+function renderXmpDescription(properties) {
+    const namespaces = [...new Set(properties.map(p => p.name.split(':')[0]))];
+    const lines = [`  <rdf:Description rdf:about=""${namespaces.map(ns => `\n    xmlns:${ns}="${XMP_NAMESPACES[ns]}"`).join('')}>`];
+    for (const { name, kind, value } of properties) {
+        if (kind === 'alt') {
+            lines.push(`   <${name}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt></${name}>`);
+        } else if (kind === 'bag') {
+            lines.push(`   <${name}><rdf:Bag>${value.map(v => `<rdf:li>${escapeXml(v)}</rdf:li>`).join('')}</rdf:Bag></${name}>`);
+        } else {
+            lines.push(`   <${name}>${escapeXml(value)}</${name}>`);
+        }
+    }
+    lines.push('  </rdf:Description>');
+    return lines.join('\n');
+}
+
+/**
+ * Builds an XMP packet, or merges our properties into an existing one by
+ * dropping its copies of them and adding a separate rdf:Description.
+ */
+function buildXmp(properties, existingPacket) {
+    const description = renderXmpDescription(properties);
+    if (existingPacket && existingPacket.includes('</rdf:RDF>')) {
+        let packet = existingPacket;
+        for (const { name } of properties) {
+            const escaped = name.replace(':', '\\:');
+            packet = packet
+                .replace(new RegExp(`<${escaped}\\b[^>]*/>`, 'g'), '')
+                .replace(new RegExp(`<${escaped}\\b[^>]*>[\\s\\S]*?</${escaped}>`, 'g'), '')
+                .replace(new RegExp(`\\s${escaped}="[^"]*"`, 'g'), '');
+        }
+        // Drop descriptions that only held properties we replaced (e.g. from an earlier run).
+        packet = packet.replace(/<rdf:Description\b[^>]*>\s*<\/rdf:Description>\s*/g, '');
+        return packet.replace('</rdf:RDF>', `${description}\n </rdf:RDF>`);
+    }
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        description,
+        ' </rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>',
+    ].join('\n');
+}
+
+// --- EXIF (TIFF) ---
+
+const TIFF_TYPES = { BYTE: 1, ASCII: 2, SHORT: 3, LONG: 4, RATIONAL: 5 };
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const EXIF_TAGS = {
+    DATE_TIME: 0x0132,
+    EXIF_IFD_POINTER: 0x8769,
+    GPS_IFD_POINTER: 0x8825,
+    DATE_TIME_ORIGINAL: 0x9003,
+    OFFSET_TIME: 0x9010,
+    OFFSET_TIME_ORIGINAL: 0x9011,
+};
+
+// Tags inside the GPS IFD.
+const GPS_TAGS = {
+    VERSION_ID: 0x0000,
+    LATITUDE_REF: 0x0001,
+    LATITUDE: 0x0002,
+    LONGITUDE_REF: 0x0003,
+    LONGITUDE: 0x0004,
+    ALTITUDE_REF: 0x0005,
+    ALTITUDE: 0x0006,
+};
+
+function asciiValue(str) {
+    return Buffer.from(`${str}\0`, 'latin1');
+}
+
+function longValue(n) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(n);
+    return buffer;
+}
+
+function rationalValue(pairs) {
+    const buffer = Buffer.alloc(pairs.length * 8);
+    pairs.forEach(([numerator, denominator], i) => {
+        buffer.writeUInt32BE(numerator, i * 8);
+        buffer.writeUInt32BE(denominator, i * 8 + 4);
+    });
+    return buffer;
+}
+
+// Degrees, minutes and seconds (to 1/10000 s) as three RATIONALs.
+function dmsValue(value) {
+    const abs = Math.abs(value);
+    const degrees = Math.floor(abs);
+    const minutes = Math.floor((abs - degrees) * 60);
+    const seconds = Math.round(((abs - degrees) * 60 - minutes) * 60 * 10000);
+    return rationalValue([[degrees, 1], [minutes, 1], [seconds, 10000]]);
+}
+
+function gpsEntries(gps) {
+    const entries = [
+        { tag: GPS_TAGS.VERSION_ID, type: TIFF_TYPES.BYTE, value: Buffer.from([2, 3, 0, 0]) },
+        { tag: GPS_TAGS.LATITUDE_REF, type: TIFF_TYPES.ASCII, value: asciiValue(gps.latitude < 0 ? 'S' : 'N') },
+        { tag: GPS_TAGS.LATITUDE, type: TIFF_TYPES.RATIONAL, value: dmsValue(gps.latitude) },
+        { tag: GPS_TAGS.LONGITUDE_REF, type: TIFF_TYPES.ASCII, value: asciiValue(gps.longitude < 0 ? 'W' : 'E') },
+        { tag: GPS_TAGS.LONGITUDE, type: TIFF_TYPES.RATIONAL, value: dmsValue(gps.longitude) },
+    ];
+    if (gps.altitude != null) {
+        entries.push({ tag: GPS_TAGS.ALTITUDE_REF, type: TIFF_TYPES.BYTE, value: Buffer.from([gps.altitude < 0 ? 1 : 0]) });
+        entries.push({ tag: GPS_TAGS.ALTITUDE, type: TIFF_TYPES.RATIONAL, value: rationalValue([[Math.round(Math.abs(gps.altitude) * 100), 100]]) });
+    }
+    return entries;
+}
+
+/**
+ * Serialises one big-endian IFD placed at `offset`. Values larger than four
+ * bytes follow the entry table.
+ */
+function serializeIfd(entries, offset) {
+    const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+    const tableSize = 2 + sorted.length * 12 + 4;
+    const table = Buffer.alloc(tableSize);
+    const dataParts = [];
+    let dataOffset = offset + tableSize;
+
+    table.writeUInt16BE(sorted.length, 0);
+    sorted.forEach((entry, i) => {
+        const base = 2 + i * 12;
+        table.writeUInt16BE(entry.tag, base);
+        table.writeUInt16BE(entry.type, base + 2);
+        table.writeUInt32BE(entry.value.length / TIFF_TYPE_SIZES[entry.type], base + 4);
+        if (entry.value.length <= 4) {
+            entry.value.copy(table, base + 8);
+        } else {
+            table.writeUInt32BE(dataOffset, base + 8);
+            const padded = entry.value.length % 2 ? Buffer.concat([entry.value, Buffer.alloc(1)]) : entry.value;
+            dataParts.push(padded);
+            dataOffset += padded.length;
+        }
+    });
+    table.writeUInt32BE(0, tableSize - 4); // No next IFD
+
+    return Buffer.concat([table, ...dataParts]);
+}
+
+/**
+ * Builds a minimal TIFF structure (IFD0 plus the IFDs it points to) holding
+ * the given sub-IFD entries. `subIfds` maps a pointer tag in IFD0 to the
+ * entries of the IFD it points at.
+ */
+function buildTiff(subIfds) {
+    const pointerTags = Object.keys(subIfds).map(Number);
+    const ifd0Entries = pointerTags.map(tag => ({ tag, type: TIFF_TYPES.LONG, value: longValue(0) }));
+
+    // Pointer values are inline LONGs, so sizes are known before the offsets are.
+    let offset = 8 + serializeIfd(ifd0Entries, 8).length;
+    const parts = [];
+    for (const tag of pointerTags) {
+        ifd0Entries.find(e => e.tag === tag).value = longValue(offset);
+        const ifd = serializeIfd(subIfds[tag], offset);
+        parts.push(ifd);
+        offset += ifd.length;
+    }
+
+    const header = Buffer.from([0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08]); // "MM", 42, IFD0 at 8
+    return Buffer.concat([header, serializeIfd(ifd0Entries, 8), ...parts]);
+}
+
+function buildExif(fields) {
+    const subIfds = {};
+    if (fields.date) {
+        // formatExifDate writes UTC, so say so for readers that look at the offset.
+        subIfds[EXIF_TAGS.EXIF_IFD_POINTER] = [
+            { tag: EXIF_TAGS.DATE_TIME_ORIGINAL, type: TIFF_TYPES.ASCII, value: asciiValue(formatExifDate(fields.date)) },
+            { tag: EXIF_TAGS.OFFSET_TIME_ORIGINAL, type: TIFF_TYPES.ASCII, value: asciiValue('+00:00') },
+        ];
+    }
+    if (fields.gps) subIfds[EXIF_TAGS.GPS_IFD_POINTER] = gpsEntries(fields.gps);
+    return Object.keys(subIfds).length ? buildTiff(subIfds) : null;
+}
+
+function readIfd(tiff, offset, littleEndian) {
+    const u16 = o => (littleEndian ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+    const u32 = o => (littleEndian ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+    const entries = [];
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+        const base = offset + 2 + i * 12;
+        const type = u16(base + 2);
+        const valueCount = u32(base + 4);
+        const size = (TIFF_TYPE_SIZES[type] || 1) * valueCount;
+        entries.push({ tag: u16(base), type, count: valueCount, valueOffset: size <= 4 ? base + 8 : u32(base + 8), pointer: u32(base + 8) });
+    }
+    return entries;
+}
+
+/**
+ * Finds an entry in an existing TIFF structure. `ifdPath` lists the pointer
+ * tags to follow from IFD0, e.g. [EXIF_IFD_POINTER].
+ */
+function findTiffEntry(tiff, ifdPath, tag) {
+    try {
+        const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+        let offset = littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+        for (const pointerTag of ifdPath) {
+            const pointer = readIfd(tiff, offset, littleEndian).find(e => e.tag === pointerTag);
+            if (!pointer) return null;
+            offset = pointer.pointer;
+        }
+        return readIfd(tiff, offset, littleEndian).find(e => e.tag === tag) || null;
+    } catch {
+        return null; // Truncated or malformed EXIF
+    }
+}
+
+/**
+ * Overwrites DateTimeOriginal in existing EXIF when the tag is there with its
+ * standard size. Returns false when it could not be patched in place.
+ */
+function patchExifDate(tiff, date) {
+    const entry = findTiffEntry(tiff, [EXIF_TAGS.EXIF_IFD_POINTER], EXIF_TAGS.DATE_TIME_ORIGINAL);
+    if (!entry || entry.type !== TIFF_TYPES.ASCII || entry.count !== 20 || entry.valueOffset + 20 > tiff.length) return false;
+    asciiValue(formatExifDate(date)).copy(tiff, entry.valueOffset);
+    return true;
+}
+
+/**
+ * Returns the EXIF to store: a new one, or a copy of `existingTiff` with the
+ * date patched in where the tag already exists. XMP always carries the date
+ * as well, so nothing is lost when the existing EXIF cannot be patched.
+ */
+function prepareExif(existingTiff, fields) {
+    if (!existingTiff) return buildExif(fields);
+    const tiff = Buffer.from(existingTiff);
+    if (fields.date) patchExifDate(tiff, fields.date);
+    return tiff;
+}
+
+// --- JPEG ---
+
+const JPEG_EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const JPEG_XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const JPEG_MAX_SEGMENT = 65533;
+
+function jpegSegment(marker, payload) {
+    if (payload.length > JPEG_MAX_SEGMENT) throw new Error(`JPEG segment too large (${payload.length} bytes)`);
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+/** The UTF-8 bytes of text, cut to at most maxBytes without splitting a character. */
+function truncateUtf8(text, maxBytes) {
+    const bytes = Buffer.from(text, 'utf8');
+    if (bytes.length <= maxBytes) return bytes;
+    let end = maxBytes;
+    while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--; // Continuation byte: back up to the character's start
+    return bytes.subarray(0, end);
+}
+
+function parseJpegSegments(buffer) {
+    const segments = [];
+    let offset = 2;
+    while (offset < buffer.length) {
+        if (buffer[offset] !== 0xff) throw new Error(`Invalid JPEG marker at offset ${offset}`);
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) { offset++; continue; } // Fill byte
+        if (marker === 0xda || marker === 0xd9) {
+            // Start of scan (or an early end): everything from here is copied verbatim.
+            segments.push({ marker, raw: buffer.subarray(offset), tail: true });
+            break;
+        }
+        const length = buffer.readUInt16BE(offset + 2);
+        segments.push({ marker, raw: buffer.subarray(offset, offset + 2 + length), payload: buffer.subarray(offset + 4, offset + 2 + length) });
+        offset += 2 + length;
+    }
+    return segments;
+}
+
+function writeJpeg(buffer, fields) {
+    const segments = parseJpegSegments(buffer);
+    const isExif = s => s.marker === 0xe1 && s.payload.subarray(0, 6).equals(JPEG_EXIF_HEADER);
+    const isXmp = s => s.marker === 0xe1 && s.payload.subarray(0, JPEG_XMP_HEADER.length).equals(JPEG_XMP_HEADER);
+
+    const exifSegment = segments.find(isExif);
+    const xmpSegment = segments.find(isXmp);
+    const tiff = prepareExif(exifSegment && exifSegment.payload.subarray(6), fields);
+
+    const properties = xmpProperties(fields, { includeComment: false });
+    const existingXmp = xmpSegment && xmpSegment.payload.subarray(JPEG_XMP_HEADER.length).toString('utf8');
+    const xmp = properties.length ? buildXmp(properties, existingXmp) : existingXmp;
+
+    const leading = segments[0] && segments[0].marker === 0xe0 ? [segments[0].raw] : []; // Keep JFIF first
+    const rest = segments.slice(leading.length).filter(s => !isExif(s) && !isXmp(s) && !(fields.comment && s.marker === 0xfe));
+    const appSegments = rest.filter(s => !s.tail && s.marker >= 0xe0 && s.marker <= 0xef).map(s => s.raw);
+    const otherSegments = rest.filter(s => s.tail || s.marker < 0xe0 || s.marker > 0xef).map(s => s.raw);
+
+    const parts = [buffer.subarray(0, 2), ...leading];
+    if (tiff) parts.push(jpegSegment(0xe1, Buffer.concat([JPEG_EXIF_HEADER, tiff])));
+    if (xmp) parts.push(jpegSegment(0xe1, Buffer.concat([JPEG_XMP_HEADER, Buffer.from(xmp, 'utf8')])));
+    parts.push(...appSegments);
+    if (fields.comment) parts.push(jpegSegment(0xfe, truncateUtf8(fields.comment, JPEG_MAX_SEGMENT)));
+    parts.push(...otherSegments);
+    return Buffer.concat(parts);
+}
+
+// --- PNG ---
+
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    return Buffer.concat([length, typeAndData, crc32(typeAndData)]);
+}
+
+function pngITXt(keyword, text) {
+    // keyword \0, compression flag 0, method 0, empty language \0, empty translated keyword \0, text
+    return pngChunk('iTXt', Buffer.concat([Buffer.from(keyword, 'latin1'), Buffer.from([0, 0, 0, 0, 0]), Buffer.from(text, 'utf8')]));
+}
+
+function parsePngChunks(buffer) {
+    const chunks = [];
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        chunks.push({ type, raw: buffer.subarray(offset, offset + 12 + length), data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function pngTextKeyword(chunk) {
+    if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt' && chunk.type !== 'zTXt') return null;
+    const end = chunk.data.indexOf(0);
+    return end === -1 ? null : chunk.data.toString('latin1', 0, end);
+}
+
+function pngITXtText(chunk) {
+    // Skip keyword, compression flag/method, language tag and translated keyword.
+    let offset = chunk.data.indexOf(0) + 3;
+    offset = chunk.data.indexOf(0, offset) + 1;
+    offset = chunk.data.indexOf(0, offset) + 1;
+    return chunk.data.subarray(offset).toString('utf8');
+}
+
+function writePng(buffer, fields) {
+    const chunks = parsePngChunks(buffer);
+    const exifChunk = chunks.find(c => c.type === 'eXIf');
+    const xmpChunk = chunks.find(c => c.type === 'iTXt' && pngTextKeyword(c) === PNG_XMP_KEYWORD && c.data[PNG_XMP_KEYWORD.length + 1] === 0);
+    const tiff = prepareExif(exifChunk && exifChunk.data, fields);
+
+    const properties = xmpProperties(fields, { includeComment: false });
+    const xmp = properties.length ? buildXmp(properties, xmpChunk && pngITXtText(xmpChunk)) : null;
+
+    const added = [];
+    if (tiff) added.push(pngChunk('eXIf', tiff));
+    if (fields.comment) added.push(pngITXt('Comment', fields.comment));
+    if (xmp) added.push(pngITXt(PNG_XMP_KEYWORD, xmp));
+
+    const kept = chunks.filter(c => c !== exifChunk && c !== xmpChunk && !(fields.comment && pngTextKeyword(c) === 'Comment'));
+    // Metadata goes right after IHDR (and before IDAT, as eXIf requires).
+    return Buffer.concat([buffer.subarray(0, 8), kept[0].raw, ...added, ...kept.slice(1).map(c => c.raw)]);
+}
+
+// --- WebP ---
+
+const WEBP_FLAGS = { ICC: 0x20, ALPHA: 0x10, EXIF: 0x08, XMP: 0x04, ANIMATION: 0x02 };
+
+function riffChunk(fourcc, data) {
+    const header = Buffer.alloc(8);
+    header.write(fourcc, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+function parseRiffChunks(buffer) {
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const fourcc = buffer.toString('latin1', offset, offset + 4);
+        const length = buffer.readUInt32LE(offset + 4);
+        chunks.push({ fourcc, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += 8 + length + (length % 2);
+    }
+    return chunks;
+}
+
+/** Reads the canvas size and alpha flag from a simple (VP8 or VP8L) WebP. */
+function webpCanvas(chunks) {
+    const vp8 = chunks.find(c => c.fourcc === 'VP8 ');
+    if (vp8) {
+        return { width: vp8.data.readUInt16LE(6) & 0x3fff, height: vp8.data.readUInt16LE(8) & 0x3fff, alpha: chunks.some(c => c.fourcc === 'ALPH') };
+    }
+    const vp8l = chunks.find(c => c.fourcc === 'VP8L');
+    if (vp8l) {
+        const bits = vp8l.data.readUInt32LE(1);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, alpha: !!((bits >> 28) & 1) };
+    }
+    throw new Error('WebP has no VP8/VP8L image data');
+}
+
+function writeWebp(buffer, fields) {
+    let chunks = parseRiffChunks(buffer);
+    let vp8x = chunks.find(c => c.fourcc === 'VP8X');
+    if (!vp8x) {
+        // Simple WebP: metadata chunks need an extended (VP8X) header first.
+        const { width, height, alpha } = webpCanvas(chunks);
+        const data = Buffer.alloc(10);
+        data[0] = alpha ? WEBP_FLAGS.ALPHA : 0;
+        data.writeUIntLE(width - 1, 4, 3);
+        data.writeUIntLE(height - 1, 7, 3);
+        vp8x = { fourcc: 'VP8X', data };
+        chunks = [vp8x, ...chunks];
+    } else {
+        vp8x.data = Buffer.from(vp8x.data);
+    }
+
+    const exifChunk = chunks.find(c => c.fourcc === 'EXIF');
+    const xmpChunk = chunks.find(c => c.fourcc === 'XMP ');
+    const existingTiff = exifChunk && (exifChunk.data.subarray(0, 6).equals(JPEG_EXIF_HEADER) ? exifChunk.data.subarray(6) : exifChunk.data);
+    const tiff = prepareExif(existingTiff, fields);
+
+    // WebP has no comment field of its own, so the prompt travels in XMP.
+    const properties = xmpProperties(fields, { includeComment: true });
+    const xmp = properties.length ? buildXmp(properties, xmpChunk && xmpChunk.data.toString('utf8')) : null;
+
+    const kept = chunks.filter(c => c !== exifChunk && c !== xmpChunk);
+    if (tiff) kept.push({ fourcc: 'EXIF', data: tiff });
+    if (xmp) kept.push({ fourcc: 'XMP ', data: Buffer.from(xmp, 'utf8') });
+    vp8x.data[0] = (vp8x.data[0] & ~(WEBP_FLAGS.EXIF | WEBP_FLAGS.XMP)) | (tiff ? WEBP_FLAGS.EXIF : 0) | (xmp ? WEBP_FLAGS.XMP : 0);
+
+    const body = Buffer.concat([Buffer.from('WEBP', 'latin1'), ...kept.map(c => riffChunk(c.fourcc, c.data))]);
+    const header = Buffer.alloc(8);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body]);
+}
+
+// --- MP4 ---
+
+const MP4_XMP_UUID = Buffer.from('be7acfcb97a942e89c71999491e3afac', 'hex');
+const MP4_EPOCH_OFFSET = 2082844800; // Seconds between 1904-01-01 and 1970-01-01
+const MP4_CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'edts', 'dinf']);
+
+function mp4Box(type, ...payload) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.reduce((n, p) => n + p.length, 0), 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, ...payload]);
+}
+
+function parseMp4Boxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) throw new Error(`Invalid MP4 box at offset ${offset}`);
+        boxes.push({ type: buffer.toString('latin1', offset + 4, offset + 8), start: offset, headerSize, size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function ilstItem(type, text) {
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.writeUInt32BE(1, 0); // Well-known type 1: UTF-8 text
+    return mp4Box(type, mp4Box('data', dataHeader, Buffer.from(text, 'utf8')));
+}
+
+/**
+ * QuickTime location as a udta "©xyz" box: an ISO 6709 string such as
+ * "+37.7749-122.4194+012.000/" behind a length and a language code.
+ */
+function quickTimeLocation(gps) {
+    const coordinate = (value, digits) => `${value < 0 ? '-' : '+'}${Math.abs(value).toFixed(4).padStart(digits + 5, '0')}`;
+    const altitude = gps.altitude != null ? `${gps.altitude < 0 ? '-' : '+'}${Math.abs(gps.altitude).toFixed(3)}` : '';
+    const text = Buffer.from(`${coordinate(gps.latitude, 2)}${coordinate(gps.longitude, 3)}${altitude}/`, 'latin1');
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(text.length, 0);
+    header.writeUInt16BE(0x15c7, 2); // Packed ISO 639 "eng"
+    return mp4Box('\xa9xyz', header, text);
+}
+
+/**
+ * Rebuilds udta with our ilst items, keeping everything else already in it.
+ * `udtaBoxes` go directly into udta and replace any box of the same type.
+ */
+function buildUdta(oldUdta, items, udtaBoxes = []) {
+    const ourUdtaTypes = new Set(udtaBoxes.map(box => box.toString('latin1', 4, 8)));
+    const ourTypes = new Set(items.map(item => item.toString('latin1', 4, 8)));
+    let udtaChildren = [];
+    let metaChildren = null;
+
+    if (oldUdta) {
+        for (const box of parseMp4Boxes(oldUdta, 8)) {
+            if (box.type === 'meta') {
+                // ISO meta is a full box (4 bytes of version/flags before its
+                // children); QuickTime writers sometimes leave those out.
+                const childStart = box.start + box.headerSize;
+                const isFullBox = oldUdta.toString('latin1', childStart + 4, childStart + 8) !== 'hdlr';
+                metaChildren = parseMp4Boxes(oldUdta, childStart + (isFullBox ? 4 : 0), box.start + box.size)
+                    .map(child => ({ type: child.type, raw: oldUdta.subarray(child.start, child.start + child.size) }));
+            } else if (!ourUdtaTypes.has(box.type)) {
+                udtaChildren.push(oldUdta.subarray(box.start, box.start + box.size));
+            }
+        }
+    }
+
+    if (!metaChildren || !metaChildren.some(c => c.type === 'hdlr')) {
+        const hdlr = Buffer.alloc(25);
+        hdlr.write('mdir', 8, 'latin1');
+        hdlr.write('appl', 12, 'latin1');
+        metaChildren = [{ type: 'hdlr', raw: mp4Box('hdlr', hdlr) }, ...(metaChildren || []).filter(c => c.type !== 'hdlr')];
+    }
+
+    const ilst = metaChildren.find(c => c.type === 'ilst');
+    const keptItems = ilst
+        ? parseMp4Boxes(ilst.raw, 8).filter(b => !ourTypes.has(b.type)).map(b => ilst.raw.subarray(b.start, b.start + b.size))
+        : [];
+    const newIlst = mp4Box('ilst', ...keptItems, ...items);
+    const meta = mp4Box('meta', Buffer.alloc(4), ...metaChildren.filter(c => c.type !== 'ilst').map(c => c.raw), newIlst);
+    return mp4Box('udta', ...udtaChildren, ...udtaBoxes, meta);
+}
+
+/** Sets creation and modification time in mvhd, tkhd or mdhd (modified in place). */
+function setMp4BoxTimes(box, date) {
+    const seconds = BigInt(Math.floor(date.getTime() / 1000) + MP4_EPOCH_OFFSET);
+    const version = box[8];
+    if (version === 1) {
+        box.writeBigUInt64BE(seconds, 12);
+        box.writeBigUInt64BE(seconds, 20);
+    } else {
+        box.writeUInt32BE(Number(seconds), 12);
+        box.writeUInt32BE(Number(seconds), 16);
+    }
+}
+
+/**
+ * Walks a (copied) moov buffer, applying `visit` to every leaf box. Container
+ * boxes are walked recursively.
+ */
+function walkMp4(buffer, start, end, visit) {
+    for (const box of parseMp4Boxes(buffer, start, end)) {
+        if (MP4_CONTAINERS.has(box.type)) {
+            walkMp4(buffer, box.start + box.headerSize, box.start + box.size, visit);
+        } else {
+            visit(box, buffer.subarray(box.start, box.start + box.size));
+        }
+    }
+}
+
+function buildMoov(moov, fields) {
+    const items = [];
+    if (fields.comment) items.push(ilstItem('\xa9cmt', fields.comment));
+    if (fields.description) items.push(ilstItem('desc', fields.description));
+    const udtaBoxes = fields.gps ? [quickTimeLocation(fields.gps)] : [];
+
+    const children = parseMp4Boxes(moov, 8);
+    const oldUdta = children.find(b => b.type === 'udta');
+    const parts = children
+        .filter(b => b !== oldUdta)
+        .map(b => Buffer.from(moov.subarray(b.start, b.start + b.size)));
+    if (items.length || udtaBoxes.length || oldUdta) {
+        parts.push(items.length || udtaBoxes.length
+            ? buildUdta(oldUdta && moov.subarray(oldUdta.start, oldUdta.start + oldUdta.size), items, udtaBoxes)
+            : moov.subarray(oldUdta.start, oldUdta.start + oldUdta.size));
+    }
+    const newMoov = mp4Box('moov', ...parts);
+
+    if (fields.date) {
+        walkMp4(newMoov, 8, newMoov.length, (box, raw) => {
+            if (box.type === 'mvhd' || box.type === 'tkhd' || box.type === 'mdhd') setMp4BoxTimes(raw, fields.date);
+        });
+    }
+    return newMoov;
+}
+
+/** Shifts chunk offsets (stco/co64) in moov to match where their boxes moved. */
+function relocateChunkOffsets(moov, mapOffset) {
+    walkMp4(moov, 8, moov.length, (box, raw) => {
+        if (box.type !== 'stco' && box.type !== 'co64') return;
+        const count = raw.readUInt32BE(12);
+        for (let i = 0; i < count; i++) {
+            if (box.type === 'stco') {
+                const mapped = mapOffset(raw.readUInt32BE(16 + i * 4));
+                if (mapped > 0xffffffff) throw new Error('Chunk offset no longer fits in stco');
+                raw.writeUInt32BE(mapped, 16 + i * 4);
+            } else {
+                raw.writeBigUInt64BE(BigInt(mapOffset(Number(raw.readBigUInt64BE(16 + i * 8)))), 16 + i * 8);
+            }
+        }
+    });
+}
+
+/**
+ * The header a box that runs to the end of the file (size field 0) gets once
+ * something follows it: its real size, in 64 bits when 32 are too few.
+ */
+function sizedBoxHeader(box) {
+    if (box.size <= 0xffffffff) {
+        const header = Buffer.from(box.header.subarray(0, 8));
+        header.writeUInt32BE(box.size, 0);
+        return header;
+    }
+    const header = Buffer.alloc(16);
+    header.writeUInt32BE(1, 0);
+    box.header.copy(header, 4, 4, 8);
+    header.writeBigUInt64BE(BigInt(box.size + 8), 8);
+    return header;
+}
+
+async function readBoxHeaders(handle, fileSize) {
+    const boxes = [];
+    const header = Buffer.alloc(32); // Room for a 64-bit size and a uuid
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+        header.fill(0);
+        await handle.read(header, 0, header.length, offset);
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+        if (size < headerSize || offset + size > fileSize) throw new Error(`Invalid MP4 box at offset ${offset}`);
+        boxes.push({ type: header.toString('latin1', 4, 8), start: offset, headerSize, size, header: Buffer.from(header) });
+        offset += size;
+    }
+    return boxes;
+}
+
+/**
+ * Rewrites an MP4 by streaming: only moov (and any old XMP box) is changed;
+ * media data is copied through untouched, so large videos are never loaded
+ * into memory.
+ */
+async function writeMp4(filePath, fields) {
+    const tempPath = `${filePath}.meta-tmp`;
+    const input = await fsPromises.open(filePath, 'r');
+    let output;
+    try {
+        const { size: fileSize } = await input.stat();
+        const boxes = await readBoxHeaders(input, fileSize);
+        const moovBox = boxes.find(b => b.type === 'moov');
+        if (!moovBox) throw new Error('MP4 has no moov box');
+
+        const oldMoov = Buffer.alloc(moovBox.size);
+        await input.read(oldMoov, 0, moovBox.size, moovBox.start);
+        const moov = buildMoov(oldMoov, fields);
+
+        const isOldXmp = b => b.type === 'uuid' && b.header.subarray(b.headerSize, b.headerSize + 16).equals(MP4_XMP_UUID);
+        const oldXmpBox = boxes.find(isOldXmp);
+        let oldXmp = null;
+        if (oldXmpBox) {
+            const payload = Buffer.alloc(oldXmpBox.size - oldXmpBox.headerSize - 16);
+            await input.read(payload, 0, payload.length, oldXmpBox.start + oldXmpBox.headerSize + 16);
+            oldXmp = payload.toString('utf8');
+        }
+        const kept = boxes.filter(b => b !== oldXmpBox);
+
+        // Lay out the new file to know where every kept box lands. The XMP box
+        // goes last, so a box sized "to the end of the file" needs its real size.
+        let position = 0;
+        for (const box of kept) {
+            box.newStart = position;
+            box.newHeader = box !== moovBox && box.header.readUInt32BE(0) === 0 ? sizedBoxHeader(box) : null;
+            box.shift = box.newHeader ? box.newHeader.length - box.headerSize : 0;
+            position += box === moovBox ? moov.length : box.size + box.shift;
+        }
+        relocateChunkOffsets(moov, offset => {
+            const box = kept.find(b => offset >= b.start && offset < b.start + b.size);
+            return box ? offset - box.start + box.newStart + box.shift : offset;
+        });
+
+        output = await fsPromises.open(tempPath, 'w');
+        const chunk = Buffer.alloc(1024 * 1024);
+        for (const box of kept) {
+            if (box === moovBox) {
+                await output.write(moov);
+                continue;
+            }
+            let copied = 0;
+            if (box.newHeader) {
+                await output.write(box.newHeader);
+                copied = box.headerSize;
+            }
+            while (copied < box.size) {
+                const { bytesRead } = await input.read(chunk, 0, Math.min(chunk.length, box.size - copied), box.start + copied);
+                if (bytesRead === 0) throw new Error('Unexpected end of MP4 file');
+                await output.write(chunk, 0, bytesRead);
+                copied += bytesRead;
+            }
+        }
+
+        const properties = xmpProperties(fields, { includeComment: true });
+        if (properties.length) {
+            await output.write(mp4Box('uuid', MP4_XMP_UUID, Buffer.from(buildXmp(properties, oldXmp), 'utf8')));
+        } else if (oldXmp) {
+            await output.write(mp4Box('uuid', MP4_XMP_UUID, Buffer.from(oldXmp, 'utf8')));
+        }
+    } catch (err) {
+        if (output) await output.close().catch(() => {});
+        output = null;
+        await fsPromises.rm(tempPath, { force: true });
+        throw err;
+    } finally {
+        await input.close();
+        if (output) await output.close();
+    }
+    await fsPromises.rename(tempPath, filePath);
+}
+
+// --- Reading Dates ---
+
+// Checked in order; the offset tag, when present, says which time zone the date is in.
+const EXIF_DATE_TAGS = [
+    { ifdPath: [EXIF_TAGS.EXIF_IFD_POINTER], tag: EXIF_TAGS.DATE_TIME_ORIGINAL, offsetTag: EXIF_TAGS.OFFSET_TIME_ORIGINAL },
+    { ifdPath: [], tag: EXIF_TAGS.DATE_TIME, offsetTag: EXIF_TAGS.OFFSET_TIME },
+];
+const XMP_DATE_PATTERN = /(?:exif:DateTimeOriginal|xmp:CreateDate|photoshop:DateCreated)(?:\s*=\s*"([^"]+)"|>([^<]+)<)/;
+
+function readTiffAscii(tiff, entry) {
+    if (!entry || entry.type !== TIFF_TYPES.ASCII || entry.valueOffset + entry.count > tiff.length) return null;
+    return tiff.toString('latin1', entry.valueOffset, entry.valueOffset + entry.count).replace(/\0[\s\S]*$/, '');
+}
+
+/**
+ * Parses "YYYY:MM:DD HH:MM:SS" (EXIF) or ISO 8601 (XMP). Without a zone the
+ * time is the camera's local time; it is then read as if it were UTC and
+ * flagged with hasZone: false.
+ */
+function parseDate(text, zone) {
+    const match = /^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?/.exec((text || '').trim());
+    if (!match || match[1] === '0000') return null;
+    const [, year, month, day, hour, minute, second = '0', inlineZone] = match;
+    const utc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+    const zoneText = inlineZone || (zone || '').trim();
+    const zoneMatch = /^([+-])(\d{2}):?(\d{2})$/.exec(zoneText);
+    if (zoneText === 'Z') return { date: new Date(utc), hasZone: true };
+    if (zoneMatch) {
+        const offsetMinutes = (zoneMatch[1] === '-' ? -1 : 1) * (Number(zoneMatch[2]) * 60 + Number(zoneMatch[3]));
+        return { date: new Date(utc - offsetMinutes * 60 * 1000), hasZone: true };
+    }
+    return { date: new Date(utc), hasZone: false };
+}
+
+function dateFromTiff(tiff) {
+    for (const { ifdPath, tag, offsetTag } of EXIF_DATE_TAGS) {
+        const text = readTiffAscii(tiff, findTiffEntry(tiff, ifdPath, tag));
+        const parsed = text && parseDate(text, readTiffAscii(tiff, findTiffEntry(tiff, ifdPath, offsetTag)));
+        if (parsed) return parsed;
+    }
+    return null;
+}
+
+function dateFromXmp(xmp) {
+    const match = xmp && XMP_DATE_PATTERN.exec(xmp);
+    return match ? parseDate(match[1] || match[2]) : null;
+}
+
+async function readMp4Date(filePath) {
+    const handle = await fsPromises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const moovBox = (await readBoxHeaders(handle, size)).find(b => b.type === 'moov');
+        if (!moovBox) return null;
+        const moov = Buffer.alloc(moovBox.size);
+        await handle.read(moov, 0, moovBox.size, moovBox.start);
+        let seconds = 0;
+        walkMp4(moov, 8, moov.length, (box, raw) => {
+            if (box.type === 'mvhd') seconds = raw[8] === 1 ? Number(raw.readBigUInt64BE(12)) : raw.readUInt32BE(12);
+        });
+        // MP4 times are UTC; 0 means the writer left it unset.
+        return seconds ? { date: new Date((seconds - MP4_EPOCH_OFFSET) * 1000), hasZone: true } : null;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Reads the capture date embedded in a JPEG, PNG, WebP or MP4: EXIF first,
+ * then XMP, and the movie header for MP4.
+ * @returns {Promise<{date: Date, hasZone: boolean}|null>} null when the format is unsupported or carries no date.
+ */
+async function readCaptureDate(filePath) {
+    const format = await detectFileFormat(filePath);
+    if (format === 'mp4') return readMp4Date(filePath);
+
+    let tiff = null;
+    let xmp = null;
+    if (format === 'jpeg') {
+        const segments = parseJpegSegments(await fsPromises.readFile(filePath)).filter(s => s.marker === 0xe1 && !s.tail);
+        const exif = segments.find(s => s.payload.subarray(0, 6).equals(JPEG_EXIF_HEADER));
+        const xmpSegment = segments.find(s => s.payload.subarray(0, JPEG_XMP_HEADER.length).equals(JPEG_XMP_HEADER));
+        tiff = exif && exif.payload.subarray(6);
+        xmp = xmpSegment && xmpSegment.payload.subarray(JPEG_XMP_HEADER.length).toString('utf8');
+    } else if (format === 'png') {
+        const chunks = parsePngChunks(await fsPromises.readFile(filePath));
+        tiff = chunks.find(c => c.type === 'eXIf')?.data;
+        const xmpChunk = chunks.find(c => c.type === 'iTXt' && pngTextKeyword(c) === PNG_XMP_KEYWORD);
+        xmp = xmpChunk && pngITXtText(xmpChunk);
+    } else if (format === 'webp') {
+        const chunks = parseRiffChunks(await fsPromises.readFile(filePath));
+        const exif = chunks.find(c => c.fourcc === 'EXIF')?.data;
+        tiff = exif && (exif.subarray(0, 6).equals(JPEG_EXIF_HEADER) ? exif.subarray(6) : exif);
+        xmp = chunks.find(c => c.fourcc === 'XMP ')?.data.toString('utf8');
+    } else {
+        return null;
+    }
+    return (tiff && dateFromTiff(tiff)) || dateFromXmp(xmp);
+}
+
+// --- External Tools Backend ---
+
+/**
+ * Writes the same fields with exiftool (images) or ffmpeg (videos). Throws
+ * with code ENOENT when the tool is not on PATH.
+ */
+async function writeMetadataExternal(filePath, fields, type) {
+    if (type === 'image') {
+        const args = ['-overwrite_original'];
+        if (fields.comment) args.push(`-Comment=${fields.comment}`);
+        if (fields.description) args.push(`-Description=${fields.description}`);
+        if (fields.date) args.push(`-DateTimeOriginal=${formatExifDate(fields.date)}`);
+        args.push(filePath);
+        await runCommand('exiftool', args);
+    } else if (type === 'video') {
+        // ffmpeg infers the container from the extension, so the temp output keeps it.
+        const tempOutput = filePath + '.meta' + path.extname(filePath);
+        const args = ['-y', '-i', filePath];
+        if (fields.comment) args.push('-metadata', `comment=${fields.comment}`);
+        if (fields.description) args.push('-metadata', `description=${fields.description}`);
+        if (fields.date) args.push('-metadata', `creation_time=${fields.date.toISOString()}`);
+        args.push('-c', 'copy', tempOutput);
+        try {
+            await runCommand('ffmpeg', args);
+            await fsPromises.unlink(filePath);
+            await fsPromises.rename(tempOutput, filePath);
+        } finally {
+            if (fs.existsSync(tempOutput)) await fsPromises.unlink(tempOutput);
+        }
+    }
+}
+
+function runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(command, args);
+        proc.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`${command} exited with code ${code}`));
+        });
+        proc.on('error', (err) => reject(err));
+    });
+}
+
+module.exports = { writeMetadata, writeMetadataExternal, readCaptureDate, detectFormat, detectFileFormat, formatExifDate };
@@ -0,0 +1,552 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const crc32 = require('buffer-crc32');
+
+// --- Local Stand-in for grok.com and Google Photos ---
+//
+// Serves just enough of both sites for every harvester to run end to end
+// without a live account:
+//   /imagine/favorites      grid of div[role="listitem"] cards (grok, grok2 capture headers here)
+//   /rest/media/post/list   the media API with cursor pagination and source filters
+//   /media/<id>.png|.mp4    generated media files (videos also as <id>_hd.mp4)
+//   /photo/<id>             Photos viewer showing /lh/<id>=w512-h512, downloads the item on Shift+D
+//   /lh/<id>=<size>         the viewer's image; "=d" and "=dv" return the original as an attachment
+//   /download/<id>          the file Shift+D downloads (a ZIP of still and video for motion photos)
+// Visiting any page logs in by setting a session cookie; requests without a
+// current cookie get 401, like an expired login.
+//
+// Usage:
+//   node mock-server.js [--port 8123] [--posts 120] [--takeout <dir>] [--fault <route>:<n>=<kind> ...]
+//   xvfb-run electron . grok2 ./out --base-url http://127.0.0.1:8123 --autostart
+//   npm run e2e   (starts one and runs every harvester against it, see e2e-test.js)
+//
+// A fault hits the n-th request (counting from 1) of a route, which is one of
+// api, media, download. kind is an HTTP status (401, 429, 500, ...), "slow"
+// (body trickles out over --slow-ms), "stall" (half the body, then silence),
+// "truncate" (half the body, then the connection closes), "html" (an error page
+// with status 200) or, for download, "wrong" (the next post's file, as when a
+// viewer lags behind). Media and downloads honour "Range: bytes=n-", so an
+// interrupted transfer can be resumed.
+// Tests can steer a running server through /__mock:
+//   GET  /__mock/stats            request counts per route and active faults
+//   POST /__mock/fault            {"route": "api", "after": 1, "kind": "500"} faults the next-but-one request
+//   POST /__mock/expire-session   every current login now gets 401 until a page is visited again
+//   POST /__mock/reset            clears faults and counters
+
+// --- Arguments ---
+
+function parseArgs(argv) {
+    const settings = { port: 8123, posts: 120, slowMs: 5000, takeout: null, faults: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/s);
+        const value = () => inline ?? argv[++i];
+        switch (flag) {
+            case '--port': settings.port = Number(value()); break;
+            case '--posts': settings.posts = Number(value()); break;
+            case '--slow-ms': settings.slowMs = Number(value()); break;
+            case '--takeout': settings.takeout = path.resolve(value()); break;
+            case '--fault':
+                try {
+                    settings.faults.push(parseFault(value()));
+                } catch (err) {
+                    console.error(`--fault: ${err.message}`);
+                    process.exit(1);
+                }
+                break;
+            default:
+                console.error(`Unknown argument "${argv[i]}"`);
+                process.exit(1);
+        }
+    }
+    return settings;
+}
+
+/** Reads "<route>:<n>=<kind>". Throws when spec is not one. */
+function parseFault(spec) {
+    const match = /^(api|media|download):(\d+)=(\d{3}|slow|stall|truncate|html|wrong)$/.exec(spec || '');
+    if (!match) {
+        throw new Error(`a fault is <api|media|download>:<n>=<status|slow|stall|truncate|html|wrong>, got "${spec}"`);
+    }
+    return { route: match[1], at: Number(match[2]), kind: match[3] };
+}
+
+// --- Fixture Data ---
+
+const SOURCES = {
+    MEDIA_POST_SOURCE_LIKED: index => index % 4 !== 3,
+    MEDIA_POST_SOURCE_OWNED: index => index % 2 === 0,
+};
+
+const PROMPT_WORDS = ['neon', 'fox', 'harbor', 'glass', 'comet', 'velvet', 'storm', 'garden', 'orbit', 'lantern'];
+
+function mockId(kind, index) {
+    return `00000000-0000-4000-${kind}-${index.toString(16).padStart(12, '0')}`;
+}
+
+// Posts are newest first, one hour apart. Every third post has a video, every
+// sixth a second variant; every other video also has an HD version.
+function buildPosts(count, origin) {
+    const newest = Date.UTC(2025, 0, 31, 12);
+    const posts = [];
+    for (let i = 0; i < count; i++) {
+        const id = mockId('8000', i);
+        const createTime = new Date(newest - i * 3600 * 1000);
+        const prompt = `${PROMPT_WORDS[i % 10]} ${PROMPT_WORDS[(i * 3 + 1) % 10]} number ${i}`;
+        const childCount = i % 6 === 0 ? 2 : i % 3 === 0 ? 1 : 0;
+        const childPosts = [];
+        for (let c = 0; c < childCount; c++) {
+            const childId = mockId(`900${c}`, i);
+            childPosts.push({
+                id: childId,
+                createTime: new Date(createTime.getTime() + (c + 1) * 60 * 1000).toISOString(),
+                mimeType: 'video/mp4',
+                mediaUrl: `${origin}/media/${childId}.mp4`,
+                hdMediaUrl: c % 2 === 0 ? `${origin}/media/${childId}_hd.mp4` : null,
+                prompt: `${prompt}, animated`,
+            });
+        }
+        posts.push({
+            index: i,
+            id,
+            createTime: createTime.toISOString(),
+            mimeType: 'image/png',
+            mediaUrl: `${origin}/media/${id}.png`,
+            prompt,
+            originalPrompt: prompt,
+            childPosts,
+        });
+    }
+    return posts;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    return Buffer.concat([length, typeAndData, crc32(typeAndData)]);
+}
+
+// A small solid-colour PNG whose colour comes from the id, so files differ.
+function makePng(id) {
+    const size = 16;
+    const seed = crc32.unsigned(Buffer.from(id));
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(size, 0);
+    ihdr.writeUInt32BE(size, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 2; // RGB
+    const row = Buffer.alloc(1 + size * 3);
+    for (let x = 0; x < size; x++) row.set([seed & 0xff, (seed >> 8) & 0xff, (seed >> 16) & 0xff], 1 + x * 3);
+    const pixels = Buffer.concat(Array(size).fill(row));
+    return Buffer.concat([
+        Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'),
+        pngChunk('IHDR', ihdr),
+        pngChunk('IDAT', zlib.deflateSync(pixels)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+function mp4Box(type, ...parts) {
+    const body = Buffer.concat(parts);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// A structurally valid MP4 (ftyp, moov with one track, mdat) carrying the id as
+// its sample data. Players will not show a picture, but the metadata writers see
+// every box they touch, including a chunk offset that must survive relocation.
+function makeMp4(id) {
+    const payload = Buffer.from(`mock video ${id}`.padEnd(64, '.'));
+    const fullBox = (type, version, body) => mp4Box(type, Buffer.from([version, 0, 0, 0]), body);
+    const mvhdBody = Buffer.alloc(96);
+    mvhdBody.writeUInt32BE(1000, 8); // timescale
+    mvhdBody.writeUInt32BE(1000, 12); // duration
+    mvhdBody.writeUInt32BE(0x00010000, 16); // rate
+    mvhdBody.writeUInt16BE(0x0100, 20); // volume
+    mvhdBody.writeUInt32BE(2, 92); // next track id
+    const tkhdBody = Buffer.alloc(80);
+    tkhdBody.writeUInt32BE(1, 8); // track id
+    tkhdBody.writeUInt32BE(1000, 16); // duration
+    const mdhdBody = Buffer.alloc(20);
+    mdhdBody.writeUInt32BE(1000, 8);
+    mdhdBody.writeUInt32BE(1000, 12);
+    const hdlrBody = Buffer.concat([Buffer.alloc(4), Buffer.from('vide'), Buffer.alloc(12), Buffer.from('Mock\0')]);
+    const stco = offset => {
+        const body = Buffer.alloc(8);
+        body.writeUInt32BE(1, 0);
+        body.writeUInt32BE(offset, 4);
+        return fullBox('stco', 0, body);
+    };
+    const build = offset => mp4Box('moov',
+        fullBox('mvhd', 0, mvhdBody),
+        mp4Box('trak',
+            fullBox('tkhd', 0, tkhdBody),
+            mp4Box('mdia',
+                fullBox('mdhd', 0, mdhdBody),
+                fullBox('hdlr', 0, hdlrBody),
+                mp4Box('minf', mp4Box('stbl', stco(offset))))));
+    const ftyp = mp4Box('ftyp', Buffer.from('isom'), Buffer.from([0, 0, 2, 0]), Buffer.from('isomiso2mp41'));
+    const moovLength = build(0).length;
+    const dataOffset = ftyp.length + moovLength + 8;
+    return Buffer.concat([ftyp, build(dataOffset), mp4Box('mdat', payload)]);
+}
+
+// A 1x1 grey baseline JPEG, the still half of a mock motion photo.
+const TINY_JPEG = Buffer.from('/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA=', 'base64');
+
+// An uncompressed ("stored") ZIP of { name, body } entries.
+function makeZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { name, body } of entries) {
+        const nameBytes = Buffer.from(name);
+        const fields = Buffer.alloc(16);
+        fields.writeUInt32LE(crc32.unsigned(body), 0);
+        fields.writeUInt32LE(body.length, 4); // compressed size
+        fields.writeUInt32LE(body.length, 8); // uncompressed size
+        fields.writeUInt16LE(nameBytes.length, 12);
+        const local = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04, 20, 0, 0, 0, 0, 0, 0, 0, 0, 0]), fields, nameBytes, body]);
+        const tail = Buffer.alloc(14); // comment length, disk, attributes, then the local header's offset
+        tail.writeUInt32LE(offset, 10);
+        const central = Buffer.concat([Buffer.from([0x50, 0x4b, 0x01, 0x02, 20, 0, 20, 0, 0, 0, 0, 0, 0, 0, 0, 0]), fields, tail, nameBytes]);
+        locals.push(local);
+        centrals.push(central);
+        offset += local.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+// --- Server State ---
+
+const settings = parseArgs(process.argv.slice(2));
+const origin = `http://127.0.0.1:${settings.port}`;
+const posts = buildPosts(settings.posts, origin);
+const postsById = new Map(posts.map(post => [post.id, post]));
+const counters = { api: 0, media: 0, download: 0, pages: 0 };
+let faults = [...settings.faults];
+let sessionToken = 1;
+
+function nextFault(route) {
+    counters[route]++;
+    const index = faults.findIndex(fault => fault.route === route && fault.at === counters[route]);
+    return index === -1 ? null : faults.splice(index, 1)[0];
+}
+
+function cookieOf(req, name) {
+    const match = new RegExp(`(?:^|;\\s*)${name}=([^;]*)`).exec(req.headers.cookie || '');
+    return match ? match[1] : null;
+}
+
+function isLoggedIn(req) {
+    return cookieOf(req, 'mock_session') === String(sessionToken);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function sendHtml(res, html) {
+    res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Set-Cookie': `mock_session=${sessionToken}; Path=/; SameSite=Lax`,
+    });
+    res.end(html);
+}
+
+/**
+ * Sends a body, or applies the fault picked for this request instead.
+ * Returns without sending anything for a stall; the client has to give up.
+ */
+function sendWithFault(res, fault, headers, body, req = null) {
+    if (fault && /^\d{3}$/.test(fault.kind)) {
+        const status = Number(fault.kind);
+        const extra = status === 429 ? { 'Retry-After': '2' } : {};
+        res.writeHead(status, { 'Content-Type': 'text/plain', ...extra });
+        res.end(`Mock fault ${status}`);
+        return;
+    }
+    if (fault?.kind === 'html') {
+        const page = Buffer.from('<!DOCTYPE html><html><body>Something went wrong. Please try again later.</body></html>');
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': page.length });
+        res.end(page);
+        return;
+    }
+
+    let status = 200;
+    const range = req && /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    if (range) {
+        const start = Number(range[1]);
+        if (start >= body.length) {
+            res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+            res.end();
+            return;
+        }
+        status = 206;
+        headers = { ...headers, 'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}` };
+        body = body.subarray(start);
+    }
+    res.writeHead(status, { ...headers, 'Accept-Ranges': 'bytes', 'Content-Length': body.length });
+    if (fault?.kind === 'stall' || fault?.kind === 'truncate') {
+        res.write(body.subarray(0, Math.floor(body.length / 2)), () => {
+            if (fault.kind === 'truncate') res.destroy();
+        });
+        return;
+    }
+    if (fault?.kind === 'slow') {
+        const steps = 10;
+        const chunkSize = Math.ceil(body.length / steps);
+        let sent = 0;
+        const timer = setInterval(() => {
+            res.write(body.subarray(sent, sent + chunkSize));
+            sent += chunkSize;
+            if (sent >= body.length) {
+                clearInterval(timer);
+                res.end();
+            }
+        }, settings.slowMs / steps);
+        res.on('close', () => clearInterval(timer));
+        return;
+    }
+    res.end(body);
+}
+
+function mediaFor(name) {
+    const match = /^([0-9a-f-]{36})(_hd)?\.(png|mp4)$/.exec(name);
+    if (!match) return null;
+    const [, id, hd, ext] = match;
+    return ext === 'png'
+        ? { type: 'image/png', body: makePng(id) }
+        : { type: 'video/mp4', body: makeMp4(`${id}${hd || ''}`) };
+}
+
+// --- Routes ---
+
+async function handleApi(req, res) {
+    const fault = nextFault('api');
+    if (!isLoggedIn(req)) return sendJson(res, 401, { error: 'unauthenticated' });
+
+    let request;
+    try {
+        request = JSON.parse(await readBody(req) || '{}');
+    } catch {
+        return sendJson(res, 400, { error: 'invalid JSON' });
+    }
+    const inSource = SOURCES[request.filter?.source];
+    if (!inSource) return sendJson(res, 400, { error: `unknown source ${request.filter?.source}` });
+
+    const limit = Math.min(Math.max(Number(request.limit) || 20, 1), 1000);
+    const offset = request.cursor ? Number(Buffer.from(request.cursor, 'base64url').toString()) : 0;
+    const matching = posts.filter(post => inSource(post.index));
+    const page = matching.slice(offset, offset + limit).map(({ index, ...post }) => post);
+    const nextCursor = offset + limit < matching.length ? Buffer.from(String(offset + limit)).toString('base64url') : null;
+
+    sendWithFault(res, fault, { 'Content-Type': 'application/json' }, Buffer.from(JSON.stringify({ posts: page, nextCursor })));
+}
+
+function handleMedia(req, res, name) {
+    const fault = nextFault('media');
+    if (!isLoggedIn(req)) return sendJson(res, 403, { error: 'forbidden' });
+    const media = mediaFor(name);
+    if (!media) return sendJson(res, 404, { error: 'not found' });
+    sendWithFault(res, fault, { 'Content-Type': media.type }, media.body, req);
+}
+
+function handleSizedImage(req, res, id, size) {
+    if (size === 'd' || size === 'dv') return handleDownload(req, res, id);
+    const fault = nextFault('media');
+    if (!isLoggedIn(req)) return sendJson(res, 403, { error: 'forbidden' });
+    if (!postsById.has(id)) return sendJson(res, 404, { error: 'not found' });
+    sendWithFault(res, fault, { 'Content-Type': 'image/png' }, makePng(id));
+}
+
+// Every sixth Photos item is a motion photo: a JPEG still with an MP4 video half.
+function isMotionPhoto(post) {
+    return post.index % 6 === 5;
+}
+
+function handleDownload(req, res, id) {
+    const fault = nextFault('download');
+    if (!isLoggedIn(req)) return sendJson(res, 401, { error: 'unauthenticated' });
+    let post = postsById.get(id);
+    if (!post) return sendJson(res, 404, { error: 'not found' });
+    if (fault?.kind === 'wrong') post = posts[(post.index + 1) % posts.length];
+    if (isMotionPhoto(post)) {
+        const name = `mock-motion-${post.index}`;
+        return sendWithFault(res, fault, {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${name}.zip"`,
+        }, makeZip([{ name: `${name}.jpg`, body: TINY_JPEG }, { name: `${name}.MP4`, body: makeMp4(post.id) }]), req);
+    }
+    sendWithFault(res, fault, {
+        'Content-Type': 'image/png',
+        'Content-Disposition': `attachment; filename="mock-photo-${post.index}.png"`,
+    }, makePng(post.id), req);
+}
+
+async function handleControl(req, res, action) {
+    if (action === 'stats') {
+        return sendJson(res, 200, { counters, faults, sessionToken, posts: posts.length });
+    }
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'use POST' });
+    if (action === 'fault') {
+        let fault;
+        try {
+            const { route, after = 1, kind } = JSON.parse(await readBody(req) || '{}');
+            if (!Number.isInteger(after) || after < 1) throw new Error(`after must be a whole number of at least 1, got ${JSON.stringify(after)}`);
+            fault = parseFault(`${route}:${(counters[route] ?? 0) + after}=${kind}`);
+        } catch (err) {
+            return sendJson(res, 400, { error: err.message });
+        }
+        faults.push(fault);
+        return sendJson(res, 200, fault);
+    }
+    if (action === 'expire-session') {
+        sessionToken++;
+        return sendJson(res, 200, { sessionToken });
+    }
+    if (action === 'reset') {
+        faults = [];
+        for (const route of Object.keys(counters)) counters[route] = 0;
+        return sendJson(res, 200, { ok: true });
+    }
+    sendJson(res, 404, { error: `unknown control ${action}` });
+}
+
+// --- Pages ---
+
+// The grid fetches the API itself, as the real page does, so grok2 can capture
+// its headers; it loads more cards on scroll for grok.
+const FAVORITES_PAGE = `<!doctype html>
+<html><head><title>Mock Grok Imagine</title>
+<style>
+  body { font-family: sans-serif; margin: 0; }
+  #grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; padding: 8px; }
+  div[role="listitem"] { height: 260px; background: #ddd; position: relative; }
+  img, video { width: 100%; height: 200px; object-fit: cover; display: block; }
+</style></head>
+<body><div id="grid" role="list"></div><p id="end" hidden>No more posts</p>
+<script>
+  let cursor = null, loading = false, done = false;
+  async function loadMore() {
+    if (loading || done) return;
+    loading = true;
+    const body = { limit: 24, filter: { source: 'MEDIA_POST_SOURCE_LIKED' } };
+    if (cursor) body.cursor = cursor;
+    const res = await fetch('/rest/media/post/list', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-mock-client': 'favorites-page' },
+      body: JSON.stringify(body),
+    });
+    loading = false;
+    if (!res.ok) return;
+    const data = await res.json();
+    for (const post of data.posts) {
+      const card = document.createElement('div');
+      card.setAttribute('role', 'listitem');
+      let html = '<img src="' + post.mediaUrl + '">';
+      const child = post.childPosts[0];
+      if (child) html += '<video muted src="' + child.mediaUrl + '"></video><button><svg class="lucide-play"></svg></button>';
+      card.innerHTML = html;
+      document.getElementById('grid').appendChild(card);
+    }
+    cursor = data.nextCursor;
+    done = !cursor;
+    document.getElementById('end').hidden = !done;
+  }
+  window.addEventListener('scroll', () => {
+    if (window.innerHeight + window.scrollY > document.body.scrollHeight - 600) loadMore();
+  });
+  loadMore();
+</script></body></html>`;
+
+function photoPage(id) {
+    return `<!doctype html>
+<html><head><title>Mock Google Photos</title></head>
+<body><img src="/lh/${id}=w512-h512" alt="" style="width:512px;height:512px"><p>Photo ${id}. Press Shift+D to download.</p>
+<script>
+  document.addEventListener('keydown', event => {
+    if (event.shiftKey && event.key.toLowerCase() === 'd') window.location.href = '/download/${id}';
+  });
+</script></body></html>`;
+}
+
+// --- Takeout Fixture ---
+
+// Writes Takeout-style JSON sidecars without their media files, so the google
+// harvester sees every one of them as an orphan to download.
+function writeTakeout(dir) {
+    const album = path.join(dir, 'Takeout', 'Google Photos', 'Mock Album');
+    fs.mkdirSync(album, { recursive: true });
+    for (const post of posts.slice(0, 12)) {
+        const timestamp = Math.floor(new Date(post.createTime).getTime() / 1000);
+        const sidecar = {
+            title: isMotionPhoto(post) ? `mock-motion-${post.index}.jpg` : `mock-photo-${post.index}.png`,
+            description: post.prompt,
+            url: `https://photos.google.com/photo/${post.id}`,
+            photoTakenTime: { timestamp: String(timestamp), formatted: new Date(post.createTime).toUTCString() },
+            creationTime: { timestamp: String(timestamp), formatted: new Date(post.createTime).toUTCString() },
+            // Every other item has a place and people, the rest the 0/0 "no location" Takeout writes.
+            geoData: post.index % 2 === 0
+                ? { latitude: 48.8584 + post.index / 1000, longitude: 2.2945, altitude: 35, latitudeSpan: 0, longitudeSpan: 0 }
+                : { latitude: 0, longitude: 0, altitude: 0, latitudeSpan: 0, longitudeSpan: 0 },
+            people: post.index % 2 === 0 ? [{ name: 'Mock Person' }] : [],
+        };
+        fs.writeFileSync(path.join(album, `${sidecar.title}.json`), JSON.stringify(sidecar, null, 2));
+    }
+    console.log(`🗂️  Wrote a 12-item Takeout fixture (2 motion photos) to ${album}`);
+}
+
+// --- Main ---
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, origin);
+    let match;
+    try {
+        if (pathname === '/rest/media/post/list' && req.method === 'POST') return await handleApi(req, res);
+        if ((match = /^\/media\/([^/]+)$/.exec(pathname))) return handleMedia(req, res, match[1]);
+        if ((match = /^\/download\/([^/]+)$/.exec(pathname))) return handleDownload(req, res, match[1]);
+        if ((match = /^\/lh\/([^/=]+)=([a-z0-9-]+)$/.exec(pathname))) return handleSizedImage(req, res, match[1], match[2]);
+        if ((match = /^\/__mock\/([a-z-]+)$/.exec(pathname))) return await handleControl(req, res, match[1]);
+        if ((match = /^\/photo\/([^/]+)$/.exec(pathname))) {
+            counters.pages++;
+            return sendHtml(res, photoPage(match[1]));
+        }
+        if (pathname === '/' || pathname.startsWith('/imagine')) {
+            counters.pages++;
+            return sendHtml(res, FAVORITES_PAGE);
+        }
+        sendJson(res, 404, { error: 'not found' });
+    } catch (err) {
+        console.error('❌ Mock server error:', err);
+        if (!res.headersSent) sendJson(res, 500, { error: err.message });
+    }
+});
+
+if (settings.takeout) writeTakeout(settings.takeout);
+
+server.listen(settings.port, '127.0.0.1', () => {
+    console.log(`🧪 Mock server on ${origin} with ${posts.length} posts`);
+    for (const fault of faults) console.log(`   Fault: request ${fault.at} of ${fault.route} → ${fault.kind}`);
+});
@@ -0,0 +1,97 @@
+const path = require('path');
+
+// --- Filename Templates ---
+//
+// A template gives a harvested file's path relative to the output directory,
+// without its extension. Tokens in braces are filled in from the item:
+//   {id}            post id
+//   {type}          image or video (v1 also has video-hd)
+//   {variant}       "-2", "-3", ... for extra video variants, empty otherwise
+//   {source}        source the item came from, e.g. favorites
+//   {date:FORMAT}   creation time in UTC; FORMAT uses YYYY, MM, DD, HH, mm, ss (default YYYY-MM-DD)
+//   {promptSlug:N}  prompt as lowercase words joined by "-", at most N characters (default 40)
+// A "/" in the template, or in a date format, starts a subfolder.
+
+const TOKENS = {
+    id: item => item.id,
+    type: item => item.type,
+    variant: item => item.variant || '',
+    source: item => item.source,
+    date: (item, format) => formatDate(item.date, format || 'YYYY-MM-DD'),
+    promptSlug: (item, length) => slugify(item.prompt, length ? Number(length) : 40),
+};
+
+const TOKEN_PATTERN = /\{([A-Za-z]+)(?::([^{}]*))?\}/g;
+
+function formatDate(date, format) {
+    if (!date || isNaN(date)) return 'undated';
+    const parts = {
+        YYYY: date.getUTCFullYear(),
+        MM: date.getUTCMonth() + 1,
+        DD: date.getUTCDate(),
+        HH: date.getUTCHours(),
+        mm: date.getUTCMinutes(),
+        ss: date.getUTCSeconds(),
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, key => String(parts[key]).padStart(2, '0'));
+}
+
+function slugify(text, maxLength) {
+    const slug = (text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug.slice(0, maxLength).replace(/-+$/, '') || 'untitled';
+}
+
+// Keeps a single path segment valid on Windows, macOS and Linux.
+function cleanSegment(segment) {
+    const cleaned = segment.replace(/[<>:"\\|?*\u0000-\u001f]/g, '_').replace(/^[\s.]+|[\s.]+$/g, '');
+    return cleaned || '_';
+}
+
+/**
+ * Checks a template. Returns an error message, or null when it is usable.
+ * @param {string[]} [available] Token names the harvester can fill (default: all).
+ * @param {string[]} [required] Token names the template must contain.
+ */
+function templateError(template, available = Object.keys(TOKENS), required = []) {
+    if (/[{}]/.test(template.replace(TOKEN_PATTERN, ''))) {
+        return `unbalanced braces in "${template}"`;
+    }
+    for (const [, name, arg] of template.matchAll(TOKEN_PATTERN)) {
+        if (!TOKENS[name]) return `unknown token {${name}}`;
+        if (!available.includes(name)) return `{${name}} is not available here (use ${available.map(n => `{${n}}`).join(', ')})`;
+        if (name === 'promptSlug' && arg !== undefined && !/^[1-9]\d*$/.test(arg)) return `{promptSlug:N} needs a positive length, got "${arg}"`;
+    }
+    const missing = required.find(name => !template.includes(`{${name}`));
+    if (missing) return `the template must contain {${missing}}`;
+    if (template.split('/').some(segment => segment === '..')) {
+        return 'templates may not leave the output directory';
+    }
+    return null;
+}
+
+/**
+ * Renders a template for one item into a relative path without extension.
+ * @param {{id: string, type: string, variant?: string, source?: string, date?: Date, prompt?: string}} item
+ */
+function renderTemplate(template, item) {
+    const rendered = template.replace(TOKEN_PATTERN, (_, name, arg) => TOKENS[name](item, arg) || '');
+    return path.join(...rendered.split('/').filter(Boolean).map(cleanSegment));
+}
+
+/**
+ * Returns basePath + ext, or basePath-2 + ext, basePath-3 + ext, ... for the
+ * first candidate isFree accepts, so two different items never share a file.
+ */
+function uniquePath(basePath, ext, isFree) {
+    for (let n = 1; ; n++) {
+        const candidate = `${basePath}${n === 1 ? '' : `-${n}`}.${ext}`;
+        if (isFree(candidate)) return candidate;
+    }
+}
+
+module.exports = { templateError, renderTemplate, uniquePath };
@@ -0,0 +1,47 @@
+const { BrowserWindow, session } = require('electron');
+
+// --- Login Profiles ---
+//
+// A profile is a named, persistent Electron session partition. Cookies and
+// local storage in it survive restarts, so an account only has to be logged in
+// once (with the "login" command) and later runs can harvest unattended.
+// Several profiles can exist side by side, one per account.
+
+/**
+ * Returns the session a harvester should use: the persistent partition for
+ * the given profile, or Electron's default session when no profile is set.
+ * Must be called after the app is ready.
+ */
+function getHarvestSession(profile) {
+    return profile ? session.fromPartition(`persist:${profile}`) : session.defaultSession;
+}
+
+/**
+ * Gives each profile its own default output folder, e.g. grok-favorites-work.
+ */
+function profileOutputDir(baseDir, profile) {
+    return profile ? `${baseDir}-${profile}` : baseDir;
+}
+
+/**
+ * Opens a window on loginUrl in the profile's session and resolves once the
+ * user closes it. Whatever they logged into stays saved in the profile.
+ */
+function runLogin(profile, loginUrl) {
+    return new Promise(resolve => {
+        const win = new BrowserWindow({
+            width: 1280,
+            height: 800,
+            title: `Log in${profile ? ` (profile: ${profile})` : ''}`,
+            webPreferences: { contextIsolation: true, session: getHarvestSession(profile) }
+        });
+        win.loadURL(loginUrl);
+        console.log(`🔐 Log in to ${loginUrl}${profile ? ` for profile "${profile}"` : ''}, then close the window.`);
+        win.on('closed', () => {
+            console.log('💾 Login saved. Later runs with this profile will reuse it.');
+            resolve();
+        });
+    });
+}
+
+module.exports = { getHarvestSession, profileOutputDir, runLogin };
@@ -0,0 +1,120 @@
+// --- Adaptive Rate Control ---
+//
+// One controller per harvest, shared by everything that talks to the same
+// site. Each lane (e.g. "api", "downloads") has a concurrency and a delay
+// between requests. A 429 or 5xx response halves the lane's concurrency and
+// doubles its delay; a run of healthy responses steps both back towards the
+// configured values. A Retry-After header pauses every lane until it expires.
+// Every change is logged, so the numbers can be tuned from a real run.
+
+const MAX_DELAY_MS = 60000;
+const MIN_THROTTLED_DELAY_MS = 1000; // Delay a lane configured without one gets once throttled
+const BACKOFF_BASE_MS = 1000;
+const MAX_BACKOFF_MS = 120000;
+const HEALTHY_STREAK = 10; // Healthy responses in a row before a lane speeds up again
+
+function isThrottleStatus(statusCode) {
+    return statusCode === 429 || (statusCode >= 500 && statusCode < 600);
+}
+
+/**
+ * Reads a Retry-After header (seconds, or an HTTP date) as milliseconds from now.
+ * @returns {number|null} null when the value is missing or unreadable.
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * @param {Object<string, {concurrency: number, delayMs: number}>} lanes The
+ *   configured (fastest allowed) settings of each lane.
+ * @param {function(string): void} [log]
+ */
+function createRateController(lanes, log = console.log) {
+    const state = {};
+    for (const [name, config] of Object.entries(lanes)) {
+        state[name] = { ...config, config, healthy: 0, nextStart: 0 };
+    }
+    let pausedUntil = 0;
+
+    const setLane = (name, concurrency, delayMs, reason) => {
+        const lane = state[name];
+        if (concurrency === lane.concurrency && delayMs === lane.delayMs) return;
+        const changes = [];
+        if (concurrency !== lane.concurrency) changes.push(`concurrency ${lane.concurrency} → ${concurrency}`);
+        if (delayMs !== lane.delayMs) changes.push(`delay ${lane.delayMs / 1000}s → ${delayMs / 1000}s`);
+        Object.assign(lane, { concurrency, delayMs });
+        log(`🚦 ${name}: ${changes.join(', ')} (${reason})`);
+    };
+
+    const controller = {
+        /** Requests of this lane that may run at the same time. */
+        concurrency(name) {
+            return state[name].concurrency;
+        },
+
+        /** Milliseconds between the starts of two requests of this lane. */
+        delayMs(name) {
+            return state[name].delayMs;
+        },
+
+        /**
+         * Resolves when a request of this lane may start: no Retry-After pause
+         * is in force and the lane's delay has passed since its last start.
+         */
+        async ready(name) {
+            const lane = state[name];
+            for (let wait; (wait = Math.max(pausedUntil, lane.nextStart) - Date.now()) > 0;) {
+                await new Promise(r => setTimeout(r, wait));
+            }
+            lane.nextStart = Date.now() + lane.delayMs;
+        },
+
+        /**
+         * Feeds the outcome of one request of a lane into the controller.
+         * @param {string} name
+         * @param {{statusCode?: number|null, retryAfterMs?: number|null}|null} [failure]
+         *   The error a failed request threw (HttpError, DownloadError, ...); omit for a success.
+         */
+        report(name, failure = null) {
+            const lane = state[name];
+            if (failure) {
+                const { statusCode = null, retryAfterMs = null } = failure;
+                if (retryAfterMs) {
+                    const until = Date.now() + retryAfterMs;
+                    if (until > pausedUntil) {
+                        pausedUntil = until;
+                        log(`🚦 Server asked to wait ${Math.ceil(retryAfterMs / 1000)}s (Retry-After); pausing all requests.`);
+                    }
+                }
+                lane.healthy = 0;
+                if (isThrottleStatus(statusCode)) {
+                    const delayMs = Math.min(MAX_DELAY_MS, Math.max(MIN_THROTTLED_DELAY_MS, lane.delayMs * 2));
+                    setLane(name, Math.max(1, Math.floor(lane.concurrency / 2)), delayMs, `HTTP ${statusCode}`);
+                }
+                return; // Other failures (404, network errors) say nothing about load
+            }
+            if (++lane.healthy < HEALTHY_STREAK) return;
+            lane.healthy = 0;
+            const concurrency = Math.min(lane.config.concurrency, lane.concurrency + 1);
+            const delayMs = lane.delayMs / 2 < lane.config.delayMs + 100 ? lane.config.delayMs : Math.round(lane.delayMs / 2);
+            setLane(name, concurrency, delayMs, `${HEALTHY_STREAK} healthy responses`);
+        },
+
+        /**
+         * Milliseconds to wait before retry number attempt (counting from 0):
+         * exponential with jitter, and never shorter than the server asked for.
+         */
+        backoffMs(attempt, retryAfterMs = null) {
+            const ceiling = Math.min(MAX_BACKOFF_MS, BACKOFF_BASE_MS * 2 ** attempt);
+            const jittered = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+            return Math.max(jittered, retryAfterMs || 0);
+        },
+    };
+    return controller;
+}
+
+module.exports = { createRateController, parseRetryAfter, isThrottleStatus };
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const { promises: fsPromises } = require('fs');
+
+// --- Recovery State ---
+//
+// Records which Takeout items the Google Photos harvester has recovered, in a
+// JSON file next to the export, so the export itself is never changed.
+//
+// Layout:
+//   items[jsonRelPath]  { title, url, savedAs, companions, dropped?, method, bytes, verified, recoveredAt }
+//
+// Paths are relative to the scanned folder: jsonRelPath names the sidecar,
+// savedAs the recovered media file, companions any video half or edited copy
+// saved with it, dropped the names of downloads that started too late to be
+// saved with it. Deleting an entry (or the whole file) makes the next run try
+// that item again.
+
+const STATE_VERSION = 1;
+
+function emptyState() {
+    return { version: STATE_VERSION, items: {} };
+}
+
+/**
+ * Opens (or starts) the state file at filePath. Every change is written at
+ * once, atomically (temp file, then rename); recoveries are seconds apart.
+ */
+function openRecoveryState(filePath) {
+    let data = emptyState();
+    let pendingSave = Promise.resolve();
+
+    if (fs.existsSync(filePath)) {
+        try {
+            data = { ...emptyState(), ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        } catch (err) {
+            // Keep the unreadable file around for inspection rather than overwriting it.
+            const backupPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, backupPath);
+            console.warn(`⚠️  Recovery state was unreadable (${err.message}). Moved it to ${backupPath} and starting fresh.`);
+        }
+    }
+
+    const state = {
+        path: filePath,
+
+        get(jsonRelPath) {
+            return data.items[jsonRelPath] || null;
+        },
+
+        /** All entries as [jsonRelPath, entry], sorted by path. */
+        entries() {
+            return Object.entries(data.items).sort(([a], [b]) => a.localeCompare(b));
+        },
+
+        record(jsonRelPath, entry) {
+            data.items[jsonRelPath] = { ...entry, recoveredAt: new Date().toISOString() };
+            return state.save();
+        },
+
+        forget(jsonRelPath) {
+            delete data.items[jsonRelPath];
+            return state.save();
+        },
+
+        forgetAll() {
+            data.items = {};
+            return state.save();
+        },
+
+        save() {
+            // Chain writes so two saves never race on the same temp file.
+            const write = async () => {
+                const tempPath = `${filePath}.tmp`;
+                await fsPromises.writeFile(tempPath, JSON.stringify(data, null, 1));
+                await fsPromises.rename(tempPath, filePath);
+            };
+            pendingSave = pendingSave.catch(() => {}).then(write);
+            return pendingSave;
+        },
+    };
+
+    return state;
+}
+
+module.exports = { openRecoveryState };
@@ -0,0 +1,181 @@
+const path = require('path');
+const fs = require('fs');
+const { templateError } = require('./naming');
+const { baseUrlError } = require('./urls');
+
+// --- Site Definitions ---
+//
+// A site whose gallery is a list of cards or a paged JSON API can be harvested
+// without writing a harvester: describe it in sites/<name>.json and run
+// "electron . <name>". The generic engine in harvest-site.js does the rest.
+//
+//   name         Command name: lowercase letters, digits and "-"
+//   summary      One line for --help
+//   baseUrl      Default for --base-url; every URL below may be relative to it
+//   startUrl     Page the window opens (and logs in on, unless loginUrl says otherwise)
+//   loginUrl     Optional; page the login action opens
+//   outputDir    Optional; default output folder (default: the name)
+//   naming       Optional; { template, extensions }. template is the default for
+//                --name-template (tokens as in naming.js, {source} is the site's
+//                name); extensions maps image/video to the extension used when
+//                the server's Content-Type names none we know.
+//   auth         Optional; { capture }: a URL the page requests once logged in.
+//                Its request headers are captured and sent with API requests,
+//                and the harvest waits for it before discovering.
+//
+// plus exactly one way to discover media:
+//
+//   scroll       Scroll the page and read cards as they appear:
+//     itemSelector   CSS selector of one card
+//     media          [{ type, variant?, selector, attribute?, replace? }]: type is
+//                    image or video, variant a name suffix ({variant}, e.g. "-hd"),
+//                    attribute defaults to src, replace is [regex, replacement]
+//                    applied to the URL (e.g. to ask for an HD version). Only the
+//                    id's media is waited for; the others are taken if present.
+//     id             { from, pattern }: regex with one capture group, applied to
+//                    the URL of the media whose type+variant is from
+//     scrollDelay, pollTimeout (seconds), scrollAttempts   Optional timings
+//   api          Page through a JSON API:
+//     url, method    GET puts the cursor in the query, POST in the JSON body
+//     body           Optional; JSON body (POST) or query parameters (GET)
+//     cursorParam    Name of the cursor parameter
+//     items          Dot path to the page's array of items, e.g. "data.posts"
+//     nextCursor     Dot path to the next cursor; paging stops when it is empty
+//     id             Dot path to an item's id
+//     date, prompt   Optional dot paths, for {date} and {promptSlug}; a date is
+//                    an ISO string or a Unix time (seconds or milliseconds)
+//     media          [{ type, variant?, url }]: url is a dot path, e.g. "childPosts.0.mediaUrl"
+//     delay          Optional; seconds between pages (default 1.5)
+//
+// A definition with an error is reported and left out; the others still load.
+
+const SITES_DIR = path.join(__dirname, 'sites');
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const MEDIA_TYPES = ['image', 'video'];
+const DEFAULT_TEMPLATE = '{source}/{type}-{id}{variant}';
+
+const isText = value => typeof value === 'string' && value.length > 0;
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+function mediaError(media, field) {
+    if (!Array.isArray(media) || media.length === 0) return 'media must list at least one entry';
+    for (const entry of media) {
+        if (!isObject(entry)) return 'media entries must be objects';
+        if (!MEDIA_TYPES.includes(entry.type)) return `media type must be ${MEDIA_TYPES.join(' or ')}, got "${entry.type}"`;
+        if (entry.variant !== undefined && !/^[A-Za-z0-9_-]*$/.test(entry.variant)) return `media variant "${entry.variant}" may only use letters, digits, "-" and "_"`;
+        if (!isText(entry[field])) return `every media entry needs a ${field}`;
+        if (entry.replace !== undefined) {
+            if (!Array.isArray(entry.replace) || entry.replace.length !== 2 || !entry.replace.every(part => typeof part === 'string')) return 'media replace must be [regex, replacement]';
+            try { new RegExp(entry.replace[0]); } catch (err) { return `media replace has an invalid regex (${err.message})`; }
+        }
+    }
+    const keys = media.map(entry => entry.type + (entry.variant || ''));
+    if (new Set(keys).size < keys.length) return 'media entries need distinct type and variant pairs';
+    return null;
+}
+
+function scrollError(scroll) {
+    if (!isText(scroll.itemSelector)) return 'scroll.itemSelector is required';
+    const error = mediaError(scroll.media, 'selector');
+    if (error) return `scroll.${error}`;
+    if (!isObject(scroll.id) || !isText(scroll.id.pattern)) return 'scroll.id must be { from, pattern }';
+    if (!scroll.media.some(entry => entry.type + (entry.variant || '') === scroll.id.from)) {
+        return 'scroll.id.from must name one of the media, e.g. "image"';
+    }
+    try {
+        if (new RegExp(`${scroll.id.pattern}|`).exec('').length < 2) return 'scroll.id.pattern needs a capture group';
+    } catch (err) {
+        return `scroll.id.pattern is not a valid regex (${err.message})`;
+    }
+    for (const field of ['scrollDelay', 'pollTimeout', 'scrollAttempts']) {
+        if (scroll[field] !== undefined && !(typeof scroll[field] === 'number' && scroll[field] >= 0)) return `scroll.${field} must be a number of at least 0`;
+    }
+    return null;
+}
+
+function apiError(api) {
+    for (const field of ['url', 'cursorParam', 'items', 'nextCursor', 'id']) {
+        if (!isText(api[field])) return `api.${field} is required`;
+    }
+    if (!['GET', 'POST'].includes(api.method || 'GET')) return `api.method must be GET or POST, got "${api.method}"`;
+    if (api.body !== undefined && !isObject(api.body)) return 'api.body must be an object';
+    if (api.delay !== undefined && !(typeof api.delay === 'number' && api.delay >= 0)) return 'api.delay must be a number of at least 0';
+    const error = mediaError(api.media, 'url');
+    return error ? `api.${error}` : null;
+}
+
+/** Tokens a site's name template can use; dates and prompts only come from an API. */
+function templateTokens(site) {
+    return ['id', 'type', 'variant', 'source', ...(site.api?.date ? ['date'] : []), ...(site.api?.prompt ? ['promptSlug'] : [])];
+}
+
+/**
+ * Checks a definition. Returns an error message, or null when it is usable.
+ * @param {object} site
+ * @param {string[]} taken Names already in use (the built-in harvesters).
+ */
+function definitionError(site, taken) {
+    if (!isObject(site)) return 'expects a JSON object';
+    if (!NAME_PATTERN.test(site.name || '')) return 'name must be lowercase letters, digits and "-"';
+    if (taken.includes(site.name)) return `name "${site.name}" is already taken`;
+    if (!isText(site.summary)) return 'summary is required';
+    const urlError = baseUrlError(site.baseUrl || '');
+    if (urlError) return `baseUrl ${urlError}`;
+    if (!isText(site.startUrl)) return 'startUrl is required';
+    if (!site.scroll === !site.api) return 'needs exactly one of scroll and api';
+    if (!isObject(site.scroll || site.api)) return `${site.scroll ? 'scroll' : 'api'} must be an object`;
+    if (site.auth !== undefined && !(isObject(site.auth) && isText(site.auth.capture))) return 'auth must be { "capture": url }';
+    if (site.naming !== undefined && !isObject(site.naming)) return 'naming must be an object';
+    if (site.naming?.template !== undefined && !isText(site.naming.template)) return 'naming.template must be a string';
+    const discoveryError = site.scroll ? scrollError(site.scroll) : apiError(site.api);
+    if (discoveryError) return discoveryError;
+    const template = site.naming?.template || DEFAULT_TEMPLATE;
+    const namingError = templateError(template, templateTokens(site), ['id', 'type']);
+    if (namingError) return `naming.template: ${namingError}`;
+    return null;
+}
+
+/**
+ * Reads sites/*.json and describes each usable definition as a harvester for cli.js.
+ * @param {string[]} taken Names of the built-in harvesters.
+ * @returns {Object<string, object>} Entries for HARVESTERS, each carrying its definition as site.
+ */
+function loadSiteHarvesters(taken) {
+    const harvesters = {};
+    const files = fs.existsSync(SITES_DIR) ? fs.readdirSync(SITES_DIR).filter(name => name.endsWith('.json')).sort() : [];
+    for (const file of files) {
+        let site;
+        try {
+            site = JSON.parse(fs.readFileSync(path.join(SITES_DIR, file), 'utf8'));
+        } catch (err) {
+            console.warn(`⚠️  sites/${file} is not valid JSON (${err.message}); skipped.`);
+            continue;
+        }
+        const error = definitionError(site, [...taken, ...Object.keys(harvesters)]);
+        if (error) {
+            console.warn(`⚠️  sites/${file}: ${error}; skipped.`);
+            continue;
+        }
+        const tokens = templateTokens(site);
+        harvesters[site.name] = {
+            module: './harvest-site.js',
+            site,
+            summary: site.summary,
+            pathHelp: `Folder to save media into (default: ./${site.outputDir || site.name}, or ./${site.outputDir || site.name}-<profile>)`,
+            loginUrl: new URL(site.loginUrl || site.startUrl, site.baseUrl).toString(),
+            actions: {
+                'retry-failed': 'Only download the items listed in .harvest-failures.json, with the URLs the site shows now',
+            },
+            options: [
+                { flag: 'concurrency', type: 'int', min: 1, default: 4, help: 'Downloads running at the same time' },
+                { flag: 'retries', type: 'int', min: 0, default: 3, help: 'Times to retry a failed download' },
+                { flag: 'download-timeout', type: 'number', min: 1, default: 120, help: 'Seconds without data before a download is interrupted (and later resumed)' },
+                { flag: 'name-template', type: 'string', default: site.naming?.template || DEFAULT_TEMPLATE, placeholder: 'template', validate: value => templateError(value, tokens, ['id', 'type']), help: `File path without extension; tokens ${tokens.map(name => `{${name}}`).join(', ')}, "/" makes folders` },
+                { flag: 'base-url', type: 'string', default: site.baseUrl, validate: baseUrlError, placeholder: 'url', help: 'Site to talk to, e.g. a local mock-server.js' },
+            ],
+        };
+    }
+    return harvesters;
+}
+
+module.exports = { loadSiteHarvesters, definitionError };
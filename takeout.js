@@ -0,0 +1,145 @@
+const path = require('path');
+
+// --- Takeout Sidecar Matching ---
+//
+// Pairs the JSON sidecars in one Takeout folder with the media files beside
+// them. Takeout does not simply name a file after its JSON's title:
+//   - characters like / : * ? are replaced by "_" in file names
+//   - long names are cut short (the title in the JSON stays complete)
+//   - a second "IMG.jpg" becomes "IMG(1).jpg", described by "IMG.jpg(1).json"
+//   - sidecars may be "<name>.supplemental-metadata.json", itself cut short
+//   - an edited copy "IMG-edited.jpg" shares the original's JSON
+//   - a live/motion photo's video half ("IMG.MP4" next to "IMG.HEIC",
+//     "PXL.MP" next to "PXL.MP.jpg") has no JSON of its own
+// Edited copies and video halves are claimed by their sidecar but do not
+// count as its media: without the original, the item is still an orphan.
+// When several files could belong to one sidecar (or one file to several
+// sidecars) the match is reported as ambiguous instead of guessed.
+
+// Takeout cuts file names to 47 characters, extension included. A shorter
+// prefix is too likely to be a different file to count as a cut-short name.
+const MIN_TRUNCATED_LENGTH = 40;
+
+// Suffixes Takeout gives edited copies, by export language.
+const EDITED_SUFFIXES = ['-edited', '-bearbeitet', '-modifié', '-editado', '-modificato', '-bewerkt', '-redigeret', '-muokattu', '-redigert', '-redigerad', '-edytowane', '-upravené', '-편집됨', '-編集済み'];
+
+// A photo with one of these extensions may have a video half with one of the others.
+const STILL_EXTENSIONS = ['.heic', '.heif', '.jpg', '.jpeg'];
+const MOTION_EXTENSIONS = ['.mp4', '.mov'];
+
+// How closely a file name matches, best first.
+const MATCH_RANK = { EXACT: 0, CASE_INSENSITIVE: 1, TRUNCATED: 2 };
+
+function sanitizeTitle(title) {
+    return title.replace(/[\\/:*?"<>|]/g, '_');
+}
+
+/** "(1)" for "IMG.jpg(1).json" or "IMG.jpg.supplemental-metadata(1).json", else "". */
+function duplicateSuffix(jsonName) {
+    const match = /(\(\d+\))\.json$/i.exec(jsonName);
+    return match ? match[1] : '';
+}
+
+/**
+ * The name Takeout would give this sidecar's media file, before any
+ * truncation, e.g. title "IMG.jpg" in "IMG.jpg(1).json" gives "IMG(1).jpg".
+ */
+function expectedName(sidecar) {
+    const { name: stem, ext } = path.parse(sanitizeTitle(sidecar.title));
+    return `${stem}${duplicateSuffix(sidecar.jsonName)}${ext}`;
+}
+
+/** Splits "IMG(1)" of a parsed name into stem "IMG" and suffix "(1)". */
+function splitDuplicate({ name, ext }) {
+    const match = /^(.*?)(\(\d+\))?$/s.exec(name);
+    return { stem: match[1], suffix: match[2] || '', ext };
+}
+
+function rankFile(fileName, expected) {
+    if (fileName === expected) return MATCH_RANK.EXACT;
+    if (fileName.toLowerCase() === expected.toLowerCase()) return MATCH_RANK.CASE_INSENSITIVE;
+
+    // Cut short: same extension and duplicate suffix, and the file's stem is a
+    // prefix of the expected stem. Takeout cuts the stem before the "(n)".
+    const file = splitDuplicate(path.parse(fileName.toLowerCase()));
+    const want = splitDuplicate(path.parse(expected.toLowerCase()));
+    if (file.ext === want.ext && file.suffix === want.suffix && fileName.length >= MIN_TRUNCATED_LENGTH
+        && want.stem.length > file.stem.length && want.stem.startsWith(file.stem)) {
+        return MATCH_RANK.TRUNCATED;
+    }
+    return null;
+}
+
+function editedCopies(fileNames, mediaName) {
+    const { name: stem, ext } = path.parse(mediaName);
+    const edited = new Set(EDITED_SUFFIXES.map(suffix => `${stem}${suffix}${ext}`.toLowerCase()));
+    return fileNames.filter(name => edited.has(name.toLowerCase()));
+}
+
+function motionCompanions(fileNames, mediaName) {
+    const { name: stem, ext } = path.parse(mediaName);
+    const wanted = new Set();
+    if (STILL_EXTENSIONS.includes(ext.toLowerCase())) {
+        MOTION_EXTENSIONS.forEach(motionExt => wanted.add(`${stem}${motionExt}`.toLowerCase()));
+    }
+    if (/\.mp$/i.test(stem)) wanted.add(stem.toLowerCase()); // Pixel: "PXL.MP.jpg" + "PXL.MP"
+    return fileNames.filter(name => wanted.has(name.toLowerCase()));
+}
+
+/**
+ * Matches the sidecars of one folder to its files.
+ * @param {string[]} fileNames Names of all non-JSON files in the folder.
+ * @param {{jsonName: string, title: string}[]} sidecars
+ * @returns {{sidecar: object, expectedName: string, status: 'matched'|'orphan'|'ambiguous', file: string|null, candidates: string[], edited: string[], companions: string[]}[]}
+ *   One result per sidecar, in the same order. candidates lists the files
+ *   that made a match ambiguous.
+ */
+function matchFolder(fileNames, sidecars) {
+    const results = sidecars.map(sidecar => ({
+        sidecar,
+        expectedName: expectedName(sidecar),
+        status: 'orphan',
+        file: null,
+        candidates: [],
+        edited: [],
+        companions: [],
+    }));
+    const taken = new Set();
+
+    // Settle the closest matches first, so a file that is some sidecar's exact
+    // name is never handed to another sidecar as a truncated match.
+    for (const rank of Object.values(MATCH_RANK)) {
+        const wanted = new Map(); // file -> results wanting it at this rank
+        for (const result of results) {
+            if (result.status !== 'orphan') continue;
+            const files = fileNames.filter(name => !taken.has(name) && rankFile(name, result.expectedName) === rank);
+            if (files.length > 1) {
+                Object.assign(result, { status: 'ambiguous', candidates: files });
+                files.forEach(name => taken.add(name));
+                continue;
+            }
+            if (files.length === 1) {
+                if (!wanted.has(files[0])) wanted.set(files[0], []);
+                wanted.get(files[0]).push(result);
+            }
+        }
+        for (const [name, claimants] of wanted) {
+            taken.add(name);
+            for (const result of claimants) {
+                if (claimants.length === 1) Object.assign(result, { status: 'matched', file: name });
+                else Object.assign(result, { status: 'ambiguous', candidates: [name] });
+            }
+        }
+    }
+
+    // Edited copies and video halves belong to a sidecar but never stand in for its media.
+    for (const result of results) {
+        const base = result.file || result.expectedName;
+        result.edited = editedCopies(fileNames, base).filter(name => !taken.has(name));
+        result.companions = motionCompanions(fileNames, base).filter(name => !taken.has(name));
+        [...result.edited, ...result.companions].forEach(name => taken.add(name));
+    }
+    return results;
+}
+
+module.exports = { matchFolder, expectedName };
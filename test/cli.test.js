@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommandLine, formatHelp, UsageError, defaultsFor } = require('../cli');
+
+function usageError(args, pattern) {
+    assert.throws(() => parseCommandLine(args), error => error instanceof UsageError && pattern.test(error.message));
+}
+
+function pick({ action, path }) {
+    return { action, path };
+}
+
+test('no command, or help, asks for the overview', () => {
+    for (const args of [[], ['--help'], ['help']]) {
+        assert.deepEqual(parseCommandLine(args), { command: null, action: null, path: undefined, options: {}, help: true });
+    }
+});
+
+test('defaults fill every option that is not given', () => {
+    const { command, action, path, options } = parseCommandLine(['grok2']);
+    assert.equal(command, 'grok2');
+    assert.equal(action, null);
+    assert.equal(path, undefined);
+    assert.deepEqual(options, defaultsFor('grok2'));
+});
+
+test('values are coerced by type, with or without "="', () => {
+    const { options } = parseCommandLine(['grok2', '--concurrency', '3', '--api-delay=0.5', '--source', 'favorites,mine', '--metadata-backend', 'external']);
+    assert.equal(options.concurrency, 3);
+    assert.equal(options.apiDelay, 0.5);
+    assert.deepEqual(options.source, ['favorites', 'mine']);
+    assert.equal(options.metadataBackend, 'external');
+});
+
+test('a leading positional naming an action selects it; the next one is the path', () => {
+    assert.deepEqual(pick(parseCommandLine(['grok2', 'retry-failed', './out'])), { action: 'retry-failed', path: './out' });
+    assert.deepEqual(pick(parseCommandLine(['grok2', './out'])), { action: null, path: './out' });
+    assert.deepEqual(pick(parseCommandLine(['grok2', 'login'])), { action: 'login', path: undefined });
+    usageError(['grok2', './a', './b'], /Unexpected argument "\.\/b"/);
+});
+
+test('boolean flags take --no-, =value or a following true/false', () => {
+    assert.equal(parseCommandLine(['grok2', '--no-hd']).options.hd, false);
+    assert.equal(parseCommandLine(['grok2', '--hd=false']).options.hd, false);
+    const spaced = parseCommandLine(['grok2', '--hd', 'false']);
+    assert.equal(spaced.options.hd, false);
+    assert.equal(spaced.path, undefined);
+    const beforePath = parseCommandLine(['grok2', '--full', './out']);
+    assert.equal(beforePath.options.full, true);
+    assert.equal(beforePath.path, './out');
+    usageError(['grok2', '--no-hd=true'], /does not take a value/);
+    usageError(['grok2', '--hd=maybe'], /expects true or false/);
+});
+
+test('invalid values are usage errors naming the harvester', () => {
+    assert.throws(() => parseCommandLine(['grok2', '--bogus']), { name: 'UsageError', message: 'Unknown option --bogus', command: 'grok2' });
+    usageError(['nope'], /Unknown harvester "nope"/);
+    usageError(['grok2', '--concurrency', '0'], /at least 1/);
+    usageError(['grok2', '--concurrency', '2.5'], /whole number/);
+    usageError(['grok2', '--concurrency'], /needs a value/);
+    usageError(['grok2', '--source', 'favorites,bad source'], /invalid entry "bad source"/);
+    usageError(['grok2', '--metadata-backend', 'magic'], /one of builtin, external/);
+    usageError(['grok2', '--profile', 'a/b'], /may only contain/);
+    usageError(['grok2', '--base-url', 'ftp://example.com'], /http or https/);
+    usageError(['grok', '--name-template', 'grok-{type}'], /must contain \{id\}/);
+    usageError(['grok2', '--name-template', 'foo'], /must contain \{id\}/);
+    usageError(['grok2', '--name-template', '{date}/{id}'], /must contain \{type\}/);
+});
+
+test('the dashboard host is an IP address or a hostname', () => {
+    for (const host of ['127.0.0.1', '0.0.0.0', '::1', 'localhost', 'my-pc.lan']) {
+        assert.equal(parseCommandLine(['grok2', '--dashboard-host', host]).options.dashboardHost, host);
+    }
+    for (const host of ['http://localhost', 'localhost:8080', '-pc', 'my_pc', 'a..b', '']) {
+        usageError(['grok2', '--dashboard-host', host], /IP address or hostname/);
+    }
+});
+
+test('the resume threshold must fit under the concurrency', () => {
+    usageError(['grok', '--resume-threshold', '30'], /cannot be more than --concurrency/);
+    assert.equal(parseCommandLine(['grok', '--resume-threshold', '25']).options.resumeThreshold, 25);
+    // The default threshold follows a lower concurrency instead of failing.
+    assert.equal(parseCommandLine(['grok', '--concurrency', '5']).options.resumeThreshold, 5);
+});
+
+test('help lists the harvesters, and a harvester\'s actions and options', () => {
+    const overview = formatHelp();
+    assert.match(overview, /^Usage: electron \. <harvester> \[action\] \[path\] \[options\]/);
+    assert.match(overview, /^ {2}grok2 /m);
+    const grok2 = formatHelp('grok2');
+    assert.match(grok2, /^ {2}retry-failed /m);
+    assert.match(grok2, /--\[no-\]hd .*\(default: true\)/);
+    assert.match(grok2, /--concurrency <n> .*\(default: 5\)/);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { openFailureLedger } = require('../failure-ledger');
+
+function ledgerPath(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, '.harvest-failures.json');
+}
+
+const failure = (attempts = 3) => ({ url: 'https://example.com/a.png', path: 'a.png', ref: 'post-a', error: 'HTTP 500', attempts });
+
+test('failures are saved at once and add up across runs', t => {
+    const file = ledgerPath(t);
+    openFailureLedger(file, 'grok2').record('a.png', failure());
+
+    const reopened = openFailureLedger(file, 'grok2');
+    const first = reopened.get('a.png');
+    assert.equal(first.attempts, 3);
+    assert.equal(first.error, 'HTTP 500');
+    reopened.record('a.png', { ...failure(2), error: 'HTTP 404' });
+    const second = openFailureLedger(file, 'grok2').get('a.png');
+    assert.equal(second.attempts, 5);
+    assert.equal(second.error, 'HTTP 404');
+    assert.equal(second.firstFailedAt, first.firstFailedAt);
+    assert.ok(!fs.existsSync(`${file}.tmp`));
+});
+
+test('resolve removes an item that succeeded', t => {
+    const file = ledgerPath(t);
+    const ledger = openFailureLedger(file, 'grok2');
+    ledger.record('a.png', failure());
+    assert.equal(ledger.resolve('a.png'), true);
+    assert.equal(ledger.resolve('a.png'), false);
+    assert.equal(openFailureLedger(file, 'grok2').get('a.png'), null);
+});
+
+test('each harvester keeps its own entries, oldest first', async t => {
+    const file = ledgerPath(t);
+    const grok2 = openFailureLedger(file, 'grok2');
+    grok2.record('b.png', failure());
+    await new Promise(resolve => setTimeout(resolve, 5));
+    grok2.record('a.png', failure());
+    openFailureLedger(file, 'grok').record('post-a:image', failure());
+
+    assert.deepEqual(openFailureLedger(file, 'grok2').entries().map(([key]) => key), ['b.png', 'a.png']);
+    assert.deepEqual(openFailureLedger(file, 'grok').entries().map(([key]) => key), ['post-a:image']);
+    assert.deepEqual(openFailureLedger(file, 'google').entries(), []);
+});
+
+test('an unreadable ledger is moved aside and started fresh', t => {
+    t.mock.method(console, 'warn', () => {});
+    const file = ledgerPath(t);
+    fs.writeFileSync(file, '{ not json');
+    const ledger = openFailureLedger(file, 'grok2');
+    assert.deepEqual(ledger.entries(), []);
+    assert.ok(!fs.existsSync(file));
+    assert.equal(fs.readdirSync(path.dirname(file)).filter(name => name.includes('.corrupt-')).length, 1);
+    assert.equal(console.warn.mock.calls.length, 1);
+});
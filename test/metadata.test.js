@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crc32 = require('buffer-crc32');
+const { writeMetadata, readCaptureDate, detectFormat, detectFileFormat, formatExifDate } = require('../metadata');
+
+const DATE = new Date('2023-06-15T08:30:45Z');
+const FIELDS = {
+    comment: 'A red fox at dawn',
+    description: 'Generated with Grok Imagine',
+    date: DATE,
+    gps: { latitude: 48.8584, longitude: -2.2945, altitude: 35 },
+    people: ['Mock Person'],
+};
+
+// --- Fixtures ---
+
+function jpeg() {
+    const segment = (marker, payload) => {
+        const header = Buffer.from([0xff, marker, 0, 0]);
+        header.writeUInt16BE(payload.length + 2, 2);
+        return Buffer.concat([header, payload]);
+    };
+    return Buffer.concat([
+        Buffer.from([0xff, 0xd8]),
+        segment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+        segment(0xdb, Buffer.alloc(65)),
+        Buffer.from([0xff, 0xda, 0x00, 0x08, 1, 1, 0, 0, 0x3f, 0, 0x12, 0x34, 0xff, 0xd9]), // Scan data and EOI
+    ]);
+}
+
+function png() {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+        return Buffer.concat([length, typeAndData, crc32(typeAndData)]);
+    };
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(1, 0);
+    ihdr.writeUInt32BE(1, 4);
+    ihdr[8] = 8;
+    ihdr[9] = 2;
+    return Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), chunk('IHDR', ihdr), chunk('IDAT', Buffer.from([0x78, 0x9c, 0x63, 0, 0, 0, 1, 0, 1])), chunk('IEND', Buffer.alloc(0))]);
+}
+
+function webp() {
+    const vp8l = Buffer.alloc(10);
+    vp8l[0] = 0x2f; // VP8L signature
+    vp8l.writeUInt32LE((4 - 1) | ((3 - 1) << 14), 1); // 4x3, no alpha
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(4 + 8 + vp8l.length, 4);
+    header.write('WEBP', 8, 'latin1');
+    const chunkHeader = Buffer.alloc(8);
+    chunkHeader.write('VP8L', 0, 'latin1');
+    chunkHeader.writeUInt32LE(vp8l.length, 4);
+    return Buffer.concat([header, chunkHeader, vp8l]);
+}
+
+function box(type, ...payload) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.reduce((n, p) => n + p.length, 0));
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, ...payload]);
+}
+
+const MEDIA_DATA = Buffer.from('frame-one-frame-two');
+
+/**
+ * ftyp, moov with one track whose stco points at MEDIA_DATA, then mdat.
+ * @param {object} [options]
+ * @param {boolean} [options.mdatToEnd] Give mdat size 0 ("runs to the end of the file").
+ */
+function mp4({ mdatToEnd = false } = {}) {
+    const ftyp = box('ftyp', Buffer.from('isom\0\0\0\0isommp41', 'latin1'));
+    const fullBox = (type, size) => box(type, Buffer.alloc(size));
+    const stcoFor = offset => {
+        const payload = Buffer.alloc(12);
+        payload.writeUInt32BE(1, 4);
+        payload.writeUInt32BE(offset, 8);
+        return box('stco', payload);
+    };
+    const moovFor = offset => box('moov', fullBox('mvhd', 100),
+        box('trak', fullBox('tkhd', 84), box('mdia', fullBox('mdhd', 24), box('minf', box('stbl', stcoFor(offset))))));
+    const mdatOffset = ftyp.length + moovFor(0).length;
+    const mdat = box('mdat', MEDIA_DATA);
+    if (mdatToEnd) mdat.writeUInt32BE(0, 0);
+    return Buffer.concat([ftyp, moovFor(mdatOffset + 8), mdat]);
+}
+
+// --- Helpers ---
+
+function tempFile(t, name, contents) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+function topLevelBoxes(buffer) {
+    const boxes = [];
+    for (let offset = 0; offset + 8 <= buffer.length;) {
+        let size = buffer.readUInt32BE(offset);
+        if (size === 1) size = Number(buffer.readBigUInt64BE(offset + 8));
+        assert.ok(size >= 8, `box at ${offset} has size ${size}`);
+        boxes.push({ type: buffer.toString('latin1', offset + 4, offset + 8), start: offset, size });
+        offset += size;
+    }
+    return boxes;
+}
+
+/** The bytes the (only) stco entry points at, as long as MEDIA_DATA. */
+function chunkData(buffer) {
+    const stco = buffer.indexOf('stco', 0, 'latin1');
+    const offset = buffer.readUInt32BE(stco + 12);
+    return buffer.subarray(offset, offset + MEDIA_DATA.length);
+}
+
+// --- Tests ---
+
+test('detectFormat tells the supported formats apart', () => {
+    assert.equal(detectFormat(jpeg()), 'jpeg');
+    assert.equal(detectFormat(png()), 'png');
+    assert.equal(detectFormat(webp()), 'webp');
+    assert.equal(detectFormat(mp4()), 'mp4');
+    assert.equal(detectFormat(Buffer.from('GIF89a')), 'gif');
+    assert.equal(detectFormat(Buffer.from('<!doctype html>')), null);
+});
+
+test('HEIF and AVIF images are not taken for MP4', async t => {
+    for (const brand of ['heic', 'heix', 'mif1', 'avif']) {
+        const heif = box('ftyp', Buffer.from(`${brand}\0\0\0\0mif1heic`, 'latin1'));
+        assert.equal(detectFormat(heif), null, brand);
+    }
+    const file = tempFile(t, 'photo.heic', box('ftyp', Buffer.from('heic\0\0\0\0mif1heic', 'latin1')));
+    assert.equal(await writeMetadata(file, FIELDS), null);
+});
+
+for (const [format, build, name] of [['jpeg', jpeg, 'a.jpg'], ['png', png, 'a.png'], ['webp', webp, 'a.webp'], ['mp4', mp4, 'a.mp4']]) {
+    test(`${format}: the date written is the date read back`, async t => {
+        const file = tempFile(t, name, build());
+        assert.equal(await readCaptureDate(file), null);
+        assert.equal(await writeMetadata(file, FIELDS), format);
+        assert.equal(await detectFileFormat(file), format);
+        assert.deepEqual(await readCaptureDate(file), { date: DATE, hasZone: true });
+
+        // Written again, the date is replaced rather than added.
+        const later = new Date('2024-01-02T03:04:05Z');
+        await writeMetadata(file, { ...FIELDS, date: later });
+        assert.deepEqual(await readCaptureDate(file), { date: later, hasZone: true });
+        const contents = fs.readFileSync(file);
+        assert.equal(contents.toString('latin1').split('<x:xmpmeta').length - 1, 1, 'one XMP packet');
+        assert.ok(!contents.includes(formatExifDate(DATE)), 'the first date is still in the file');
+    });
+}
+
+test('jpeg: the image data and the JFIF segment are kept in place', async t => {
+    const original = jpeg();
+    const file = tempFile(t, 'a.jpg', original);
+    await writeMetadata(file, FIELDS);
+    const written = fs.readFileSync(file);
+    assert.deepEqual(written.subarray(2, 20), original.subarray(2, 20)); // JFIF stays first
+    assert.ok(written.subarray(-14).equals(original.subarray(-14)));
+    assert.ok(written.includes(Buffer.from(FIELDS.comment)));
+});
+
+test('jpeg: a long comment is cut on a character boundary', async t => {
+    const file = tempFile(t, 'a.jpg', jpeg());
+    await writeMetadata(file, { comment: '€'.repeat(30000) }); // 90000 bytes of 3-byte characters
+    const written = fs.readFileSync(file);
+    const com = written.indexOf(Buffer.from([0xff, 0xfe]));
+    const text = written.subarray(com + 4, com + 2 + written.readUInt16BE(com + 2));
+    assert.ok(text.length <= 65533);
+    assert.equal(text.length % 3, 0);
+    assert.ok(!text.toString('utf8').includes('\uFFFD'));
+});
+
+test('png: chunks stay valid and metadata sits before IDAT', async t => {
+    const file = tempFile(t, 'a.png', png());
+    await writeMetadata(file, FIELDS);
+    const written = fs.readFileSync(file);
+    const types = [];
+    for (let offset = 8; offset < written.length;) {
+        const length = written.readUInt32BE(offset);
+        const typeAndData = written.subarray(offset + 4, offset + 8 + length);
+        assert.ok(crc32(typeAndData).equals(written.subarray(offset + 8 + length, offset + 12 + length)), 'bad CRC');
+        types.push(typeAndData.toString('latin1', 0, 4));
+        offset += 12 + length;
+    }
+    assert.deepEqual(types, ['IHDR', 'eXIf', 'iTXt', 'iTXt', 'IDAT', 'IEND']);
+});
+
+test('webp: a simple file gets a VP8X header with the EXIF and XMP flags', async t => {
+    const file = tempFile(t, 'a.webp', webp());
+    await writeMetadata(file, FIELDS);
+    const written = fs.readFileSync(file);
+    assert.equal(written.readUInt32LE(4), written.length - 8);
+    assert.equal(written.toString('latin1', 12, 16), 'VP8X');
+    assert.equal(written[20], 0x08 | 0x04);
+    assert.equal(written.readUIntLE(24, 3) + 1, 4);
+    assert.equal(written.readUIntLE(27, 3) + 1, 3);
+});
+
+test('mp4: chunk offsets follow the media data and XMP is appended', async t => {
+    const file = tempFile(t, 'a.mp4', mp4());
+    await writeMetadata(file, FIELDS);
+    const written = fs.readFileSync(file);
+    assert.deepEqual(topLevelBoxes(written).map(b => b.type), ['ftyp', 'moov', 'mdat', 'uuid']);
+    assert.ok(chunkData(written).equals(MEDIA_DATA));
+    assert.ok(written.includes(Buffer.from(FIELDS.comment)));
+});
+
+test('mp4: a last box sized to the end of the file gets its real size before the XMP box', async t => {
+    const file = tempFile(t, 'a.mp4', mp4({ mdatToEnd: true }));
+    await writeMetadata(file, FIELDS);
+    const written = fs.readFileSync(file);
+    const boxes = topLevelBoxes(written);
+    assert.deepEqual(boxes.map(b => b.type), ['ftyp', 'moov', 'mdat', 'uuid']);
+    assert.equal(boxes[2].size, 8 + MEDIA_DATA.length);
+    assert.ok(chunkData(written).equals(MEDIA_DATA));
+    assert.deepEqual(await readCaptureDate(file), { date: DATE, hasZone: true });
+});
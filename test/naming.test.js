@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { templateError, renderTemplate, uniquePath } = require('../naming');
+
+const ITEM = { id: 'abc', type: 'image', source: 'favorites', date: new Date('2024-03-05T10:20:30Z'), prompt: 'Crème brûlée at dawn!' };
+
+test('templateError accepts the default templates', () => {
+    assert.equal(templateError('grok-{type}-{id}'), null);
+    assert.equal(templateError('{source}/{date:YYYY/MM}/{promptSlug:40}-{id}{variant}'), null);
+});
+
+test('templateError reports unusable templates', () => {
+    assert.match(templateError('{id}-{nope}'), /unknown token \{nope\}/);
+    assert.match(templateError('{id}-{date}', ['id', 'type']), /\{date\} is not available here/);
+    assert.match(templateError('grok-{type}', undefined, ['id', 'type']), /must contain \{id\}/);
+    assert.match(templateError('{id'), /unbalanced braces/);
+    assert.match(templateError('{promptSlug:0}-{id}'), /positive length/);
+    assert.match(templateError('{id}/../x'), /may not leave the output directory/);
+});
+
+test('renderTemplate fills dates, slugs and folders', () => {
+    assert.equal(renderTemplate('{source}/{date:YYYY/MM}/{promptSlug:12}-{id}', ITEM), path.join('favorites', '2024', '03', 'creme-brulee-abc'));
+    assert.equal(renderTemplate('{date}_{date:HH-mm-ss}', ITEM), '2024-03-05_10-20-30');
+    assert.equal(renderTemplate('grok-{type}-{id}{variant}', { ...ITEM, variant: '-2' }), 'grok-image-abc-2');
+});
+
+test('renderTemplate falls back for missing values and cleans segments', () => {
+    assert.equal(renderTemplate('{date}/{promptSlug}-{id}', { id: 'x' }), path.join('undated', 'untitled-x'));
+    assert.equal(renderTemplate('a:b/ .{id}. ', { id: 'x' }), path.join('a_b', 'x'));
+});
+
+test('uniquePath numbers the first free candidate', () => {
+    const taken = new Set(['out/a.png', 'out/a-2.png']);
+    assert.equal(uniquePath('out/a', 'png', candidate => !taken.has(candidate)), 'out/a-3.png');
+    assert.equal(uniquePath('out/b', 'png', candidate => !taken.has(candidate)), 'out/b.png');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateController, parseRetryAfter, isThrottleStatus } = require('../rate-controller');
+
+const quiet = () => {};
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter(' 5 '), 5000);
+    const inAMinute = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(inAMinute > 58000 && inAMinute <= 60000, `got ${inAMinute}`);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('429 and 5xx count as throttling, other statuses do not', () => {
+    assert.ok(isThrottleStatus(429));
+    assert.ok(isThrottleStatus(503));
+    assert.ok(!isThrottleStatus(404));
+    assert.ok(!isThrottleStatus(null));
+});
+
+test('a throttled lane halves its concurrency and doubles its delay', () => {
+    const rate = createRateController({ api: { concurrency: 1, delayMs: 1500 }, downloads: { concurrency: 8, delayMs: 0 } }, quiet);
+    rate.report('downloads', { statusCode: 429 });
+    assert.equal(rate.concurrency('downloads'), 4);
+    assert.equal(rate.delayMs('downloads'), 1000); // A lane without a delay gets the minimum
+    rate.report('downloads', { statusCode: 503 });
+    assert.equal(rate.concurrency('downloads'), 2);
+    assert.equal(rate.delayMs('downloads'), 2000);
+    // Other lanes and other failures are left alone.
+    rate.report('downloads', { statusCode: 404 });
+    assert.equal(rate.concurrency('downloads'), 2);
+    assert.equal(rate.concurrency('api'), 1);
+    assert.equal(rate.delayMs('api'), 1500);
+});
+
+test('healthy streaks step a lane back to its configured settings', () => {
+    const rate = createRateController({ downloads: { concurrency: 8, delayMs: 0 } }, quiet);
+    rate.report('downloads', { statusCode: 429 });
+    rate.report('downloads', { statusCode: 429 });
+    assert.equal(rate.concurrency('downloads'), 2);
+    const healthy = () => { for (let i = 0; i < 10; i++) rate.report('downloads'); };
+    healthy();
+    assert.equal(rate.concurrency('downloads'), 3);
+    assert.equal(rate.delayMs('downloads'), 1000);
+    healthy();
+    assert.equal(rate.delayMs('downloads'), 500);
+    for (let i = 0; i < 10; i++) healthy();
+    assert.equal(rate.concurrency('downloads'), 8);
+    assert.equal(rate.delayMs('downloads'), 0);
+});
+
+test('a failure breaks the healthy streak', () => {
+    const rate = createRateController({ downloads: { concurrency: 4, delayMs: 0 } }, quiet);
+    rate.report('downloads', { statusCode: 429 });
+    for (let i = 0; i < 9; i++) rate.report('downloads');
+    rate.report('downloads', { statusCode: null }); // A network error
+    rate.report('downloads');
+    assert.equal(rate.concurrency('downloads'), 2);
+});
+
+test('ready() spaces a lane\'s starts by its delay and waits out Retry-After', async () => {
+    const rate = createRateController({ api: { concurrency: 1, delayMs: 50 } }, quiet);
+    let started = Date.now();
+    await rate.ready('api');
+    await rate.ready('api');
+    assert.ok(Date.now() - started >= 45, 'second start came too early');
+
+    rate.report('api', { statusCode: 429, retryAfterMs: 120 });
+    started = Date.now();
+    await rate.ready('api');
+    assert.ok(Date.now() - started >= 110, 'started before Retry-After expired');
+});
+
+test('backoffMs grows with jitter and honours Retry-After', () => {
+    const rate = createRateController({}, quiet);
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const ceiling = 1000 * 2 ** attempt;
+        const wait = rate.backoffMs(attempt);
+        assert.ok(wait >= ceiling / 2 && wait <= ceiling, `attempt ${attempt}: ${wait}`);
+    }
+    assert.ok(rate.backoffMs(30) <= 120000);
+    assert.equal(rate.backoffMs(0, 30000), 30000);
+});
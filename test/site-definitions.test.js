@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { definitionError, loadSiteHarvesters } = require('../site-definitions');
+
+const readSite = name => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'sites', `${name}.json`), 'utf8'));
+
+// The shipped examples, with one part replaced.
+function apiSite(changes = {}) {
+    return { ...readSite('grok-api'), ...changes };
+}
+function scrollSite(scrollChanges = {}) {
+    const site = readSite('grok-scroll');
+    return { ...site, scroll: { ...site.scroll, ...scrollChanges } };
+}
+
+test('the example definitions are valid', () => {
+    assert.equal(definitionError(readSite('grok-api'), []), null);
+    assert.equal(definitionError(readSite('grok-scroll'), []), null);
+});
+
+test('the top level needs a free name, a summary, URLs and one discovery', () => {
+    assert.match(definitionError([], []), /JSON object/);
+    assert.match(definitionError(apiSite({ name: 'Grok API' }), []), /name must be lowercase/);
+    assert.match(definitionError(apiSite(), ['grok-api']), /already taken/);
+    assert.match(definitionError(apiSite({ summary: '' }), []), /summary is required/);
+    assert.match(definitionError(apiSite({ baseUrl: 'grok.com' }), []), /^baseUrl /);
+    assert.match(definitionError(apiSite({ scroll: readSite('grok-scroll').scroll }), []), /exactly one of scroll and api/);
+    assert.match(definitionError(apiSite({ api: 'posts' }), []), /api must be an object/);
+    assert.match(definitionError(apiSite({ auth: '/rest' }), []), /auth must be/);
+    assert.match(definitionError(apiSite({ naming: { template: 'grok-{type}' } }), []), /naming.template: the template must contain \{id\}/);
+});
+
+test('api and scroll parts are checked field by field', () => {
+    const api = readSite('grok-api').api;
+    assert.match(definitionError(apiSite({ api: { ...api, items: undefined } }), []), /api.items is required/);
+    assert.match(definitionError(apiSite({ api: { ...api, method: 'PUT' } }), []), /GET or POST/);
+    assert.match(definitionError(apiSite({ api: { ...api, media: [] } }), []), /api.media must list/);
+    assert.match(definitionError(apiSite({ api: { ...api, media: ['mediaUrl'] } }), []), /entries must be objects/);
+    assert.match(definitionError(apiSite({ api: { ...api, media: [{ type: 'audio', url: 'x' }] } }), []), /type must be image or video/);
+    assert.match(definitionError(apiSite({ api: { ...api, media: [{ type: 'image', url: 'a' }, { type: 'image', url: 'b' }] } }), []), /distinct type and variant/);
+    assert.match(definitionError(scrollSite({ id: 'uuid' }), []), /scroll.id must be/);
+    assert.match(definitionError(scrollSite({ id: { from: 'video-sd', pattern: '(x)' } }), []), /must name one of the media/);
+    assert.match(definitionError(scrollSite({ id: { from: 'image', pattern: 'x' } }), []), /needs a capture group/);
+    assert.match(definitionError(scrollSite({ id: { from: 'image', pattern: '(' } }), []), /not a valid regex/);
+    assert.match(definitionError(scrollSite({ scrollDelay: -1 }), []), /scroll.scrollDelay must be/);
+});
+
+test('scroll definitions have no {date} for their template', () => {
+    const site = scrollSite();
+    site.naming = { template: '{date}/{type}-{id}' };
+    assert.match(definitionError(site, []), /\{date\} is not available here/);
+});
+
+test('loadSiteHarvesters describes every usable definition as a harvester', t => {
+    t.mock.method(console, 'warn', () => {});
+    const harvesters = loadSiteHarvesters(['google', 'grok', 'grok2']);
+    assert.deepEqual(Object.keys(harvesters).sort(), ['grok-api', 'grok-scroll']);
+    const api = harvesters['grok-api'];
+    assert.equal(api.module, './harvest-site.js');
+    assert.equal(api.loginUrl, 'https://grok.com/imagine/favorites');
+    assert.equal(api.options.find(spec => spec.flag === 'name-template').default, '{source}/{date:YYYY-MM}/grok-{type}-{id}{variant}');
+    // A taken name is reported and left out.
+    assert.deepEqual(Object.keys(loadSiteHarvesters(['grok-api'])), ['grok-scroll']);
+    assert.match(console.warn.mock.calls[0].arguments[0], /grok-api.json: name "grok-api" is already taken/);
+});
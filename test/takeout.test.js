@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchFolder, expectedName } = require('../takeout');
+
+// 63 characters, so Takeout cuts it: files get the first 47 characters (extension included).
+const LONG_TITLE = 'Sunset over the harbour from the old lighthouse at low tide.jpg';
+
+const sidecar = (title, jsonName = `${title}.json`) => ({ title, jsonName });
+
+/** matchFolder's results as { jsonName: status and file/candidates/edited/companions } for easy comparison. */
+function match(fileNames, sidecars) {
+    const summary = {};
+    for (const result of matchFolder(fileNames, sidecars)) {
+        const entry = { status: result.status };
+        if (result.file) entry.file = result.file;
+        if (result.candidates.length) entry.candidates = result.candidates;
+        if (result.edited.length) entry.edited = result.edited;
+        if (result.companions.length) entry.companions = result.companions;
+        summary[result.sidecar.jsonName] = entry;
+    }
+    return summary;
+}
+
+test('expectedName moves the duplicate suffix in front of the extension and sanitizes the title', () => {
+    assert.equal(expectedName(sidecar('IMG_0001.jpg')), 'IMG_0001.jpg');
+    assert.equal(expectedName(sidecar('IMG_0001.jpg', 'IMG_0001.jpg(1).json')), 'IMG_0001(1).jpg');
+    assert.equal(expectedName(sidecar('IMG_0001.jpg', 'IMG_0001.jpg.supplemental-metadata(2).json')), 'IMG_0001(2).jpg');
+    assert.equal(expectedName(sidecar('Meeting 10:30 / notes?.png')), 'Meeting 10_30 _ notes_.png');
+});
+
+test('exact and case-insensitive names match', () => {
+    assert.deepEqual(match(['IMG_0001.jpg', 'img_0002.JPG'], [sidecar('IMG_0001.jpg'), sidecar('IMG_0002.jpg')]), {
+        'IMG_0001.jpg.json': { status: 'matched', file: 'IMG_0001.jpg' },
+        'IMG_0002.jpg.json': { status: 'matched', file: 'img_0002.JPG' },
+    });
+});
+
+test('a sidecar without its file is an orphan', () => {
+    assert.deepEqual(match(['IMG_0002.jpg'], [sidecar('IMG_0001.jpg')]), { 'IMG_0001.jpg.json': { status: 'orphan' } });
+});
+
+test('(n) duplicates match their own sidecar, not the original\'s', () => {
+    const sidecars = [sidecar('IMG_0001.jpg'), sidecar('IMG_0001.jpg', 'IMG_0001.jpg(1).json'), sidecar('IMG_0001.jpg', 'IMG_0001.jpg.supplemental-metadata(2).json')];
+    assert.deepEqual(match(['IMG_0001(2).jpg', 'IMG_0001.jpg', 'IMG_0001(1).jpg'], sidecars), {
+        'IMG_0001.jpg.json': { status: 'matched', file: 'IMG_0001.jpg' },
+        'IMG_0001.jpg(1).json': { status: 'matched', file: 'IMG_0001(1).jpg' },
+        'IMG_0001.jpg.supplemental-metadata(2).json': { status: 'matched', file: 'IMG_0001(2).jpg' },
+    });
+    // Without its duplicate, the (1) sidecar is an orphan: the original is not its file.
+    assert.deepEqual(match(['IMG_0001.jpg'], sidecars.slice(0, 2))['IMG_0001.jpg(1).json'], { status: 'orphan' });
+});
+
+test('cut-short names match, duplicates included', () => {
+    const cut = 'Sunset over the harbour from the old lighth.jpg'; // 47 characters
+    const cutDuplicate = 'Sunset over the harbour from the old lig(1).jpg'; // Cut before the (1)
+    assert.deepEqual(match([cutDuplicate, cut], [sidecar(LONG_TITLE), sidecar(LONG_TITLE, `${LONG_TITLE}(1).json`)]), {
+        [`${LONG_TITLE}.json`]: { status: 'matched', file: cut },
+        [`${LONG_TITLE}(1).json`]: { status: 'matched', file: cutDuplicate },
+    });
+});
+
+test('short prefixes and other extensions are no cut-short match', () => {
+    assert.deepEqual(match(['Sunset.jpg', 'Sunset over the harbour from the old lighth.png'], [sidecar(LONG_TITLE)]), {
+        [`${LONG_TITLE}.json`]: { status: 'orphan' },
+    });
+});
+
+test('an exact name is never taken as another sidecar\'s cut-short match', () => {
+    const cut = 'Sunset over the harbour from the old lighth.jpg';
+    assert.deepEqual(match([cut], [sidecar(LONG_TITLE), sidecar(cut)]), {
+        [`${LONG_TITLE}.json`]: { status: 'orphan' },
+        [`${cut}.json`]: { status: 'matched', file: cut },
+    });
+});
+
+test('several candidates, or several claimants, make a match ambiguous', () => {
+    const a = 'Sunset over the harbour from the old lighthouse.jpg';
+    const b = 'Sunset over the harbour from the old lighthous.jpg';
+    assert.deepEqual(match([a, b], [sidecar(LONG_TITLE)]), { [`${LONG_TITLE}.json`]: { status: 'ambiguous', candidates: [a, b] } });
+
+    const other = 'Sunset over the harbour from the old lighthouse on Sunday.jpg';
+    const cut = 'Sunset over the harbour from the old lighth.jpg';
+    assert.deepEqual(match([cut], [sidecar(LONG_TITLE), sidecar(other)]), {
+        [`${LONG_TITLE}.json`]: { status: 'ambiguous', candidates: [cut] },
+        [`${other}.json`]: { status: 'ambiguous', candidates: [cut] },
+    });
+});
+
+test('sanitized titles match the file Takeout wrote', () => {
+    assert.deepEqual(match(['Meeting 10_30 _ notes_.png'], [sidecar('Meeting 10:30 / notes?.png')]), {
+        'Meeting 10:30 / notes?.png.json': { status: 'matched', file: 'Meeting 10_30 _ notes_.png' },
+    });
+});
+
+test('edited copies are claimed but do not count as the media', () => {
+    assert.deepEqual(match(['IMG_0001.jpg', 'IMG_0001-edited.jpg', 'IMG_0002-bearbeitet.jpg'], [sidecar('IMG_0001.jpg'), sidecar('IMG_0002.jpg')]), {
+        'IMG_0001.jpg.json': { status: 'matched', file: 'IMG_0001.jpg', edited: ['IMG_0001-edited.jpg'] },
+        'IMG_0002.jpg.json': { status: 'orphan', edited: ['IMG_0002-bearbeitet.jpg'] },
+    });
+});
+
+test('motion photo video halves are claimed as companions', () => {
+    const files = ['IMG_0001.HEIC', 'IMG_0001.MP4', 'PXL_20230101.MP.jpg', 'PXL_20230101.MP', 'IMG_0003.MOV'];
+    assert.deepEqual(match(files, [sidecar('IMG_0001.HEIC'), sidecar('PXL_20230101.MP.jpg'), sidecar('IMG_0003.jpg')]), {
+        'IMG_0001.HEIC.json': { status: 'matched', file: 'IMG_0001.HEIC', companions: ['IMG_0001.MP4'] },
+        'PXL_20230101.MP.jpg.json': { status: 'matched', file: 'PXL_20230101.MP.jpg', companions: ['PXL_20230101.MP'] },
+        'IMG_0003.jpg.json': { status: 'orphan', companions: ['IMG_0003.MOV'] },
+    });
+});
@@ -0,0 +1,47 @@
+// --- Site Base URLs ---
+//
+// Every harvester talks to one site, grok.com or photos.google.com by default.
+// --base-url points it somewhere else instead, such as the local stand-in
+// started by mock-server.js.
+
+/**
+ * Checks a --base-url value. Returns an error message, or null when it is usable.
+ */
+function baseUrlError(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return `"${value}" is not a URL`;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return `expects an http or https URL, got "${value}"`;
+    }
+    if (url.pathname !== '/' || url.search || url.hash) {
+        return `expects only scheme, host and port, e.g. http://127.0.0.1:8123, got "${value}"`;
+    }
+    return null;
+}
+
+/**
+ * Moves a URL onto another origin, keeping its path and query.
+ * Returns the URL untouched when it already starts with baseUrl.
+ */
+function rebaseUrl(url, baseUrl) {
+    const target = new URL(baseUrl);
+    const rebased = new URL(url, target);
+    rebased.protocol = target.protocol;
+    rebased.host = target.host;
+    return rebased.toString();
+}
+
+/**
+ * Turns a URL into a webRequest filter pattern. Match patterns cannot carry a
+ * port, and without one they match any port.
+ */
+function urlFilter(url) {
+    const { protocol, hostname, pathname } = new URL(url);
+    return `${protocol}//${hostname}${pathname}`;
+}
+
+module.exports = { baseUrlError, rebaseUrl, urlFilter };